@@ -0,0 +1,330 @@
+import * as CANNON from 'cannon-es';
+import { IDLE_CONTROLS } from './SimulationCore.js';
+import { RacingLine, BRAKING_STYLES } from '../Track/RacingLine.js';
+import { TireModel } from '../Physics/TireModel.js';
+import { getWheelTires } from '../Physics/TireCompounds.js';
+
+// Scripted driver for a SimulationCore control script. It steers by pure
+// pursuit of a point on the racing line a speed-dependent distance ahead,
+// tracks the line's speed profile with the pedals and brakes the way the
+// braking style says: how hard (maxBrakeForce), and whether the pressure
+// comes off at once, trails off into the corner or is all done before
+// turn-in. It reacts only to the vehicle state, so the same car, corner,
+// line and style always give the same run. Given TrackConditions, it plans
+// its speeds for the grip in them, and plans them again as its tires warm,
+// cool and wear. The car starts on the centerline, off
+// the line, and eases onto it; round a circuit it keeps lapping.
+export class AutonomousDriver {
+  constructor(vehicleConfig, corner, lineType = 'IDEAL', brakingStyle = 'THRESHOLD', conditions = null) {
+    this.vehicleConfig = vehicleConfig;
+    this.lineType = lineType;
+    this.brakingStyle = brakingStyle;
+    this.style = BRAKING_STYLES[brakingStyle];
+    
+    this.maxSteeringAngle = 35 * Math.PI / 180; // same lock as the InputManager
+    this.minLookAhead = 5;     // m
+    this.lookAheadTime = 0.6;  // s of travel to the steering target
+    this.yawGain = 0.1;        // rad of steering per rad/s of yaw rate off the arc
+    this.speedPreview = 0.3;   // s ahead the speed target is read
+    this.speedMargin = 0.92;   // of the planned speeds the driver drives to, under the point-mass limit
+    this.throttleBand = 3;     // m/s under target for full throttle
+    this.brakeBand = 2;        // m/s over target for full brake pressure
+    this.slipLimit = 0.15;     // slip ratio the driver drives to
+    this.slipAngleLimit = 0.15; // rad, slip angle the driver drives the tires to
+    this.throttleRecovery = 3; // throttle fed back in a second once the wheels grip
+    this.launchSpeed = 3;      // m/s the wheelspin is judged against below it
+    this.mergeDistance = 30;   // m along the line to join it from the start
+    this.gripStep = 0.05;      // change in the tires' grip the speeds are planned again for
+    
+    this.tireModel = new TireModel();
+    this.tires = getWheelTires(vehicleConfig);
+    
+    this.cornerConfig = corner.config;
+    this.closed = !!corner.config.closed;
+    this.racingLine = new RacingLine(conditions);
+    this.line = this.racingLine.calculateRacingLine(corner, lineType, vehicleConfig);
+    this.distances = this.racingLine.calculateDistances(this.line.points);
+    this.planSpeeds(1);
+    
+    this.reset();
+  }
+  
+  // Target speed (m/s) at each point of the line for tires with gripScale
+  // of the grip they have in their window. The solver plans the braking
+  // the style allows, so early braking is finished by turn-in.
+  planSpeeds(gripScale) {
+    this.gripScale = gripScale;
+    this.targetSpeeds = this.racingLine.calculateSpeedProfile(
+      this.line.points, this.cornerConfig, this.vehicleConfig, this.brakingStyle, gripScale
+    ).map(speed => this.speedMargin * speed / 3.6);
+  }
+  
+  // Control script entry point, (time, vehicleState, core) => controls
+  getControls(time, vehicleState, core) {
+    const vehicle = core.vehicle;
+    const position = vehicle.getPosition();
+    if (!this.startOffset) {
+      const start = this.line.points[0];
+      this.startOffset = { x: position.x - start.x, z: position.z - start.z };
+    }
+    this.index = this.findNearestIndex(position);
+    
+    // Past the end of an open line the driver pulls up in a straight line
+    const finished = !this.closed && this.index >= this.line.points.length - 1;
+    const targetSpeed = finished ? 0 : this.getTargetSpeed(vehicleState);
+    
+    const steeringAngle = this.getSteeringAngle(vehicle.body, vehicleState);
+    const pedals = this.getPedals(vehicleState, targetSpeed, finished, core.timeStep);
+    
+    const controls = {
+      ...IDLE_CONTROLS,
+      ...pedals,
+      steering: steeringAngle / this.maxSteeringAngle,
+      steeringAngle,
+      ...this.getShiftRequest(vehicleState),
+      drs: this.getDRSRequest(vehicleState, pedals.throttle)
+    };
+    
+    return controls;
+  }
+  
+  // Closest line point, searching forward from the last one so the driver
+  // never jumps back along the line. A closed line's last point is its
+  // first, so the search wraps round to the start of the next lap.
+  findNearestIndex(position) {
+    const points = this.line.points;
+    const count = this.closed ? points.length - 1 : points.length;
+    const searchLength = this.closed ? 30 : Math.min(30, count - this.index);
+    let nearest = this.index;
+    let nearestDistance = Infinity;
+    
+    for (let step = 0; step < searchLength; step++) {
+      const i = (this.index + step) % count;
+      const dx = points[i].x - position.x;
+      const dz = points[i].z - position.z;
+      const distance = dx * dx + dz * dz;
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = i;
+      }
+    }
+    
+    // Once it's round to the start the car is on the line
+    if (nearest < this.index) {
+      this.startOffset = { x: 0, z: 0 };
+    }
+    
+    return nearest;
+  }
+  
+  // Point the given distance along the line from the current index,
+  // extended straight on past the end of an open line and on into the next
+  // lap of a closed one. Until the car has joined the line the point is
+  // shifted towards where it started.
+  getPointAhead(distance) {
+    const points = this.line.points;
+    const last = points.length - 1;
+    const targetDistance = this.distances[this.index] + distance;
+    const { index, t } = this.getLinePosition(targetDistance);
+    
+    let point;
+    if (index < last) {
+      point = points[index].clone().lerp(points[index + 1], t);
+    } else {
+      const direction = points[last].clone().sub(points[last - 1]).normalize();
+      point = points[last].clone().addScaledVector(direction, targetDistance - this.distances[last]);
+    }
+    
+    const merge = Math.min(1, targetDistance / this.mergeDistance);
+    const startWeight = (1 + Math.cos(Math.PI * merge)) / 2;
+    point.x += this.startOffset.x * startWeight;
+    point.z += this.startOffset.z * startWeight;
+    return point;
+  }
+  
+  // Segment of the line a distance along it falls in, from the current
+  // index on, and how far through it. Past the end of a closed line the
+  // distance carries on into the next lap; past the end of an open one it
+  // is the last point.
+  getLinePosition(distance) {
+    const last = this.line.points.length - 1;
+    const length = this.distances[last];
+    let i = this.index;
+    
+    if (this.closed && distance > length) {
+      distance -= length;
+      i = 0;
+    }
+    
+    for (; i < last; i++) {
+      if (this.distances[i + 1] >= distance) {
+        const span = this.distances[i + 1] - this.distances[i];
+        return { index: i, t: span > 0 ? (distance - this.distances[i]) / span : 0 };
+      }
+    }
+    
+    return { index: last, t: 0 };
+  }
+  
+  // Cold, overheated or worn tires turn and stop the car on less grip, and
+  // with downforce the speeds they allow fall faster than the grip does,
+  // so the speeds are planned again as it changes
+  getTargetSpeed(vehicleState) {
+    const gripScale = Math.round(this.getGripScale(vehicleState) / this.gripStep) * this.gripStep;
+    if (Math.abs(gripScale - this.gripScale) > this.gripStep / 2) {
+      this.planSpeeds(gripScale);
+    }
+    
+    const { index, t } = this.getLinePosition(this.distances[this.index] + vehicleState.speed * this.speedPreview);
+    return this.targetSpeeds[t > 0 ? index + 1 : index];
+  }
+  
+  // Grip the tires have now over what they have in their window
+  getGripScale(vehicleState) {
+    const load = this.vehicleConfig.mass * 9.81 / 4; // N, cancels out
+    const ratio = this.tires.reduce((sum, tire, index) => {
+      const grip = this.tireModel.getGripLevel(load, vehicleState.tireTemps[index], tire, vehicleState.tireWear[index]);
+      return sum + grip / this.tireModel.getGripLevel(load, this.tireModel.getOptimalTemp(tire), tire);
+    }, 0) / this.tires.length;
+    return Math.min(1, ratio);
+  }
+  
+  // Pure pursuit: the arc from the rear axle through the target point sets
+  // the front wheel angle for a car of this wheelbase
+  getSteeringAngle(body, vehicleState) {
+    const speed = vehicleState.speed;
+    const lookAhead = Math.max(this.minLookAhead, speed * this.lookAheadTime);
+    const target = this.getPointAhead(lookAhead);
+    
+    // Chassis frame, +z forward and +x the way positive steering turns
+    const local = body.pointToLocalFrame(new CANNON.Vec3(target.x, body.position.y, target.z));
+    const distanceSquared = local.x * local.x + local.z * local.z;
+    if (distanceSquared < 0.01) return 0;
+    
+    // The yaw rate the car is off the arc by is steered out too, which
+    // damps the car's own rotation. Pulling away the wheel is held straight
+    // until the car is rolling.
+    const curvature = 2 * local.x / distanceSquared;
+    const yawError = speed * curvature - vehicleState.yawRate;
+    const steeringAngle = (Math.atan(this.vehicleConfig.wheelbase * curvature) + this.yawGain * yawError) *
+      Math.min(1, speed / this.launchSpeed);
+    return Math.max(-this.maxSteeringAngle, Math.min(this.maxSteeringAngle, steeringAngle));
+  }
+  
+  getPedals(vehicleState, targetSpeed, finished, deltaTime) {
+    const error = targetSpeed - vehicleState.speed;
+    
+    // Back off when the driven wheels spin up or the rear steps out, a
+    // fifth of the throttle a step at most so one spike doesn't cost the
+    // drive, and feed it back in once they grip again. Pulling away the
+    // wheelspin is judged against launchSpeed, as the slip ratio means
+    // little any slower.
+    const wheelSpeed = Math.max(vehicleState.wheelSpeeds[2], vehicleState.wheelSpeeds[3]) * this.vehicleConfig.tire.radius;
+    const wheelspin = (wheelSpeed - vehicleState.speed) / Math.max(vehicleState.speed, this.launchSpeed);
+    const frontSlipAngle = Math.max(Math.abs(vehicleState.slipAngles[0]), Math.abs(vehicleState.slipAngles[1]));
+    const rearSlipAngle = Math.max(Math.abs(vehicleState.slipAngles[2]), Math.abs(vehicleState.slipAngles[3]));
+    const rearSlip = Math.hypot(Math.max(0, wheelspin) / this.slipLimit, rearSlipAngle / this.slipAngleLimit);
+    if (rearSlip > 1) {
+      this.throttleLimit = Math.min(this.throttleLimit, vehicleState.throttle * Math.max(0.8, 1 / rearSlip));
+    } else {
+      this.throttleLimit = Math.min(1, this.throttleLimit + this.throttleRecovery * deltaTime);
+    }
+    
+    // Running wide on front tires past their peak slip angle the driver
+    // lifts to let them bite, but doesn't brake for it: that takes grip
+    // they need to turn
+    if (error >= 0) {
+      const understeer = vehicleState.speed > this.launchSpeed && frontSlipAngle > this.slipAngleLimit;
+      return { throttle: understeer ? 0 : Math.min(this.throttleLimit, error / this.throttleBand), brake: 0 };
+    }
+    
+    let brake = finished ? this.style.maxBrakeForce : this.getBrakePressure(-error);
+    
+    // Ease off before the fronts lock, or while they are already sliding
+    // sideways, so there is grip left to steer with
+    const lockup = -Math.min(vehicleState.slipRatios[0], vehicleState.slipRatios[1]);
+    const frontSlip = Math.hypot(Math.max(0, lockup) / this.slipLimit, frontSlipAngle / this.slipAngleLimit);
+    if (frontSlip > 1) {
+      brake /= frontSlip;
+    }
+    
+    return { throttle: 0, brake };
+  }
+  
+  // Brake pedal for a given overspeed (m/s), shaped by the release profile
+  // through the corner the car is in
+  getBrakePressure(overspeed) {
+    const style = this.style;
+    const corner = this.line.corners.find(({ turnInIndex, exitIndex }) => this.index >= turnInIndex && this.index <= exitIndex);
+    const cornering = !!corner;
+    
+    switch (style.releaseProfile) {
+      case 'gradual': {
+        // Pressure follows the overspeed, and past turn-in it is bled off
+        // over the trail zone so the car rotates on a light brake. Beyond
+        // it, as with threshold braking, a touch still scrubs off any
+        // overspeed.
+        let brake = style.maxBrakeForce * Math.min(1, overspeed / this.brakeBand);
+        const trailLength = Math.max(1, style.trailPercentage * (this.line.points.length - 1));
+        if (cornering) {
+          brake *= Math.max(0.5, 1 - (this.index - corner.turnInIndex) / trailLength);
+        }
+        return brake;
+      }
+      
+      case 'complete':
+        // All the braking is done in a straight line, the car only lifts
+        // once it is turning
+        return cornering ? 0 : style.maxBrakeForce;
+      
+      default:
+        // Threshold: full pressure until the target, then straight off.
+        // Mid-corner it is only a touch to scrub off the overspeed.
+        if (cornering) {
+          return style.maxBrakeForce * Math.min(1, overspeed / this.brakeBand) * 0.5;
+        }
+        return overspeed > this.brakeBand / 4 ? style.maxBrakeForce : 0;
+    }
+  }
+  
+  // Paddle shifts on the revs when the gearbox isn't shifting itself. A
+  // paddle press is one step long so the next one registers.
+  getShiftRequest(vehicleState) {
+    const request = { gearUp: false, gearDown: false };
+    const pressed = this.previousShift;
+    this.previousShift = false;
+    
+    if (vehicleState.transmissionMode === 'automatic' || vehicleState.shifting || pressed) {
+      return request;
+    }
+    
+    const config = this.vehicleConfig;
+    const transmission = config.transmission || {};
+    const upshiftRPM = transmission.upshiftRPM || config.maxRPM * 0.95;
+    const downshiftRPM = transmission.downshiftRPM || config.maxRPM * 0.5;
+    
+    if (vehicleState.rpm > upshiftRPM && vehicleState.gear < config.gearRatios.length) {
+      request.gearUp = true;
+    } else if (vehicleState.rpm < downshiftRPM && vehicleState.gear > 1) {
+      request.gearDown = true;
+    }
+    
+    this.previousShift = request.gearUp || request.gearDown;
+    return request;
+  }
+  
+  // Open DRS once it's available and the driver is flat out
+  getDRSRequest(vehicleState, throttle) {
+    const pressed = this.previousDRS;
+    this.previousDRS = !pressed && !!vehicleState.drsAvailable && !vehicleState.drsActive && throttle >= 1;
+    return this.previousDRS;
+  }
+  
+  reset() {
+    this.index = 0;
+    this.startOffset = null; // where the car started from the line's first point
+    this.throttleLimit = 1;
+    this.previousShift = false;
+    this.previousDRS = false;
+  }
+}
\ No newline at end of file
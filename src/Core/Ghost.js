@@ -0,0 +1,266 @@
+export const GHOST_FORMAT = 'racing-ghost';
+export const GHOST_FORMAT_VERSION = 1;
+
+// Values saved for each frame of a ghost file, in order. position and
+// rotation are the chassis pose in world space (rotation a quaternion),
+// wheels the four wheel centres FL, FR, RL, RR, and progress the metres
+// driven along the track since the start.
+const FRAME_LAYOUT = [
+  ['time', 1], ['progress', 1], ['position', 3], ['rotation', 4], ['wheels', 12],
+  ['throttle', 1], ['brake', 1], ['steering', 1]
+];
+const FRAME_SIZE = FRAME_LAYOUT.reduce((size, [, count]) => size + count, 0);
+
+// A recorded run: the car's pose and inputs at every physics step, which
+// can be played back in step with a new run and compared with it at the
+// same point on the track. info says what was driven (vehicle type, track
+// name, racing line and braking style) and time is the run's best valid
+// lap, null until it has one.
+export class Ghost {
+  constructor(info = {}) {
+    this.info = { ...info };
+    this.frames = [];
+    this.laps = [];
+    this.time = null;
+  }
+  
+  // Adds a step from a SimulationCore: its telemetry sample, progress
+  // along the track and the wheel positions
+  addFrame(sample, progress, wheels) {
+    const previous = this.frames[this.frames.length - 1];
+    const { position, rotation } = sample;
+    
+    this.frames.push({
+      time: sample.time,
+      progress,
+      reach: previous ? Math.max(previous.reach, progress) : progress, // furthest so far
+      position: [position.x, position.y, position.z],
+      rotation: [rotation.x, rotation.y, rotation.z, rotation.w],
+      wheels: wheels.flatMap(wheel => [wheel.x, wheel.y, wheel.z]),
+      throttle: sample.throttle,
+      brake: sample.brake,
+      steering: sample.steering
+    });
+  }
+  
+  // A lap from LapTimer finished in this run
+  addLap(lap) {
+    this.laps.push(lap);
+    if (lap.valid && (this.time === null || lap.time < this.time)) {
+      this.time = lap.time;
+    }
+  }
+  
+  get duration() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].time : 0;
+  }
+  
+  // Pose and inputs at a time into the run, interpolated between steps and
+  // held at the ends
+  getFrame(time) {
+    const frames = this.frames;
+    if (frames.length === 0) return null;
+    
+    const index = findFirst(frames, frame => frame.time >= time);
+    if (index <= 0) return unpackFrame(frames[0]);
+    if (index >= frames.length) return unpackFrame(frames[frames.length - 1]);
+    
+    const from = frames[index - 1];
+    const to = frames[index];
+    const t = (time - from.time) / (to.time - from.time);
+    return unpackFrame({
+      time,
+      progress: lerp(from.progress, to.progress, t),
+      position: from.position.map((value, i) => lerp(value, to.position[i], t)),
+      rotation: nlerp(from.rotation, to.rotation, t),
+      wheels: from.wheels.map((value, i) => lerp(value, to.wheels[i], t)),
+      throttle: lerp(from.throttle, to.throttle, t),
+      brake: lerp(from.brake, to.brake, t),
+      steering: lerp(from.steering, to.steering, t)
+    });
+  }
+  
+  // Time into the run when it first got to a progress along the track,
+  // null if it never did
+  getTimeAt(progress) {
+    const frames = this.frames;
+    const index = findFirst(frames, frame => frame.reach >= progress);
+    if (index >= frames.length) return null;
+    if (index === 0) return frames[0].time;
+    
+    const from = frames[index - 1];
+    const to = frames[index];
+    const span = to.reach - from.reach;
+    return lerp(from.time, to.time, span > 0 ? (progress - from.reach) / span : 1);
+  }
+  
+  toJSON() {
+    return JSON.stringify({
+      format: GHOST_FORMAT,
+      version: GHOST_FORMAT_VERSION,
+      info: this.info,
+      time: this.time,
+      laps: this.laps,
+      frames: this.frames.map(frame => FRAME_LAYOUT.flatMap(([name]) => [].concat(frame[name]).map(round)))
+    });
+  }
+  
+  // Ghost from a JSON string or parsed object written by toJSON. Throws
+  // if it isn't one.
+  static parse(source) {
+    let data = source;
+    if (typeof source === 'string') {
+      try {
+        data = JSON.parse(source);
+      } catch (error) {
+        throw new Error(`Invalid ghost file: ${error.message}`);
+      }
+    }
+    
+    const fail = (message) => {
+      throw new Error(`Invalid ghost file: ${message}`);
+    };
+    
+    if (!data || typeof data !== 'object' || data.format !== GHOST_FORMAT) {
+      fail(`expected format "${GHOST_FORMAT}"`);
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > GHOST_FORMAT_VERSION) {
+      fail(`unsupported version ${data.version}, this build reads up to version ${GHOST_FORMAT_VERSION}`);
+    }
+    if (!data.info || typeof data.info.track !== 'string') {
+      fail('missing the track it was recorded on');
+    }
+    if (!Array.isArray(data.frames) || data.frames.length === 0) {
+      fail('no frames');
+    }
+    
+    const ghost = new Ghost(data.info);
+    (data.laps || []).forEach(lap => ghost.addLap(lap));
+    
+    data.frames.forEach((values, index) => {
+      if (!Array.isArray(values) || values.length !== FRAME_SIZE || !values.every(Number.isFinite)) {
+        fail(`frame ${index} must be a list of ${FRAME_SIZE} numbers`);
+      }
+      if (index > 0 && values[0] <= data.frames[index - 1][0]) {
+        fail(`frame ${index} must come after the one before it`);
+      }
+      
+      const frame = {};
+      let offset = 0;
+      FRAME_LAYOUT.forEach(([name, count]) => {
+        frame[name] = count === 1 ? values[offset] : values.slice(offset, offset + count);
+        offset += count;
+      });
+      
+      const previous = ghost.frames[index - 1];
+      frame.reach = previous ? Math.max(previous.reach, frame.progress) : frame.progress;
+      ghost.frames.push(frame);
+    });
+    
+    return ghost;
+  }
+}
+
+// Records every run of a SimulationCore as a Ghost and keeps the fastest.
+// A run starts whenever the core is reset; getInfo() describes what is
+// being driven at that point.
+export class GhostRecorder {
+  constructor(core, getInfo = () => ({})) {
+    this.core = core;
+    this.getInfo = getInfo;
+    this.run = null;   // Ghost being recorded
+    this.best = null;  // fastest run with a valid lap
+    this.lapCount = 0; // laps the core's timer had at the last step
+    this.lastTime = 0;
+    this.removeObserver = core.addObserver((sample, core) => this.record(sample, core));
+  }
+  
+  record(sample, core) {
+    // The core's time going back means it was reset for a new run
+    if (!this.run || sample.time <= this.lastTime) {
+      this.finishRun();
+      this.run = new Ghost(this.getInfo());
+    }
+    this.lastTime = sample.time;
+    
+    const laps = core.timing.laps;
+    laps.slice(this.lapCount).forEach(lap => this.run.addLap(lap));
+    this.lapCount = laps.length;
+    
+    const wheels = core.vehicle.wheels.map((wheel, index) => core.vehicle.getWheelPosition(index));
+    this.run.addFrame(sample, core.timing.progress || 0, wheels);
+  }
+  
+  // The run so far replaces the best if it has a faster valid lap
+  finishRun() {
+    if (this.run && this.run.time !== null && (!this.best || this.run.time < this.best.time)) {
+      this.best = this.run;
+    }
+    this.run = null;
+  }
+  
+  // Forgets the best run, for a different track
+  clear() {
+    this.run = null;
+    this.best = null;
+  }
+  
+  dispose() {
+    this.removeObserver();
+  }
+}
+
+// Index of the first item the test holds for, in a list where it holds
+// from some point on; the length if it never does
+function findFirst(items, test) {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (test(items[middle])) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+function unpackFrame(frame) {
+  const [x, y, z] = frame.position;
+  const [qx, qy, qz, qw] = frame.rotation;
+  const wheels = [0, 1, 2, 3].map(index => ({
+    x: frame.wheels[index * 3],
+    y: frame.wheels[index * 3 + 1],
+    z: frame.wheels[index * 3 + 2]
+  }));
+  
+  return {
+    time: frame.time,
+    progress: frame.progress,
+    position: { x, y, z },
+    rotation: { x: qx, y: qy, z: qz, w: qw },
+    wheels,
+    throttle: frame.throttle,
+    brake: frame.brake,
+    steering: frame.steering
+  };
+}
+
+function lerp(from, to, t) {
+  return from + (to - from) * t;
+}
+
+// Normalized blend of two quaternions the short way round, close enough to
+// a slerp over one physics step
+function nlerp(from, to, t) {
+  const sign = from.reduce((dot, value, i) => dot + value * to[i], 0) < 0 ? -1 : 1;
+  const blended = from.map((value, i) => lerp(value, sign * to[i], t));
+  const length = Math.hypot(...blended);
+  return blended.map(value => value / length);
+}
+
+// Saved to 0.1 mm, a thousandth of a second or a thousandth of an input
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
\ No newline at end of file
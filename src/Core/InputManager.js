@@ -15,6 +15,7 @@ export class InputManager {
       clutch: 0,
       gearUp: false,
       gearDown: false,
+      drs: false,
       reset: false,
       pause: false,
       cameraNext: false,
@@ -114,6 +115,8 @@ export class InputManager {
     this.controls.handbrake = gamepad.buttons[0].pressed; // A/X button
     this.controls.gearUp = gamepad.buttons[5].pressed; // RB
     this.controls.gearDown = gamepad.buttons[4].pressed; // LB
+    this.controls.clutch = gamepad.buttons[1].value; // B/Circle
+    this.controls.drs = gamepad.buttons[3].pressed; // Y/Triangle
     this.controls.reset = gamepad.buttons[8].pressed; // Select/Share
     this.controls.pause = gamepad.buttons[9].pressed; // Start/Options
   }
@@ -149,6 +152,8 @@ export class InputManager {
       this.controls.handbrake = this.keys['Space'] || false;
       this.controls.gearUp = this.keys['KeyE'] || false;
       this.controls.gearDown = this.keys['KeyQ'] || false;
+      this.controls.clutch = this.keys['ShiftLeft'] ? 1 : 0;
+      this.controls.drs = this.keys['KeyF'] || false;
       this.controls.reset = this.keys['KeyR'] || false;
       this.controls.pause = this.keys['Escape'] || false;
       this.controls.cameraNext = this.keys['KeyC'] || false;
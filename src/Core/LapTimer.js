@@ -0,0 +1,262 @@
+// Lap and sector timing along a track's centerline, with track-limit
+// checks. Timing lines sit at distances along the centerline. A closed
+// circuit is timed from its start/finish line, split at the track's sector
+// lines or into three equal sectors without them. A single corner is timed
+// from the start to the finish of its straights, split at the corner's
+// entry and exit (the start of its first turn and the end of its last).
+// Crossing times are interpolated between physics steps.
+//
+// The car has left the track when every tire's contact patch is past the
+// track's edges. A lap or sector with a violation in it still shows, but
+// doesn't count towards the best times.
+export class LapTimer {
+  constructor(track = null) {
+    this.traceSpacing = 5; // m between the points the live delta compares at
+    this.setTrack(track);
+  }
+  
+  // Lays out the timing lines on a track from CornerGenerator or
+  // CircuitBuilder and forgets every lap
+  setTrack(track) {
+    const surface = track ? track.surface : null;
+    this.track = track;
+    this.centerline = surface ? surface.centerline : null;
+    this.reach = surface ? surface.getReach() : 0;
+    this.closed = !!(this.centerline && this.centerline.closed);
+    this.length = this.centerline ? this.centerline.length : 0;
+    this.sectors = this.centerline ? getSectors(track, this.centerline) : [];
+    this.clear();
+  }
+  
+  // Forgets every lap and best time, for when the car or the conditions
+  // change and they no longer compare
+  clear() {
+    this.laps = [];
+    this.bestLap = null;
+    this.bestSectors = this.sectors.map(() => null);
+    this.bestTrace = null;
+    this.reset();
+  }
+  
+  // A new run from the start line, keeping the laps and best times
+  reset() {
+    this.time = 0;
+    this.progress = null;  // m along the track since the start, over every lap
+    this.lap = 1;
+    this.lapStart = 0;     // s
+    this.sector = 0;
+    this.sectorStart = 0;  // s
+    this.splits = [];      // s for each sector of this lap done so far
+    this.trace = [];       // s into this lap at every traceSpacing along it
+    this.lapValid = true;
+    this.sectorValid = true;
+    this.lapViolations = 0;
+    this.violations = [];  // track-limit violations this run
+    this.offTrack = false;
+    this.finished = false; // past the finish of an open track
+  }
+  
+  // Called after every physics step with the run time, the car's position
+  // and whether each tire is inside the track limits
+  update(time, position, wheelsOnTrack) {
+    if (!this.centerline) return;
+    
+    const previousTime = this.time;
+    this.time = time;
+    this.checkTrackLimits(time, wheelsOnTrack);
+    
+    // Far off the track the position can't be timed, so it picks up where
+    // the car rejoins
+    const projection = this.centerline.project(position, this.reach);
+    if (!projection) return;
+    
+    const previous = this.progress;
+    this.progress = this.getProgress(projection.distance);
+    if (previous === null) return;
+    
+    while (!this.finished && this.progress >= this.getLineProgress()) {
+      const line = this.getLineProgress();
+      const t = this.progress > previous ? (line - previous) / (this.progress - previous) : 1;
+      this.crossLine(previousTime + (time - previousTime) * Math.max(0, Math.min(1, t)));
+    }
+    
+    this.recordTrace();
+  }
+  
+  // Progress for a distance along the centerline. A lap wraps round, so the
+  // nearest way round from the last progress is the way the car went.
+  getProgress(distance) {
+    if (!this.closed) return distance;
+    
+    // Starting on the line can put the car just behind it
+    if (this.progress === null) return distance > this.length / 2 ? distance - this.length : distance;
+    
+    let change = distance - (((this.progress % this.length) + this.length) % this.length);
+    if (change > this.length / 2) change -= this.length;
+    if (change < -this.length / 2) change += this.length;
+    return this.progress + change;
+  }
+  
+  // Progress at the end of the current sector
+  getLineProgress() {
+    return (this.lap - 1) * this.length + this.sectors[this.sector].end;
+  }
+  
+  getLapDistance() {
+    return this.progress === null ? 0 : this.progress - (this.lap - 1) * this.length;
+  }
+  
+  crossLine(time) {
+    const split = time - this.sectorStart;
+    const best = this.bestSectors[this.sector];
+    if (this.sectorValid && (best === null || split < best)) {
+      this.bestSectors[this.sector] = split;
+    }
+    
+    this.splits.push(split);
+    this.sector++;
+    this.sectorStart = time;
+    this.sectorValid = !this.offTrack;
+    
+    if (this.sector === this.sectors.length) {
+      this.completeLap(time);
+    }
+  }
+  
+  completeLap(time) {
+    const lap = {
+      lap: this.lap,
+      time: time - this.lapStart,
+      sectors: this.splits,
+      valid: this.lapValid,
+      violations: this.lapViolations
+    };
+    this.laps.push(lap);
+    
+    if (lap.valid && (!this.bestLap || lap.time < this.bestLap.time)) {
+      this.bestLap = lap;
+      this.bestTrace = this.trace;
+    }
+    
+    if (!this.closed) {
+      this.finished = true;
+      return;
+    }
+    
+    this.lap++;
+    this.lapStart = time;
+    this.sector = 0;
+    this.splits = [];
+    this.trace = [];
+    this.lapValid = !this.offTrack;
+    this.lapViolations = 0;
+  }
+  
+  // Time into the lap at each traceSpacing the car has reached
+  recordTrace() {
+    if (this.finished) return;
+    
+    const index = Math.floor(this.getLapDistance() / this.traceSpacing);
+    while (this.trace.length <= index) {
+      this.trace.push(this.time - this.lapStart);
+    }
+  }
+  
+  checkTrackLimits(time, wheelsOnTrack) {
+    const offTrack = wheelsOnTrack.every(onTrack => !onTrack);
+    
+    if (offTrack && !this.offTrack && !this.finished) {
+      this.violations.push({
+        lap: this.lap,
+        sector: this.sector,
+        time,
+        distance: this.getLapDistance()
+      });
+      this.lapViolations++;
+      this.lapValid = false;
+      this.sectorValid = false;
+    }
+    
+    this.offTrack = offTrack;
+  }
+  
+  // Time into the current lap, or the finishing time once an open track is done
+  getLapTime() {
+    return this.finished ? this.laps[this.laps.length - 1].time : this.time - this.lapStart;
+  }
+  
+  // Sector the car is in, the last one once an open track is finished
+  getSector() {
+    return Math.max(0, Math.min(this.sector, this.sectors.length - 1));
+  }
+  
+  // Seconds behind (positive) or ahead of the best lap at the same point
+  // on the lap, null without a best lap to compare with
+  getDelta() {
+    if (!this.bestTrace || this.finished) return null;
+    
+    const position = this.getLapDistance() / this.traceSpacing;
+    const index = Math.floor(position);
+    if (index < 0 || index + 1 >= this.bestTrace.length) return null;
+    
+    const t = position - index;
+    const bestTime = this.bestTrace[index] + (this.bestTrace[index + 1] - this.bestTrace[index]) * t;
+    return this.getLapTime() - bestTime;
+  }
+  
+  // Everything the timing screens show, as plain data
+  getResults() {
+    const lastLap = this.laps.length > 0 ? this.laps[this.laps.length - 1] : null;
+    
+    return {
+      closed: this.closed,
+      lap: this.lap,
+      lapTime: this.getLapTime(),
+      lapDistance: this.getLapDistance(),
+      lapValid: this.lapValid,
+      sector: this.getSector(),
+      sectors: this.sectors.map(sector => ({ ...sector })),
+      splits: this.splits.slice(),
+      bestSectors: this.bestSectors.slice(),
+      lastLap,
+      bestLap: this.bestLap,
+      delta: this.getDelta(),
+      finished: this.finished,
+      offTrack: this.offTrack,
+      violations: this.violations.slice(),
+      laps: this.laps.slice()
+    };
+  }
+}
+
+// Sectors as { name, start, end } in m along the centerline. The track's
+// own sector lines come first, then a single corner's entry and exit.
+// Sectors of no length are dropped, so each line keeps its name with it.
+function getSectors(track, centerline) {
+  const length = centerline.length;
+  let lines;
+  let names;
+  
+  if (track.config.sectors) {
+    lines = track.config.sectors;
+  } else if (!track.centerline && centerline.turns.length > 0) {
+    const turns = centerline.turns;
+    lines = [turns[0].start, turns[turns.length - 1].end];
+    names = ['Approach', 'Corner', 'Exit'];
+  } else {
+    lines = [length / 3, length * 2 / 3];
+  }
+  
+  const ends = [...lines, length];
+  const sectors = ends
+    .map((end, index) => ({
+      name: names ? names[index] : null,
+      start: index > 0 ? ends[index - 1] : 0,
+      end
+    }))
+    .filter(sector => sector.end > sector.start);
+  sectors.forEach((sector, index) => {
+    if (!sector.name) sector.name = `Sector ${index + 1}`;
+  });
+  return sectors;
+}
\ No newline at end of file
@@ -12,6 +12,16 @@ export const PHYSICS_CONFIG = {
   }
 };
 
+// What the tires can be on. Grip multiplies the tires' friction, rolling
+// resistance is per newton of load and bump is the height (m) of a curb's
+// ridges, one every bumpPitch m.
+export const SURFACE_TYPES = {
+  asphalt: { name: 'Asphalt', grip: 1.0, rollingResistance: PHYSICS_CONFIG.rollingResistance, bump: 0, color: 0x333333 },
+  curb: { name: 'Curb', grip: 0.9, rollingResistance: 0.02, bump: 0.025, bumpPitch: 1.5, color: 0xff0000 },
+  grass: { name: 'Grass', grip: 0.45, rollingResistance: 0.08, bump: 0, color: 0x3a7d2c },
+  gravel: { name: 'Gravel', grip: 0.55, rollingResistance: 0.3, bump: 0, color: 0xb8a47e }
+};
+
 export class PhysicsEngine {
   constructor() {
     this.world = new CANNON.World({
@@ -69,36 +79,54 @@ export class PhysicsEngine {
     this.world.addContactMaterial(chassisGroundContact);
   }
   
-  createGround(size = 400) {
+  createGround(size = 1000, center = { x: 0, z: 0 }, height = 0) {
     const groundShape = new CANNON.Box(new CANNON.Vec3(size/2, 0.1, size/2));
     const groundBody = new CANNON.Body({
       mass: 0,
       shape: groundShape,
       material: this.materials.ground,
-      position: new CANNON.Vec3(0, -0.1, 0)
+      position: new CANNON.Vec3(center.x, height - 0.1, center.z)
     });
     
     this.world.addBody(groundBody);
     return groundBody;
   }
   
-  createVehicleBody(config) {
-    // Main chassis body
-    const chassisShape = new CANNON.Box(new CANNON.Vec3(
-      config.dimensions.width / 2,
-      config.dimensions.height / 2,
-      config.dimensions.length / 2
-    ));
+  // Ground shaped to a track surface from TrackSurface.getHeightfield. The
+  // heightfield's grid lies in its local x-y plane with heights along z, so
+  // it is turned to run along +x and -z with heights up +y.
+  createHeightfield({ heights, elementSize, origin }) {
+    const shape = new CANNON.Heightfield(heights, { elementSize });
+    
+    // cannon bounds each cell for raycasts by only two of its corners, so
+    // the suspension rays slip through steeply banked cells. Bound them by
+    // all four.
+    shape.getAabbAtIndex = (xi, yi, { lowerBound, upperBound }) => {
+      const cell = [heights[xi][yi], heights[xi + 1][yi], heights[xi][yi + 1], heights[xi + 1][yi + 1]];
+      lowerBound.set(xi * elementSize, yi * elementSize, Math.min(...cell));
+      upperBound.set((xi + 1) * elementSize, (yi + 1) * elementSize, Math.max(...cell));
+    };
     
+    const body = new CANNON.Body({
+      mass: 0,
+      shape,
+      material: this.materials.ground,
+      position: new CANNON.Vec3(origin.x, 0, origin.z)
+    });
+    body.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+    
+    this.world.addBody(body);
+    return body;
+  }
+  
+  createVehicleBody(config) {
     const chassisBody = new CANNON.Body({
       mass: config.mass,
-      shape: chassisShape,
       material: this.materials.chassis,
       position: new CANNON.Vec3(0, config.dimensions.height, 0)
     });
     
-    // Set center of gravity offset
-    chassisBody.shapeOffsets[0] = new CANNON.Vec3(0, -config.cgHeight + config.dimensions.height/2, 0);
+    chassisBody.addShape(this.createChassisShape(config));
     
     // Calculate inertia tensor
     const inertia = this.calculateInertia(config);
@@ -109,57 +137,83 @@ export class PhysicsEngine {
     
     return {
       body: chassisBody,
-      wheels: this.createWheels(config, chassisBody)
+      wheels: this.createWheels(config)
     };
   }
   
-  createWheels(config, chassisBody) {
-    const wheels = [];
+  // Chassis outline around the center of gravity, with the floor at the
+  // static ride height between the axles. Past them the floor rises towards
+  // the bumpers, like a real car's approach and departure angles, so a ramp
+  // or the start of a banking doesn't ground the overhangs.
+  createChassisShape(config) {
+    const rideHeight = config.rideHeight || 0.1;
+    const overhangRise = Math.tan(12 * Math.PI / 180);
+    const halfWidth = config.dimensions.width / 2;
+    const floor = -config.cgHeight + rideHeight;
+    const top = -config.cgHeight + config.dimensions.height;
+    const front = config.dimensions.length / 2;
+    const frontAxle = Math.min(front, config.wheelbase * config.weightDistribution.rear);
+    const rearAxle = Math.max(-front, -config.wheelbase * config.weightDistribution.front);
+    const bumperHeight = (overhang) => Math.min(top - 0.01, floor + overhang * overhangRise);
     
-    // Wheel positions relative to chassis center
-    const wheelPositions = [
-      new CANNON.Vec3(-config.trackWidth.front/2, -config.suspensionRestLength, config.wheelbase/2), // FL
-      new CANNON.Vec3(config.trackWidth.front/2, -config.suspensionRestLength, config.wheelbase/2),  // FR
-      new CANNON.Vec3(-config.trackWidth.rear/2, -config.suspensionRestLength, -config.wheelbase/2), // RL
-      new CANNON.Vec3(config.trackWidth.rear/2, -config.suspensionRestLength, -config.wheelbase/2)   // RR
+    // Side outline (y, z), round from the top of the nose
+    const outline = [
+      [top, front],
+      [bumperHeight(front - frontAxle), front],
+      [floor, frontAxle],
+      [floor, rearAxle],
+      [bumperHeight(rearAxle + front), -front],
+      [top, -front]
     ];
     
-    wheelPositions.forEach((position, index) => {
-      const wheelShape = new CANNON.Sphere(config.tire.radius);
-      const wheelBody = new CANNON.Body({
-        mass: config.wheelMass || 20,
-        shape: wheelShape,
-        material: this.materials.tire
-      });
-      
-      // Create suspension constraint
-      const constraint = new CANNON.PointToPointConstraint(
-        chassisBody,
-        position,
-        wheelBody,
-        new CANNON.Vec3()
-      );
-      
-      this.world.addBody(wheelBody);
-      this.world.addConstraint(constraint);
-      
-      wheels.push({
-        body: wheelBody,
-        constraint: constraint,
-        position: position,
-        radius: config.tire.radius,
-        suspensionRestLength: config.suspensionRestLength,
-        suspensionStiffness: index < 2 ? config.springRate.front : config.springRate.rear,
-        dampingCompression: config.damperRate.bump,
-        dampingRelaxation: config.damperRate.rebound,
-        frictionSlip: config.tire.peakMu * 1000, // Cannon uses different units
-        rollInfluence: 0.1,
-        maxSuspensionTravel: config.maxSuspensionTravel || 0.2,
-        maxSuspensionForce: 100000
-      });
-    });
+    const count = outline.length;
+    const vertices = [
+      ...outline.map(([y, z]) => new CANNON.Vec3(halfWidth, y, z)),
+      ...outline.map(([y, z]) => new CANNON.Vec3(-halfWidth, y, z))
+    ];
+    const faces = [
+      outline.map((point, i) => i),
+      outline.map((point, i) => 2 * count - 1 - i)
+    ];
+    for (let i = 0; i < count; i++) {
+      const next = (i + 1) % count;
+      faces.push([i, count + i, count + next, next]);
+    }
+    
+    return new CANNON.ConvexPolyhedron({ vertices, faces });
+  }
+  
+  createWheels(config) {
+    // Suspension hardpoints relative to the center of gravity. They sit high
+    // enough that, with the static load compressing each spring, the center
+    // of gravity rests at cgHeight.
+    const staticCompression = (share, springRate) =>
+      config.mass * PHYSICS_CONFIG.gravity * share / 2 / springRate;
+    const frontCompression = staticCompression(config.weightDistribution.front, config.springRate.front);
+    const rearCompression = staticCompression(config.weightDistribution.rear, config.springRate.rear);
+    
+    const frontY = config.suspensionRestLength + config.tire.radius - config.cgHeight - frontCompression;
+    const rearY = config.suspensionRestLength + config.tire.radius - config.cgHeight - rearCompression;
     
-    return wheels;
+    // Axles sit either side of the center of gravity by the weight distribution
+    const frontZ = config.wheelbase * config.weightDistribution.rear;
+    const rearZ = -config.wheelbase * config.weightDistribution.front;
+    
+    const wheelPositions = [
+      new CANNON.Vec3(-config.trackWidth.front/2, frontY, frontZ), // FL
+      new CANNON.Vec3(config.trackWidth.front/2, frontY, frontZ),  // FR
+      new CANNON.Vec3(-config.trackWidth.rear/2, rearY, rearZ),    // RL
+      new CANNON.Vec3(config.trackWidth.rear/2, rearY, rearZ)      // RR
+    ];
+    
+    return wheelPositions.map((position, index) => ({
+      position: position,
+      contactPoint: position.vadd(new CANNON.Vec3(0, -(config.suspensionRestLength + config.tire.radius), 0)),
+      radius: config.tire.radius,
+      suspensionRestLength: config.suspensionRestLength,
+      staticCompression: index < 2 ? frontCompression : rearCompression,
+      maxSuspensionTravel: config.maxSuspensionTravel || 0.2 // Bump travel from static
+    }));
   }
   
   calculateInertia(config) {
@@ -181,8 +235,7 @@ export class PhysicsEngine {
       const force = wheelForces[index];
       if (!force) return;
       
-      // Apply forces at wheel contact point
-      const worldPoint = wheel.body.position;
+      // Tire forces are expressed in the chassis frame
       const worldForce = new CANNON.Vec3(
         force.lateral,
         force.vertical,
@@ -193,47 +246,13 @@ export class PhysicsEngine {
       const quaternion = vehicle.body.quaternion;
       quaternion.vmult(worldForce, worldForce);
       
-      // Apply force to wheel body
-      wheel.body.applyForce(worldForce, worldPoint);
-      
-      // Apply equal and opposite force to chassis
-      const chassisPoint = vehicle.body.position.vadd(wheel.position);
-      vehicle.body.applyForce(worldForce.negate(), chassisPoint);
+      // The contact patch pushes the chassis at the tire's ground contact
+      // (applyForce takes the point relative to the centre of mass)
+      const relativePoint = quaternion.vmult(wheel.contactPoint);
+      vehicle.body.applyForce(worldForce, relativePoint);
     });
   }
   
-  applyAerodynamicForces(vehicle, velocity, aeroConfig) {
-    const v2 = velocity.lengthSquared();
-    const q = 0.5 * PHYSICS_CONFIG.airDensity * v2;
-    
-    // Drag force (always opposes motion)
-    const dragMagnitude = q * aeroConfig.dragCoefficient * aeroConfig.frontalArea;
-    const dragForce = velocity.clone().normalize().scale(-dragMagnitude);
-    vehicle.body.applyForce(dragForce, vehicle.body.position);
-    
-    // Downforce (if applicable)
-    if (aeroConfig.downforceCoefficient) {
-      const totalDownforce = q * (aeroConfig.downforceCoefficient.front + 
-                                  aeroConfig.downforceCoefficient.rear) * 
-                                  aeroConfig.frontalArea;
-      
-      // Apply ground effect multiplier
-      const groundEffect = velocity.length() > 13.9 ? (aeroConfig.groundEffectMultiplier || 1) : 1;
-      
-      // Front downforce
-      const frontDownforce = new CANNON.Vec3(0, -totalDownforce * aeroConfig.downforceBalance * groundEffect, 0);
-      const frontPoint = vehicle.body.position.clone();
-      frontPoint.z += vehicle.wheelbase / 2;
-      vehicle.body.applyForce(frontDownforce, frontPoint);
-      
-      // Rear downforce
-      const rearDownforce = new CANNON.Vec3(0, -totalDownforce * (1 - aeroConfig.downforceBalance) * groundEffect, 0);
-      const rearPoint = vehicle.body.position.clone();
-      rearPoint.z -= vehicle.wheelbase / 2;
-      vehicle.body.applyForce(rearDownforce, rearPoint);
-    }
-  }
-  
   update(deltaTime) {
     // Fixed timestep with interpolation
     this.accumulator += deltaTime;
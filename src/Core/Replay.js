@@ -0,0 +1,287 @@
+export const REPLAY_FORMAT_VERSION = 1;
+export const REPLAY_FILE_EXTENSION = '.replay';
+
+// Replay files start with these four bytes, then the format version and
+// the byte length of the JSON header as little-endian uint32s, the header,
+// padding to a multiple of four bytes and one block of frameCount
+// little-endian Float32 values for each channel in turn.
+const MAGIC = 'RPLY';
+const PREFIX_SIZE = 12;
+
+// Parts of a frame's lap timing that change every step and are stored as
+// channels; the rest only changes at timing lines and is stored as it
+// changes
+const TIMING_CHANNELS = ['lapTime', 'lapDistance', 'delta'];
+
+// A recorded run: one frame for every physics step, from RunRecorder. A
+// frame holds the step's time, the chassis pose, the wheel positions and
+// spin, the vehicle's whole state, the progress along the track and the
+// lap timing. info says what was driven: the vehicle and a hash of its
+// config, the track (its name and cornerType key), racing line, braking
+// style, tire compounds and conditions.
+export class Replay {
+  constructor(info = {}) {
+    this.info = { ...info };
+    this.frames = [];
+  }
+  
+  addFrame(frame) {
+    this.frames.push(frame);
+  }
+  
+  get frameCount() {
+    return this.frames.length;
+  }
+  
+  get duration() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].time : 0;
+  }
+  
+  getFrame(index) {
+    return index >= 0 && index < this.frames.length ? this.frames[index] : null;
+  }
+  
+  // Index of the last frame at or before a time into the run, the first
+  // frame before it
+  getFrameIndex(time) {
+    let low = 0;
+    let high = this.frames.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.frames[middle].time > time) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return Math.max(0, low - 1);
+  }
+  
+  // Binary replay file. Every number, boolean and string in the frames
+  // becomes a channel, laid out by a template of the first frame with a
+  // channel index in place of each value; strings are stored as indices
+  // into the channel's list of values and null as NaN.
+  toArrayBuffer() {
+    const frames = this.frames;
+    if (frames.length === 0) {
+      throw new Error('The replay has no frames');
+    }
+    
+    const split = frames.map(splitTiming);
+    const paths = [];
+    const template = createTemplate(split[0].values, [], paths);
+    const channels = paths.map(path => describeChannel(split.map(({ values }) => getPath(values, path))));
+    
+    const timing = [];
+    let previous = null;
+    split.forEach(({ events: frameEvents }, index) => {
+      const events = JSON.stringify(frameEvents);
+      if (events !== previous) {
+        timing.push({ frame: index, timing: JSON.parse(events) });
+        previous = events;
+      }
+    });
+    
+    const header = new TextEncoder().encode(JSON.stringify({
+      info: this.info,
+      frameCount: frames.length,
+      template,
+      channels: channels.map(({ kind, values }) => (values ? { kind, values } : { kind })),
+      timing
+    }));
+    const dataOffset = align(PREFIX_SIZE + header.length);
+    const buffer = new ArrayBuffer(dataOffset + paths.length * frames.length * 4);
+    const view = new DataView(buffer);
+    
+    for (let i = 0; i < MAGIC.length; i++) {
+      view.setUint8(i, MAGIC.charCodeAt(i));
+    }
+    view.setUint32(4, REPLAY_FORMAT_VERSION, true);
+    view.setUint32(8, header.length, true);
+    new Uint8Array(buffer, PREFIX_SIZE, header.length).set(header);
+    
+    channels.forEach((channel, c) => {
+      const offset = dataOffset + c * frames.length * 4;
+      channel.data.forEach((value, i) => view.setFloat32(offset + i * 4, value, true));
+    });
+    
+    return buffer;
+  }
+  
+  // Replay from a binary file written by toArrayBuffer, as an ArrayBuffer
+  // or a typed array over one. Throws if it isn't one.
+  static parse(source) {
+    const fail = (message) => {
+      throw new Error(`Invalid replay file: ${message}`);
+    };
+    
+    const bytes = ArrayBuffer.isView(source) ?
+      new Uint8Array(source.buffer, source.byteOffset, source.byteLength) :
+      source instanceof ArrayBuffer ? new Uint8Array(source) : null;
+    if (!bytes) {
+      fail('expected binary data');
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = String.fromCharCode(...bytes.subarray(0, MAGIC.length));
+    if (bytes.length < PREFIX_SIZE || magic !== MAGIC) {
+      fail('not a replay file');
+    }
+    
+    const version = view.getUint32(4, true);
+    if (version < 1 || version > REPLAY_FORMAT_VERSION) {
+      fail(`unsupported version ${version}, this build reads up to version ${REPLAY_FORMAT_VERSION}`);
+    }
+    
+    const headerLength = view.getUint32(8, true);
+    if (PREFIX_SIZE + headerLength > bytes.length) {
+      fail('the header is cut short');
+    }
+    
+    let header;
+    try {
+      header = JSON.parse(new TextDecoder().decode(bytes.subarray(PREFIX_SIZE, PREFIX_SIZE + headerLength)));
+    } catch (error) {
+      fail(error.message);
+    }
+    
+    const { info, frameCount, template, channels, timing } = header || {};
+    if (!info || typeof info.track !== 'string' || typeof info.vehicle !== 'string') {
+      fail('missing the vehicle and track it was recorded with');
+    }
+    if (!Number.isInteger(frameCount) || frameCount < 1) {
+      fail('no frames');
+    }
+    if (!template || typeof template !== 'object' || !Array.isArray(channels) || !Array.isArray(timing)) {
+      fail('missing the channel layout');
+    }
+    
+    const dataOffset = align(PREFIX_SIZE + headerLength);
+    if (dataOffset + channels.length * frameCount * 4 > bytes.length) {
+      fail(`the channel data is cut short, expected ${channels.length} channels of ${frameCount} frames`);
+    }
+    
+    const data = channels.map((channel, c) => {
+      if (!channel || !['number', 'boolean', 'string'].includes(channel.kind) ||
+        (channel.kind === 'string' && !Array.isArray(channel.values))) {
+        fail(`channel ${c} has an unknown kind`);
+      }
+      const offset = dataOffset + c * frameCount * 4;
+      const values = new Float32Array(frameCount);
+      for (let i = 0; i < frameCount; i++) {
+        values[i] = view.getFloat32(offset + i * 4, true);
+      }
+      return values;
+    });
+    
+    const replay = new Replay(info);
+    let events = null;
+    let nextEvent = 0;
+    for (let i = 0; i < frameCount; i++) {
+      while (nextEvent < timing.length && timing[nextEvent].frame <= i) {
+        events = timing[nextEvent].timing;
+        nextEvent++;
+      }
+      
+      const frame = fillTemplate(template, (c) => {
+        if (!Number.isInteger(c) || c < 0 || c >= channels.length) {
+          fail(`the template refers to channel ${c}, there are ${channels.length}`);
+        }
+        return decodeValue(channels[c], data[c][i]);
+      });
+      if (typeof frame.time !== 'number' || (i > 0 && frame.time <= replay.frames[i - 1].time)) {
+        fail(`frame ${i} must come after the one before it`);
+      }
+      
+      frame.timing = { ...events, ...frame.timing };
+      replay.addFrame(frame);
+    }
+    
+    return replay;
+  }
+}
+
+// Short hash of a vehicle config, to tell whether a replay was recorded
+// with the same car setup: FNV-1a over its JSON with the keys sorted
+export function getConfigHash(config) {
+  const json = JSON.stringify(config, (key, value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    const sorted = {};
+    Object.keys(value).sort().forEach(name => {
+      sorted[name] = value[name];
+    });
+    return sorted;
+  });
+  
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// The frame with only its per-step timing values, and the rest of its
+// timing
+function splitTiming(frame) {
+  const values = { ...frame, timing: {} };
+  const events = { ...frame.timing };
+  TIMING_CHANNELS.forEach(name => {
+    values.timing[name] = events[name];
+    delete events[name];
+  });
+  return { values, events };
+}
+
+// Copy of a frame with the index of a new channel in place of each value,
+// adding each value's path to paths
+function createTemplate(value, path, paths) {
+  if (value && typeof value === 'object') {
+    const template = Array.isArray(value) ? [] : {};
+    Object.keys(value).forEach(key => {
+      template[key] = createTemplate(value[key], [...path, key], paths);
+    });
+    return template;
+  }
+  
+  paths.push(path);
+  return paths.length - 1;
+}
+
+function fillTemplate(template, getValue) {
+  if (typeof template !== 'object' || template === null) return getValue(template);
+  
+  const value = Array.isArray(template) ? [] : {};
+  Object.keys(template).forEach(key => {
+    value[key] = fillTemplate(template[key], getValue);
+  });
+  return value;
+}
+
+function getPath(value, path) {
+  return path.reduce((item, key) => (item === null || item === undefined ? item : item[key]), value);
+}
+
+// Kind of a channel from its values over every frame, and the numbers
+// stored for them
+function describeChannel(values) {
+  if (values.some(value => typeof value === 'string')) {
+    const names = [...new Set(values.filter(value => typeof value === 'string'))];
+    return { kind: 'string', values: names, data: values.map(value => (typeof value === 'string' ? names.indexOf(value) : NaN)) };
+  }
+  if (values.some(value => typeof value === 'boolean')) {
+    return { kind: 'boolean', data: values.map(value => (value ? 1 : 0)) };
+  }
+  return { kind: 'number', data: values.map(value => (typeof value === 'number' ? value : NaN)) };
+}
+
+function decodeValue(channel, value) {
+  if (Number.isNaN(value)) return null;
+  if (channel.kind === 'boolean') return value !== 0;
+  if (channel.kind === 'string') return channel.values[value] !== undefined ? channel.values[value] : null;
+  return value;
+}
+
+function align(offset) {
+  return Math.ceil(offset / 4) * 4;
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { Replay } from './Replay.js';
+
+// Records every physics step of the run a SimulationCore is driving: the
+// vehicle's whole state (tire forces, wheel loads, aero forces, slips,
+// temperatures and the driver's inputs), the chassis pose, wheel positions
+// and spin, and the lap timing. Any step can then be shown again exactly as
+// it was, so a run can be scrubbed back and stepped through a frame at a
+// time. Resetting the core builds a new vehicle, which starts a new run,
+// described by getInfo() when it takes its first step.
+export class RunRecorder {
+  constructor(core, getInfo = () => ({})) {
+    this.core = core;
+    this.getInfo = getInfo;
+    this.enabled = true;
+    this.run = null;     // Replay being recorded
+    this.vehicle = null; // vehicle of the run being recorded
+    this.removeObserver = core.addObserver((sample, core) => this.record(sample, core));
+  }
+  
+  record(sample, core) {
+    const vehicle = core.vehicle;
+    if (vehicle !== this.vehicle) {
+      this.run = null;
+      this.vehicle = vehicle;
+    }
+    if (!this.enabled) return;
+    
+    if (!this.run) {
+      this.run = new Replay(this.getInfo());
+    }
+    this.run.addFrame({
+      time: sample.time,
+      position: sample.position,
+      rotation: sample.rotation,
+      wheels: vehicle.wheels.map((wheel, index) => vehicle.getWheelPosition(index)),
+      wheelAngles: vehicle.wheelDynamics.rotationAngles.slice(),
+      state: copy(vehicle.state),
+      progress: core.timing.progress,
+      timing: core.timing.getResults()
+    });
+  }
+  
+  // Replay of the run the core is still driving, null once it has been
+  // reset and hasn't stepped since or while nothing has been recorded
+  getReplay() {
+    return this.vehicle === this.core.vehicle ? this.run : null;
+  }
+  
+  // Turning recording off drops what has been recorded
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.clear();
+  }
+  
+  clear() {
+    this.run = null;
+  }
+  
+  dispose() {
+    this.removeObserver();
+  }
+}
+
+// Deep copy of the vehicle state, which only holds plain objects, arrays
+// and values
+function copy(value) {
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = copy(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
\ No newline at end of file
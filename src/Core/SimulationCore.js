@@ -0,0 +1,294 @@
+import { PhysicsEngine, PHYSICS_CONFIG } from './PhysicsEngine.js';
+import { VehicleDynamics } from '../Physics/VehicleDynamics.js';
+import { LapTimer } from './LapTimer.js';
+
+// Controls used when no script is attached (car coasts in neutral input)
+export const IDLE_CONTROLS = {
+  throttle: 0,
+  brake: 0,
+  steering: 0,
+  steeringAngle: 0,
+  handbrake: false,
+  clutch: 0,
+  gearUp: false,
+  gearDown: false,
+  drs: false
+};
+
+// Build a control script from time-stamped keyframes, e.g.
+// [{ time: 0, throttle: 1 }, { time: 4, throttle: 0, brake: 1 }]
+// Values are linearly interpolated between keyframes, booleans are held.
+// Controls missing from a keyframe keep their previous value.
+export function createKeyframeScript(keyframes) {
+  const sorted = keyframes.slice().sort((a, b) => a.time - b.time);
+  
+  const frames = [];
+  sorted.forEach((keyframe, index) => {
+    const previous = index > 0 ? frames[index - 1] : IDLE_CONTROLS;
+    frames.push({ ...IDLE_CONTROLS, ...previous, ...keyframe });
+  });
+  
+  return (time) => {
+    let previous = frames[0];
+    let next = frames[0];
+    
+    for (let i = 0; i < frames.length; i++) {
+      if (time >= frames[i].time) {
+        previous = frames[i];
+        next = frames[Math.min(i + 1, frames.length - 1)];
+      }
+    }
+    
+    const span = next.time - previous.time;
+    const t = span > 0 ? Math.max(0, Math.min(1, (time - previous.time) / span)) : 0;
+    const controls = { ...IDLE_CONTROLS };
+    
+    Object.keys(IDLE_CONTROLS).forEach(key => {
+      const from = previous[key];
+      const to = next[key];
+      controls[key] = typeof from === 'number' ? from + (to - from) * t : from;
+    });
+    
+    return controls;
+  };
+}
+
+// Headless simulation core - no Three.js, window or document access.
+// Steps the physics world at a fixed PHYSICS_CONFIG.timeStep so the same
+// vehicle config, corner and control script always give the same telemetry.
+// Renderers and UI observe it through addObserver().
+export class SimulationCore {
+  constructor(vehicleConfig, corner = null, controlScript = null) {
+    this.vehicleConfig = vehicleConfig;
+    this.corner = corner;
+    this.controlScript = null;
+    this.setControlScript(controlScript);
+    this.timeStep = PHYSICS_CONFIG.timeStep;
+    
+    // Settings that survive a reset
+    this.gravityScale = 1.0;
+    this.conditions = null; // TrackConditions, null for a dry, green track
+    
+    // Run state
+    this.physics = null;
+    this.vehicle = null;
+    this.time = 0;
+    this.stepCount = 0;
+    this.telemetry = [];
+    this.recordTelemetry = true;
+    
+    // Lap and sector times, kept over resets until the car, corner or
+    // conditions change
+    this.timing = new LapTimer(corner);
+    
+    this.observers = [];
+    
+    this.reset();
+  }
+  
+  // Rebuild the physics world from scratch so every run starts from
+  // identical solver state
+  reset() {
+    if (this.physics) {
+      this.physics.dispose();
+    }
+    
+    this.physics = new PhysicsEngine();
+    this.physics.world.gravity.y = -PHYSICS_CONFIG.gravity * this.gravityScale;
+    this.createGround();
+    
+    this.vehicle = new VehicleDynamics(this.vehicleConfig, this.physics);
+    this.vehicle.setDRSZones(this.corner ? this.corner.drsZones : []);
+    this.vehicle.setTrackSurface(this.corner ? this.corner.surface : null);
+    this.applyConditions();
+    this.placeVehicleAtEntry();
+    
+    this.time = 0;
+    this.stepCount = 0;
+    this.telemetry = [];
+    this.timing.reset();
+  }
+  
+  // Ground under the whole track, with room to run off it. Banked or
+  // cambered tracks get a heightfield following their surface, over a
+  // plane just below it to catch anything that leaves it.
+  createGround() {
+    const surface = this.corner && this.corner.surface;
+    let bounds = this.corner && this.corner.bounds;
+    let height = 0;
+    
+    if (surface && !surface.isFlat()) {
+      const heightfield = surface.getHeightfield();
+      const body = this.physics.createHeightfield(heightfield);
+      height = body.shapes[0].minValue - 1;
+      bounds = bounds || {
+        min: { x: heightfield.origin.x, z: heightfield.origin.z - heightfield.size.z },
+        max: { x: heightfield.origin.x + heightfield.size.x, z: heightfield.origin.z }
+      };
+    }
+    
+    if (!bounds) {
+      this.physics.createGround(1000, { x: 0, z: 0 }, height);
+      return;
+    }
+    
+    const margin = 200; // m
+    const size = Math.max(bounds.max.x - bounds.min.x, bounds.max.z - bounds.min.z) + 2 * margin;
+    this.physics.createGround(Math.max(1000, size), {
+      x: (bounds.min.x + bounds.max.x) / 2,
+      z: (bounds.min.z + bounds.max.z) / 2
+    }, height);
+  }
+  
+  placeVehicleAtEntry() {
+    if (!this.corner) return;
+    
+    const entryPoint = this.corner.entryPoint;
+    const direction = this.corner.entryDirection || { x: 0, z: 1 };
+    
+    // Vehicle forward axis is +z, yaw it onto the entry direction
+    const heading = Math.atan2(direction.x, direction.z);
+    
+    // Drop the car in at its static center of gravity height so it settles
+    // on the springs without bouncing
+    const height = (entryPoint.y || 0) + this.vehicleConfig.cgHeight;
+    
+    this.vehicle.resetPosition({ x: entryPoint.x, y: height, z: entryPoint.z }, heading);
+  }
+  
+  setVehicleConfig(vehicleConfig) {
+    this.vehicleConfig = vehicleConfig;
+    this.timing.clear();
+    this.reset();
+  }
+  
+  setCorner(corner) {
+    this.corner = corner;
+    this.timing.setTrack(corner);
+    this.reset();
+  }
+  
+  // Accepts a function (time, vehicleState, core) => controls or an array
+  // of keyframes for createKeyframeScript
+  setControlScript(controlScript) {
+    this.controlScript = Array.isArray(controlScript) ?
+      createKeyframeScript(controlScript) :
+      controlScript;
+  }
+  
+  setGravityScale(scale) {
+    this.gravityScale = scale;
+    this.physics.world.gravity.y = -PHYSICS_CONFIG.gravity * scale;
+  }
+  
+  // Weather and track state, applied to the running car straight away
+  setConditions(conditions) {
+    this.conditions = conditions;
+    this.timing.clear();
+    this.applyConditions();
+  }
+  
+  applyConditions() {
+    if (this.conditions) this.conditions.setTrack(this.corner);
+    this.vehicle.setConditions(this.conditions);
+  }
+  
+  getScriptedControls() {
+    if (!this.controlScript) {
+      return { ...IDLE_CONTROLS };
+    }
+    
+    return { ...IDLE_CONTROLS, ...this.controlScript(this.time, this.vehicle.getState(), this) };
+  }
+  
+  // Advance exactly one fixed physics step
+  step(controls = null) {
+    const stepControls = controls || this.getScriptedControls();
+    
+    this.vehicle.update(stepControls, this.timeStep);
+    this.physics.world.step(this.timeStep);
+    
+    this.stepCount++;
+    this.time = this.stepCount * this.timeStep;
+    
+    const lapCount = this.timing.laps.length;
+    this.timing.update(this.time, this.vehicle.getPosition(), this.vehicle.state.wheelsOnTrack);
+    if (this.timing.laps.length > lapCount && this.vehicle.ers) {
+      this.vehicle.ers.startLap(); // the ERS allowances are per lap
+    }
+    this.vehicle.telemetry.lapTime = this.timing.getLapTime();
+    
+    const sample = this.createSample(stepControls);
+    if (this.recordTelemetry) {
+      this.telemetry.push(sample);
+    }
+    
+    this.observers.forEach(observer => observer(sample, this));
+    
+    return sample;
+  }
+  
+  // Run for a fixed duration and return the recorded telemetry
+  run(duration) {
+    const steps = Math.round(duration / this.timeStep);
+    for (let i = 0; i < steps; i++) {
+      this.step();
+    }
+    
+    return this.telemetry;
+  }
+  
+  createSample(controls) {
+    const state = this.vehicle.state;
+    
+    return {
+      time: this.time,
+      position: this.vehicle.getPosition(),
+      rotation: this.vehicle.getRotation(),
+      speed: state.speed,
+      rpm: state.rpm,
+      gear: state.gear,
+      shifting: state.shifting,
+      clutchEngagement: state.clutchEngagement,
+      ersStateOfCharge: state.ersStateOfCharge,
+      ersDeployment: state.ersDeployment,
+      ersHarvest: state.ersHarvest,
+      throttle: controls.throttle,
+      brake: controls.brake,
+      steering: controls.steeringAngle,
+      lateralG: state.lateralG,
+      longitudinalG: state.longitudinalG,
+      verticalG: state.verticalG,
+      yawRate: state.yawRate,
+      wheelLoads: state.wheelLoads.slice(),
+      wheelSpeeds: state.wheelSpeeds.slice(),
+      slipRatios: state.slipRatios.slice(),
+      wheelSurfaces: state.wheelSurfaces.slice(),
+      wheelsOnTrack: state.wheelsOnTrack.slice(),
+      tireTemps: state.tireTemps.slice(),
+      tireWear: state.tireWear.slice(),
+      brakeTemps: state.brakeTemps.slice(),
+      lap: this.timing.lap,
+      lapTime: this.timing.getLapTime(),
+      lapDistance: this.timing.getLapDistance(),
+      sector: this.timing.getSector(),
+      offTrack: this.timing.offTrack
+    };
+  }
+  
+  addObserver(observer) {
+    this.observers.push(observer);
+    return () => this.removeObserver(observer);
+  }
+  
+  removeObserver(observer) {
+    this.observers = this.observers.filter(o => o !== observer);
+  }
+  
+  dispose() {
+    this.observers = [];
+    if (this.physics) {
+      this.physics.dispose();
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,243 @@
+const WHEELS = ['FL', 'FR', 'RL', 'RR'];
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Channels the logger records, in order, with the units they are logged
+// in. read(state, core, logger) gives a channel's value after a physics
+// step from the vehicle state, the SimulationCore and the logger's session
+// clock; null is logged as no value. Per-wheel channels are FL, FR, RL, RR.
+export const LOG_CHANNELS = [
+  // Session
+  channel('Time', 's', (state, core, logger) => logger.sessionTime),
+  channel('Distance', 'm', (state, core, logger) => logger.distance),
+  channel('Run', '', (state, core, logger) => logger.run),
+  channel('Run Time', 's', (state, core) => core.time),
+  
+  // Timing
+  channel('Lap', '', (state, core) => core.timing.lap),
+  channel('Lap Time', 's', (state, core) => core.timing.getLapTime()),
+  channel('Lap Distance', 'm', (state, core) => core.timing.getLapDistance()),
+  channel('Sector', '', (state, core) => core.timing.getSector() + 1),
+  channel('Off Track', '', (state, core) => core.timing.offTrack),
+  
+  // Position in the world
+  channel('Position X', 'm', (state, core) => core.vehicle.getPosition().x),
+  channel('Position Y', 'm', (state, core) => core.vehicle.getPosition().y),
+  channel('Position Z', 'm', (state, core) => core.vehicle.getPosition().z),
+  
+  // Driver
+  channel('Throttle', '%', (state) => state.throttle * 100),
+  channel('Brake', '%', (state) => state.brake * 100),
+  channel('Steering Angle', 'deg', (state) => state.steering * RAD_TO_DEG),
+  channel('Handbrake', '', (state) => state.handbrake),
+  channel('Clutch Pedal', '%', (state) => state.clutch * 100),
+  
+  // Engine and driveline
+  channel('Speed', 'km/h', (state) => state.speed * 3.6),
+  channel('Engine RPM', 'rpm', (state) => state.rpm),
+  channel('Gear', '', (state) => state.gear),
+  channel('Shifting', '', (state) => state.shifting),
+  channel('Clutch Engagement', '%', (state) => state.clutchEngagement * 100),
+  channel('Rev Limiter', '', (state) => state.revLimiter),
+  
+  // Chassis
+  channel('Lateral G', 'g', (state) => state.lateralG),
+  channel('Longitudinal G', 'g', (state) => state.longitudinalG),
+  channel('Vertical G', 'g', (state) => state.verticalG),
+  channel('Yaw Rate', 'deg/s', (state) => state.yawRate * RAD_TO_DEG),
+  channel('Roll Angle', 'deg', (state) => state.rollAngle * RAD_TO_DEG),
+  channel('Pitch Angle', 'deg', (state) => state.pitchAngle * RAD_TO_DEG),
+  channel('Ride Height Front', 'mm', (state) => state.rideHeight.front * 1000),
+  channel('Ride Height Rear', 'mm', (state) => state.rideHeight.rear * 1000),
+  channel('Bank Angle', 'deg', (state) => state.bankAngle * RAD_TO_DEG),
+  channel('Banking Support', 'N', (state) => state.bankingSupport),
+  
+  // Aerodynamics
+  channel('Downforce Front', 'N', (state) => state.aeroForces.frontDownforce),
+  channel('Downforce Rear', 'N', (state) => state.aeroForces.rearDownforce),
+  channel('Drag', 'N', (state) => state.aeroForces.drag),
+  channel('Aero Balance', '%', (state) => state.aeroForces.balance * 100),
+  channel('DRS Flap', '%', (state) => (state.drsFlap === null ? null : state.drsFlap * 100)),
+  channel('DRS Available', '', (state) => state.drsAvailable),
+  
+  // Hybrid energy store, F1 only
+  channel('ERS State of Charge', '%', (state) => (state.ersStateOfCharge === null ? null : state.ersStateOfCharge * 100)),
+  channel('ERS Deployment', 'kW', (state) => state.ersDeployment / 1000),
+  channel('ERS Harvest', 'kW', (state) => state.ersHarvest / 1000),
+  
+  // Brakes
+  channel('Brake Bias', '%', (state) => state.brakeBias * 100),
+  ...wheelChannels('Brake Temp', 'C', (state, index) => state.brakeTemps[index]),
+  ...wheelChannels('Brake Friction', '', (state, index) => state.brakeFriction[index]),
+  
+  // Wheels and tires
+  ...wheelChannels('Wheel Load', 'N', (state, index) => state.wheelLoads[index]),
+  ...wheelChannels('Wheel Speed', 'rad/s', (state, index) => state.wheelSpeeds[index]),
+  ...wheelChannels('Slip Ratio', '%', (state, index) => state.slipRatios[index] * 100),
+  ...wheelChannels('Slip Angle', 'deg', (state, index) => state.slipAngles[index] * RAD_TO_DEG),
+  ...wheelChannels('Tire Lateral Force', 'N', (state, index) => state.tireForces[index].lateral),
+  ...wheelChannels('Tire Longitudinal Force', 'N', (state, index) => state.tireForces[index].longitudinal),
+  ...wheelChannels('Tire Max Force', 'N', (state, index) => state.tireForces[index].maximum),
+  ...wheelChannels('Tire Utilization', '%', (state, index) => state.tireForces[index].utilization * 100),
+  ...wheelChannels('Suspension Compression', 'mm', (state, index) => state.suspensionCompression[index] * 1000),
+  ...wheelChannels('Tire Temp', 'C', (state, index) => state.tireTemps[index]),
+  ...wheelChannels('Tire Temp Inner', 'C', (state, index) => state.tireSurfaceTemps[index][0]),
+  ...wheelChannels('Tire Temp Middle', 'C', (state, index) => state.tireSurfaceTemps[index][1]),
+  ...wheelChannels('Tire Temp Outer', 'C', (state, index) => state.tireSurfaceTemps[index][2]),
+  ...wheelChannels('Tire Carcass Temp', 'C', (state, index) => state.tireCarcassTemps[index]),
+  ...wheelChannels('Tire Wear', '%', (state, index) => state.tireWear[index] * 100),
+  ...wheelChannels('Surface Grip', '', (state, index) => state.surfaceGrip[index]),
+  ...wheelChannels('Wheel On Track', '', (state, index) => state.wheelsOnTrack[index])
+];
+
+// Rates (Hz) the logger can sample at, each a whole number of physics steps
+export const LOG_RATES = [60, 30, 20, 10, 5, 1];
+
+// Logs LOG_CHANNELS from every run of a SimulationCore for a whole session,
+// at rate samples a second. Runs follow each other on one session clock,
+// as the laps of an outing would, and every finished lap is marked with a
+// beacon at the session time it ended. The log exports as CSV, or as CSV
+// in the layout MoTeC i2 imports, with the units under the channel names.
+export class TelemetryLogger {
+  constructor(core, rate = 20) {
+    this.core = core;
+    this.channels = LOG_CHANNELS;
+    this.setRate(rate);
+    this.clear();
+    this.removeObserver = core.addObserver((sample, core) => this.record(sample, core));
+  }
+  
+  // Samples a second, rounded to a whole number of physics steps
+  setRate(rate) {
+    if (!(rate > 0)) {
+      throw new Error(`Invalid log rate: ${rate}`);
+    }
+    this.interval = Math.max(1, Math.round(1 / (rate * this.core.timeStep))); // steps
+    this.rate = 1 / (this.interval * this.core.timeStep);
+  }
+  
+  // Starts a new session from the run under way
+  clear() {
+    this.columns = this.channels.map(() => []);
+    this.beacons = [];      // session time at the end of every lap, s
+    this.startDate = null;  // wall clock at the first sample
+    this.run = 1;
+    this.vehicle = this.core.vehicle; // vehicle of the current run
+    this.runStart = -this.core.time;  // session time the current run started at
+    this.sessionTime = 0;
+    this.distance = 0;      // m over the session
+    this.lapCount = this.core.timing.laps.length;
+  }
+  
+  get sampleCount() {
+    return this.columns[0].length;
+  }
+  
+  record(sample, core) {
+    // Resetting the core builds a new vehicle for the next run
+    if (core.vehicle !== this.vehicle) {
+      this.vehicle = core.vehicle;
+      this.runStart = this.sessionTime;
+      this.run++;
+    }
+    
+    this.sessionTime = this.runStart + core.time;
+    this.distance += sample.speed * core.timeStep;
+    this.recordLaps(core.timing);
+    
+    if (core.stepCount % this.interval !== 0) return;
+    
+    if (!this.startDate) this.startDate = new Date();
+    const state = core.vehicle.state;
+    this.channels.forEach((channel, index) => {
+      const value = channel.read(state, core, this);
+      this.columns[index].push(value === null || value === undefined ? NaN : Number(value));
+    });
+  }
+  
+  // Beacon for a lap the LapTimer finished this step. A circuit's next lap
+  // starts where it ended; an open track's only lap starts the run.
+  recordLaps(timing) {
+    const laps = timing.laps;
+    if (laps.length > this.lapCount) {
+      const lap = laps[laps.length - 1];
+      const end = timing.closed ? timing.lapStart : timing.lapStart + lap.time;
+      this.beacons.push(this.runStart + end);
+    }
+    this.lapCount = laps.length; // fewer once the timer is cleared
+  }
+  
+  // Plain CSV: a row of channel names with their units, then a row for
+  // every sample
+  toCSV() {
+    const names = this.channels.map(({ name, unit }) => (unit ? `${name} (${unit})` : name));
+    return [names.map(quote).join(','), ...this.getRows()].join('\n');
+  }
+  
+  // CSV in MoTeC i2's layout: the session details, beacon markers for the
+  // laps, channel names and units, then the samples. info may give the
+  // venue, vehicle, driver and comment.
+  toMoTeCCSV(info = {}) {
+    const date = this.startDate || new Date();
+    const day = `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+    const time = `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    const duration = this.sampleCount > 0 ? this.columns[0][this.sampleCount - 1] : 0;
+    const rate = Number.isInteger(this.rate) ? this.rate : this.rate.toFixed(3);
+    
+    const header = [
+      ['Format', 'MoTeC CSV File', '', '', 'Workbook', ''],
+      ['Venue', info.venue || '', '', '', 'Worksheet', ''],
+      ['Vehicle', info.vehicle || '', '', '', 'Vehicle Desc', ''],
+      ['Driver', info.driver || '', '', '', 'Engine ID', ''],
+      ['Device', 'Racing Physics Simulation', '', '', 'Date', day],
+      ['Comment', info.comment || '', '', '', 'Time', time],
+      ['Log Date', day, '', '', 'Origin Time', '0', 's'],
+      ['Log Time', time, '', '', 'Start Time', '0', 's'],
+      ['Sample Rate', rate, 'Hz', '', 'End Time', duration.toFixed(3), 's'],
+      ['Duration', duration.toFixed(3), 's', '', 'Start Distance', '0', 'm'],
+      ['Range', 'entire outing', '', '', 'End Distance', this.distance.toFixed(0), 'm'],
+      ['Beacon Markers', ...this.beacons.map(beacon => beacon.toFixed(3))],
+      [],
+      [],
+      this.channels.map(({ name }) => name),
+      this.channels.map(({ unit }) => unit),
+      [],
+      []
+    ];
+    
+    return [...header.map(row => row.map(quote).join(',')), ...this.getRows(quote)].join('\n');
+  }
+  
+  getRows(format = (value) => value) {
+    const rows = [];
+    for (let i = 0; i < this.sampleCount; i++) {
+      rows.push(this.columns.map(column => format(formatValue(column[i]))).join(','));
+    }
+    return rows;
+  }
+  
+  dispose() {
+    this.removeObserver();
+  }
+}
+
+function channel(name, unit, read) {
+  return { name, unit, read };
+}
+
+// One channel for each wheel, named after it
+function wheelChannels(name, unit, read) {
+  return WHEELS.map((wheel, index) => channel(`${name} ${wheel}`, unit, (state, core) => read(state, index, core)));
+}
+
+// Up to four decimals, nothing for no value
+function formatValue(value) {
+  return Number.isNaN(value) ? '' : String(Math.round(value * 10000) / 10000);
+}
+
+function quote(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
\ No newline at end of file
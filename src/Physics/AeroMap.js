@@ -0,0 +1,60 @@
+// Aerodynamic map. Downforce and its front/rear balance are looked up from
+// the floor's front and rear ride heights (so pitch, as the difference
+// between them, is part of the map) and scaled for yaw, as a wind tunnel
+// map would be. The balance places the center of pressure between the
+// axles, so it moves as the car dives, squats, rolls off its floor or yaws.
+export class AeroMap {
+  constructor(config) {
+    this.map = config.aeroMap || null;
+    this.baseBalance = config.downforceBalance || 0.5;
+  }
+  
+  // Multiplier on the downforce coefficient and the front share of the
+  // downforce. Ride heights in m, yaw in rad.
+  evaluate(frontRideHeight, rearRideHeight, yawAngle) {
+    if (!this.map) {
+      return { downforce: 1, balance: this.baseBalance };
+    }
+    
+    const map = this.map;
+    const heights = map.rideHeights;
+    let downforce = interpolate2D(heights, heights, map.downforce, frontRideHeight, rearRideHeight);
+    let balance = interpolate2D(heights, heights, map.balance, frontRideHeight, rearRideHeight);
+    
+    if (map.yaw) {
+      const yawDegrees = Math.abs(yawAngle) * 180 / Math.PI;
+      downforce *= interpolate(map.yaw.angles, map.yaw.downforce, yawDegrees);
+      balance += interpolate(map.yaw.angles, map.yaw.balance, yawDegrees);
+    }
+    
+    return { downforce, balance };
+  }
+}
+
+// Index of the table segment holding x and how far along it, clamped to
+// the ends of the table
+function locate(axis, x) {
+  if (x <= axis[0]) return { index: 0, t: 0 };
+  
+  const last = axis.length - 1;
+  if (x >= axis[last]) return { index: Math.max(0, last - 1), t: last > 0 ? 1 : 0 };
+  
+  let index = 0;
+  while (x > axis[index + 1]) index++;
+  return { index, t: (x - axis[index]) / (axis[index + 1] - axis[index]) };
+}
+
+function interpolate(axis, values, x) {
+  const { index, t } = locate(axis, x);
+  const next = Math.min(index + 1, values.length - 1);
+  return values[index] + (values[next] - values[index]) * t;
+}
+
+// table[row][column] with rows along rowAxis and columns along columnAxis
+function interpolate2D(rowAxis, columnAxis, table, row, column) {
+  const r = locate(rowAxis, row);
+  const nextRow = Math.min(r.index + 1, table.length - 1);
+  const a = interpolate(columnAxis, table[r.index], column);
+  const b = interpolate(columnAxis, table[nextRow], column);
+  return a + (b - a) * r.t;
+}
\ No newline at end of file
@@ -0,0 +1,73 @@
+// Brake system for the four corners (FL, FR, RL, RR). Line pressure is split
+// front/rear by the brake bias, and each disc's friction coefficient follows
+// its temperature: carbon brakes barely bite cold, work in a window around
+// the optimal temperature and fade once they run past the maximum. Discs
+// heat up with the power they absorb and cool in the airflow.
+export class BrakeSystem {
+  constructor(config) {
+    this.config = config;
+    this.thermal = {
+      optimal: 300,       // °C, full friction from here
+      max: 600,           // °C, fade starts above this
+      coolingRate: 20,    // W/K with the car stationary
+      thermalMass: 4000,  // J/K per corner (disc, pads and caliper)
+      coldFriction: 0.9,  // friction relative to optimal at ambient
+      fadeFriction: 0.5,  // friction relative to optimal when fully faded
+      fadeRange: 200,     // °C above max to fully faded
+      ...config.brakeTemperature
+    };
+    
+    // Nominal per-corner forces are the balanced system, bias moves pressure
+    this.totalForce = 2 * (config.brakeForce.front + config.brakeForce.rear); // N
+    this.ambientTemperature = 20; // °C
+    
+    this.setBias(config.brakeBias);
+    this.reset();
+  }
+  
+  // Share of braking force on the front axle
+  setBias(bias) {
+    this.bias = Math.max(0, Math.min(1, bias));
+  }
+  
+  // Braking force at the tire (N) for a pedal input 0-1
+  getBrakeForce(index, input) {
+    const axleShare = index < 2 ? this.bias : 1 - this.bias;
+    return this.totalForce * axleShare / 2 * input * this.friction[index];
+  }
+  
+  // Friction coefficient relative to the disc's optimal window
+  getFrictionFactor(temperature) {
+    const t = this.thermal;
+    
+    if (temperature < t.optimal) {
+      const warmUp = Math.max(0, (temperature - this.ambientTemperature) / (t.optimal - this.ambientTemperature));
+      return t.coldFriction + (1 - t.coldFriction) * warmUp;
+    }
+    if (temperature > t.max) {
+      const fade = Math.min(1, (temperature - t.max) / t.fadeRange);
+      return 1 - (1 - t.fadeFriction) * fade;
+    }
+    return 1;
+  }
+  
+  // frictionTorques are the torques each disc carries (N·m), wheelSpeeds the
+  // wheel angular velocities (rad/s) and speed the car's airspeed (m/s)
+  update(frictionTorques, wheelSpeeds, speed, deltaTime) {
+    // Cooling improves with airflow through the ducts
+    const cooling = this.thermal.coolingRate * (1 + speed / 10);
+    
+    this.temperatures = this.temperatures.map((temperature, index) => {
+      const heat = Math.abs(frictionTorques[index] * wheelSpeeds[index]);
+      const loss = cooling * (temperature - this.ambientTemperature);
+      return temperature + (heat - loss) * deltaTime / this.thermal.thermalMass;
+    });
+    
+    this.friction = this.temperatures.map(temperature => this.getFrictionFactor(temperature));
+  }
+  
+  reset() {
+    this.temperatures = [0, 1, 2, 3].map(() => this.ambientTemperature);
+    this.friction = this.temperatures.map(temperature => this.getFrictionFactor(temperature));
+  }
+}
\ No newline at end of file
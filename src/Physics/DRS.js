@@ -0,0 +1,81 @@
+// Drag reduction system. Race control enables it, and a press of the DRS
+// button opens the rear wing flap only inside an activation zone. The flap
+// shuts again on the brakes, at the end of the zone or on a second press.
+// It swings open over activationDelay and shuts in half that, so the aero
+// change fades in and out instead of switching in a single step.
+export class DRSSystem {
+  constructor(config) {
+    this.config = config.drs;
+    this.openTime = this.config.activationDelay || 0.5; // s
+    this.closeTime = this.config.closeDelay || this.openTime / 2; // s
+    this.brakeThreshold = 0.05;
+    
+    this.enabled = true;
+    this.zones = [];
+    
+    this.reset();
+  }
+  
+  get active() {
+    return this.flap > 0;
+  }
+  
+  // Zones are straight stretches of track, { start, end, width }, in world
+  // x/z coordinates
+  setZones(zones) {
+    this.zones = zones || [];
+  }
+  
+  getZone(position) {
+    return this.zones.find(zone => {
+      const dx = zone.end.x - zone.start.x;
+      const dz = zone.end.z - zone.start.z;
+      const length = Math.sqrt(dx * dx + dz * dz);
+      if (length === 0) return false;
+      
+      // Distance along the zone and across it
+      const px = position.x - zone.start.x;
+      const pz = position.z - zone.start.z;
+      const along = (px * dx + pz * dz) / length;
+      const across = (px * dz - pz * dx) / length;
+      
+      return along >= 0 && along <= length && Math.abs(across) <= zone.width / 2;
+    }) || null;
+  }
+  
+  update(button, brake, position, deltaTime) {
+    const pressed = !!button && !this.previousButton;
+    this.previousButton = !!button;
+    
+    this.available = this.enabled && this.getZone(position) !== null;
+    
+    if (!this.available || brake > this.brakeThreshold) {
+      this.open = false;
+    } else if (pressed) {
+      this.open = !this.open;
+    }
+    
+    // Flap travel towards its commanded position
+    if (this.open) {
+      this.flap = Math.min(1, this.flap + deltaTime / this.openTime);
+    } else {
+      this.flap = Math.max(0, this.flap - deltaTime / this.closeTime);
+    }
+  }
+  
+  // Scale factors for drag and rear downforce at the current flap position
+  getDragFactor() {
+    return 1 - this.config.dragReduction * this.flap;
+  }
+  
+  getRearDownforceFactor() {
+    return 1 - this.config.downforceReduction * this.flap;
+  }
+  
+  reset() {
+    this.open = false;
+    this.available = false;
+    this.flap = 0; // 0 closed, 1 fully open
+    this.previousButton = false;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,347 @@
+// Selectable gearbox behaviours:
+// automatic  - shifts itself on driveline RPM, paddles are ignored
+// sequential - paddle shifts one gear at a time with an automated clutch
+// manual     - paddle shifts plus neutral and the driver's clutch pedal
+export const TRANSMISSION_MODES = ['automatic', 'sequential', 'manual'];
+
+const RPM_TO_RAD = Math.PI / 30;
+
+// Engine, clutch and gearbox between the throttle and the driven wheels.
+// The engine has its own inertia and speed; the clutch either slips, passing
+// at most its torque capacity, or locks the engine to the wheels. Gear changes
+// open the clutch for the shift time, which interrupts the drive torque.
+export class Drivetrain {
+  constructor(config) {
+    this.config = config;
+    this.transmission = config.transmission || {};
+    
+    this.engineInertia = config.engineInertia || 0.1;          // kg·m²
+    this.clutchMaxTorque = config.clutchMaxTorque || 400;      // N·m
+    this.drivenWheelInertia = 2 * (config.wheelMomentOfInertia || 1.0);
+    this.peakTorque = Math.max(...config.torqueCurve.map(point => point.torque));
+    
+    // The limiter cuts the fuel before the revs reach maxRPM and restores it
+    // once they drop this far below
+    this.revLimiterDrop = 100;
+    
+    // Pulling away, the automated clutch takes this long (s) to close fully
+    this.clutchEngageTime = 0.3;
+    
+    // Automatic mode holds each gear at least this long so it can't hunt
+    this.minTimeInGear = 1.0;
+    
+    this.mode = this.transmission.mode || 'automatic';
+    this.reset();
+  }
+  
+  setMode(mode) {
+    if (!TRANSMISSION_MODES.includes(mode)) return;
+    
+    this.mode = mode;
+    
+    // Only the manual box has a neutral
+    if (mode !== 'manual' && this.gear === 0) {
+      this.gear = 1;
+    }
+  }
+  
+  get rpm() {
+    return this.engineSpeed / RPM_TO_RAD;
+  }
+  
+  get shifting() {
+    return this.shiftTimer > 0;
+  }
+  
+  // Overall ratio from engine to wheel for a gear (0 = neutral)
+  getRatio(gear = this.gear) {
+    if (gear <= 0) return 0;
+    return this.config.gearRatios[gear - 1] * this.config.finalDrive;
+  }
+  
+  getShiftTime() {
+    const shiftTime = this.transmission.shiftTime || {};
+    return shiftTime[this.mode] || 0.2;
+  }
+  
+  // Work out this step's clutch torque from the current engine and driven
+  // wheel speeds (rad/s). Call before the wheels are integrated.
+  // roadSpeed is the car's speed as a wheel speed, so the launch clutch
+  // follows the car rather than wheelspin. assistTorque is extra crankshaft
+  // torque, e.g. from a hybrid motor.
+  update(controls, wheelSpeed, roadSpeed, deltaTime, assistTorque = 0) {
+    this.handleShiftInputs(controls);
+    this.updateShift(deltaTime);
+    
+    if (this.mode === 'automatic') {
+      this.updateAutomaticShifting(wheelSpeed);
+    }
+    
+    const ratio = this.getRatio();
+    const drivelineSpeed = wheelSpeed * ratio;
+    
+    this.updateRevLimiter();
+    this.engineTorque = this.getEngineTorque(this.rpm, this.getEffectiveThrottle(controls.throttle, wheelSpeed, deltaTime)) + assistTorque;
+    this.clutchEngagement = this.getClutchEngagement(controls.clutch || 0, roadSpeed * ratio, deltaTime);
+    
+    const capacity = this.clutchMaxTorque * this.clutchEngagement;
+    
+    if (ratio === 0 || capacity <= 0) {
+      this.clutchLocked = false;
+      this.clutchTorque = 0;
+      return;
+    }
+    
+    // A locked clutch breaks away once the engine torque exceeds its
+    // capacity, or slips once the driveline would drag the engine below idle
+    const aboveIdle = drivelineSpeed >= this.config.idleRPM * RPM_TO_RAD;
+    if (this.clutchLocked && (Math.abs(this.engineTorque) > capacity || !aboveIdle)) {
+      this.clutchLocked = false;
+    }
+    
+    const slipSpeed = this.engineSpeed - drivelineSpeed;
+    if (this.clutchLocked) {
+      this.clutchTorque = this.engineTorque;
+    } else {
+      // Slipping clutch drags the faster side towards the slower one
+      this.slipDirection = Math.sign(slipSpeed);
+      this.clutchTorque = capacity * this.slipDirection;
+      this.slipCapacity = capacity;
+    }
+  }
+  
+  // Range (rad/s) the driven wheels can end this step in. A slipping clutch
+  // drags the light driveline at most to the engine's speed, unless the
+  // road is already turning the wheels past it.
+  getWheelSpeedLimits(rollingSpeed) {
+    const ratio = this.getRatio();
+    if (this.clutchLocked || this.clutchTorque === 0 || ratio === 0) {
+      return { min: -Infinity, max: Infinity };
+    }
+    
+    const syncSpeed = this.engineSpeed / ratio;
+    return this.slipDirection > 0 ?
+      { min: -Infinity, max: Math.max(syncSpeed, rollingSpeed) } :
+      { min: Math.min(syncSpeed, rollingSpeed), max: Infinity };
+  }
+  
+  // Advance the engine speed once the wheels have been integrated
+  updateEngineSpeed(wheelSpeed, deltaTime) {
+    const drivelineSpeed = wheelSpeed * this.getRatio();
+    
+    if (this.clutchLocked) {
+      this.engineSpeed = drivelineSpeed;
+    } else {
+      this.engineSpeed += (this.engineTorque - this.clutchTorque) / this.engineInertia * deltaTime;
+      
+      // The limiter catches a free-revving engine at maxRPM
+      const maxSpeed = this.config.maxRPM * RPM_TO_RAD;
+      if (this.engineSpeed > maxSpeed && drivelineSpeed <= maxSpeed) {
+        this.engineSpeed = maxSpeed;
+        this.revLimiterActive = true;
+      }
+      
+      // Slip speeds crossing over means the clutch has caught the driveline.
+      // Below idle it keeps slipping so it doesn't stall the engine.
+      const slipping = this.clutchTorque !== 0;
+      if (slipping && Math.sign(this.engineSpeed - drivelineSpeed) !== this.slipDirection) {
+        this.engineSpeed = drivelineSpeed;
+        this.clutchLocked = Math.abs(this.engineTorque) <= this.slipCapacity &&
+          drivelineSpeed >= this.config.idleRPM * RPM_TO_RAD;
+      }
+    }
+    
+    this.engineSpeed = Math.max(0, this.engineSpeed);
+  }
+  
+  // Torque at the driven axle (N·m)
+  getWheelTorque() {
+    return this.clutchTorque * this.getRatio();
+  }
+  
+  // Engine inertia seen at the driven axle while the clutch is locked
+  getReflectedInertia() {
+    if (!this.clutchLocked) return 0;
+    
+    const ratio = this.getRatio();
+    return this.engineInertia * ratio * ratio;
+  }
+  
+  // Shift requests fire on the press, not while the paddle is held
+  handleShiftInputs(controls) {
+    const gearUp = !!controls.gearUp;
+    const gearDown = !!controls.gearDown;
+    
+    if (this.mode !== 'automatic') {
+      if (gearUp && !this.previousGearUp) this.requestShift(this.gear + 1);
+      if (gearDown && !this.previousGearDown) this.requestShift(this.gear - 1);
+    }
+    
+    this.previousGearUp = gearUp;
+    this.previousGearDown = gearDown;
+  }
+  
+  requestShift(targetGear) {
+    if (this.shifting) return false;
+    
+    const lowestGear = this.mode === 'manual' ? 0 : 1;
+    if (targetGear < lowestGear || targetGear > this.config.gearRatios.length) return false;
+    
+    this.targetGear = targetGear;
+    this.shiftTimer = this.getShiftTime();
+    this.clutchLocked = false;
+    return true;
+  }
+  
+  updateShift(deltaTime) {
+    if (!this.shifting) {
+      this.timeInGear += deltaTime;
+      return;
+    }
+    
+    this.shiftTimer -= deltaTime;
+    if (this.shiftTimer <= 0) {
+      this.shiftTimer = 0;
+      this.gear = this.targetGear;
+      this.targetGear = null;
+      this.timeInGear = 0;
+    }
+  }
+  
+  // Shifts on engine speed, taken from the driven wheels so a slipping
+  // launch clutch doesn't count
+  updateAutomaticShifting(wheelSpeed) {
+    if (this.shifting || this.gear === 0 || this.timeInGear < this.minTimeInGear) return;
+    
+    const drivelineRPM = wheelSpeed * this.getRatio() / RPM_TO_RAD;
+    const upshiftRPM = this.transmission.upshiftRPM || this.config.maxRPM * 0.95;
+    const downshiftRPM = this.transmission.downshiftRPM || this.config.maxRPM * 0.5;
+    
+    // Upshift on engine speed only once the clutch has locked after a launch
+    if (this.clutchLocked && this.rpm > upshiftRPM && this.gear < this.config.gearRatios.length) {
+      this.requestShift(this.gear + 1);
+    } else if (drivelineRPM < downshiftRPM && this.gear > 1) {
+      // Only drop a gear if it won't put the engine straight back over the upshift point
+      const nextRPM = drivelineRPM * this.getRatio(this.gear - 1) / this.getRatio();
+      if (nextRPM < upshiftRPM * 0.9) {
+        this.requestShift(this.gear - 1);
+      }
+    }
+  }
+  
+  // Cuts the fuel if the revs would pass maxRPM on this step, going by how
+  // fast they rose over the last step with fuel, so they stay under it
+  updateRevLimiter() {
+    if (this.previousRPM !== null && !this.revLimiterActive) {
+      this.fueledRise = Math.max(0, this.rpm - this.previousRPM);
+    }
+    this.previousRPM = this.rpm;
+    
+    if (this.rpm + this.fueledRise >= this.config.maxRPM) {
+      this.revLimiterActive = true;
+    } else if (this.rpm < this.config.maxRPM - this.revLimiterDrop) {
+      this.revLimiterActive = false;
+    }
+  }
+  
+  getEffectiveThrottle(throttle, wheelSpeed, deltaTime) {
+    if (this.revLimiterActive) return 0;
+    
+    // Automated shifts cut the ignition on upshifts and blip the throttle on
+    // downshifts so the engine meets the next gear's speed
+    if (this.shifting && this.mode !== 'manual') {
+      const targetSpeed = wheelSpeed * this.getRatio(this.targetGear);
+      return this.engineSpeed < targetSpeed ? 1 : 0;
+    }
+    
+    // Idle control opens the throttle just enough to bring the engine back
+    // to idle within the step, so light race engines don't hunt
+    const idleSpeed = this.config.idleRPM * RPM_TO_RAD;
+    const requiredTorque = (idleSpeed - this.engineSpeed) * this.engineInertia / deltaTime;
+    const friction = this.getFrictionTorque(this.rpm);
+    const idleThrottle = (requiredTorque + friction) / (this.interpolateTorqueCurve(this.rpm) + friction);
+    return Math.max(throttle, Math.max(0, Math.min(1, idleThrottle)));
+  }
+  
+  // Net engine torque: the torque curve at the throttle opening, less
+  // pumping and friction losses that give engine braking when closed
+  getEngineTorque(rpm, throttle) {
+    return this.interpolateTorqueCurve(rpm) * throttle - this.getFrictionTorque(rpm) * (1 - throttle);
+  }
+  
+  getFrictionTorque(rpm) {
+    return this.peakTorque * (0.05 + 0.1 * rpm / this.config.maxRPM);
+  }
+  
+  interpolateTorqueCurve(rpm) {
+    // Interpolate torque from curve
+    const torqueCurve = this.config.torqueCurve;
+    
+    // Find surrounding points
+    let lowerPoint = torqueCurve[0];
+    let upperPoint = torqueCurve[torqueCurve.length - 1];
+    
+    // Hold the end values outside the curve
+    if (rpm <= lowerPoint.rpm) return lowerPoint.torque;
+    if (rpm >= upperPoint.rpm) return upperPoint.torque;
+    
+    for (let i = 0; i < torqueCurve.length - 1; i++) {
+      if (rpm >= torqueCurve[i].rpm && rpm <= torqueCurve[i + 1].rpm) {
+        lowerPoint = torqueCurve[i];
+        upperPoint = torqueCurve[i + 1];
+        break;
+      }
+    }
+    
+    // Linear interpolation
+    const t = (rpm - lowerPoint.rpm) / (upperPoint.rpm - lowerPoint.rpm);
+    return lowerPoint.torque + t * (upperPoint.torque - lowerPoint.torque);
+  }
+  
+  // 0 = clutch open, 1 = fully closed. roadDrivelineSpeed is the speed the
+  // driveline would turn at with the driven wheels rolling at road speed.
+  getClutchEngagement(clutchPedal, roadDrivelineSpeed, deltaTime) {
+    if (this.shifting) return 0;
+    
+    // Launch control: the clutch bites progressively as the revs rise towards
+    // the launch RPM, no faster than clutchEngageTime until the car turns the
+    // driveline at idle, and closes fully once it turns it at twice idle.
+    // Going by road speed, wheelspin doesn't snatch the clutch shut. Below
+    // idle it opens so the engine doesn't stall when the car stops.
+    const idleSpeed = this.config.idleRPM * RPM_TO_RAD;
+    const launchSpeed = (this.transmission.launchRPM || this.config.idleRPM * 2) * RPM_TO_RAD;
+    const bite = Math.max(0, Math.min(1, (this.engineSpeed - idleSpeed) / (launchSpeed - idleSpeed)));
+    const launchEngagement = Math.min(1, bite * this.peakTorque / this.clutchMaxTorque);
+    const drivelineEngagement = Math.max(0, Math.min(1, (roadDrivelineSpeed - idleSpeed) / idleSpeed));
+    let automatedEngagement = Math.max(launchEngagement, drivelineEngagement);
+    if (roadDrivelineSpeed < idleSpeed) {
+      automatedEngagement = Math.min(automatedEngagement, this.clutchEngagement + deltaTime / this.clutchEngageTime);
+    }
+    
+    if (this.mode !== 'manual') {
+      return automatedEngagement;
+    }
+    
+    // Manual: the pedal decides, with the same bite point as an anti-stall assist
+    return Math.min(1 - clutchPedal, automatedEngagement);
+  }
+  
+  reset() {
+    this.gear = 1;
+    this.targetGear = null;
+    this.shiftTimer = 0;
+    this.timeInGear = 0;
+    this.engineSpeed = this.config.idleRPM * RPM_TO_RAD;
+    this.engineTorque = 0;
+    this.clutchTorque = 0;
+    this.clutchEngagement = 0;
+    this.clutchLocked = false;
+    this.slipDirection = 0;
+    this.slipCapacity = 0;
+    this.revLimiterActive = false;
+    this.previousRPM = null;
+    this.fueledRise = 0;
+    this.previousGearUp = false;
+    this.previousGearDown = false;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Hybrid energy recovery system (F1 MGU-K with the MGU-H feeding it).
+// Stored energy is deployed as extra crankshaft torque on throttle, and the
+// MGU-K recovers energy from the rear axle under braking, each up to a
+// per-lap limit. The deployment mode sets how hard the battery is used.
+// SimulationCore starts a new lap's allowances as each lap is finished.
+export class EnergyRecoverySystem {
+  constructor(config) {
+    this.config = config.ers;
+    this.capacity = this.config.kersCapacity; // J
+    
+    // The MGU-H can route its power straight to the MGU-K while deploying
+    this.maxDeployPower = this.config.kersMaxPower + (this.config.mguHPower || 0); // W
+    this.maxHarvestPower = this.config.kersMaxPower; // W
+    this.deployLimitPerLap = this.config.deployLimitPerLap || Infinity; // J
+    this.harvestLimitPerLap = this.config.harvestLimitPerLap || Infinity; // J
+    
+    this.reset();
+  }
+  
+  get stateOfCharge() {
+    return this.energy / this.capacity;
+  }
+  
+  getModeSettings(mode) {
+    const modes = this.config.modes || {};
+    return modes[mode] || { power: 1.0, reserve: 0 };
+  }
+  
+  // Crankshaft torque (N·m) to add this step. Energy above the mode's
+  // reserve is drained in proportion to the throttle, until the lap's
+  // deployment allowance is used up.
+  deploy(mode, throttle, engineSpeed, canDeploy, deltaTime) {
+    this.deployPower = 0;
+    if (!canDeploy || throttle <= 0 || engineSpeed <= 0) return 0;
+    
+    const settings = this.getModeSettings(mode);
+    const lapAllowance = Math.max(0, this.deployLimitPerLap - this.deployedThisLap);
+    const available = Math.min(Math.max(0, this.energy - settings.reserve * this.capacity), lapAllowance);
+    const power = Math.min(this.maxDeployPower * settings.power * throttle, available / deltaTime);
+    if (power <= 0) return 0;
+    
+    this.deployPower = power;
+    this.energy -= power * deltaTime;
+    this.deployedThisLap += power * deltaTime;
+    
+    return power / engineSpeed;
+  }
+  
+  // Recover energy from the rear brakes. brakeTorque is the total braking
+  // torque on the rear axle (N·m), wheelSpeed its angular velocity (rad/s).
+  // Returns the share of that torque now carried by the MGU-K.
+  harvest(brakeTorque, wheelSpeed, deltaTime) {
+    this.harvestPower = 0;
+    if (brakeTorque <= 0 || wheelSpeed <= 0) return 0;
+    
+    const lapAllowance = Math.max(0, this.harvestLimitPerLap - this.harvestedThisLap);
+    const room = Math.min(this.capacity - this.energy, lapAllowance);
+    const power = Math.min(this.maxHarvestPower, brakeTorque * wheelSpeed, room / deltaTime);
+    if (power <= 0) return 0;
+    
+    this.harvestPower = power;
+    this.energy += power * deltaTime;
+    this.harvestedThisLap += power * deltaTime;
+    
+    return power / wheelSpeed;
+  }
+  
+  // Per-lap allowances start again at the line
+  startLap() {
+    this.harvestedThisLap = 0;
+    this.deployedThisLap = 0;
+  }
+  
+  reset() {
+    this.energy = this.capacity;
+    this.deployPower = 0;
+    this.harvestPower = 0;
+    this.startLap();
+  }
+}
\ No newline at end of file
@@ -0,0 +1,351 @@
+import { PHYSICS_CONFIG } from '../Core/PhysicsEngine.js';
+import { TireModel } from './TireModel.js';
+import { AeroMap } from './AeroMap.js';
+import { TIRE_COMPOUNDS, getAxleTire } from './TireCompounds.js';
+
+const RPM_TO_RAD = Math.PI / 30;
+
+// Quasi-steady-state speed solver. The car is treated as a point mass that is
+// always at the edge of its g-g-V envelope: at each speed the tires, aero
+// and engine set the lateral grip, the traction or power-limited
+// acceleration and the braking it can make. A path is given as curvature
+// against distance; the solver caps the speed at every point to what the
+// lateral grip allows, then runs a forward pass accelerating as hard as the
+// grip left over from cornering permits and a backward pass doing the same
+// for braking.
+//
+// The braking style shapes the braking side of the envelope: maxBrakeForce
+// scales the brake system, safetyMargin stretches braking distances, and
+// the release profile says how braking and cornering combine - trail
+// braking ('gradual') uses the full friction ellipse, threshold braking
+// ('immediate') gives up braking in proportion to cornering, and early
+// braking ('complete') does none once the car is turning.
+//
+// Each axle's tire compound sets its grip, and track conditions, if given,
+// scale it to what that compound finds on the rubbered line at each speed
+// and widen the braking margin in the wet. gripScale scales it again, for
+// tires out of their window or worn.
+export class QSSSolver {
+  constructor(vehicleConfig, conditions = null, gripScale = 1) {
+    this.config = vehicleConfig;
+    this.conditions = conditions;
+    this.gripScale = gripScale;
+    this.tireModel = new TireModel();
+    this.aeroMap = new AeroMap(vehicleConfig);
+    this.gravity = PHYSICS_CONFIG.gravity;
+    this.tires = {
+      front: getAxleTire(vehicleConfig, 'front'),
+      rear: getAxleTire(vehicleConfig, 'rear')
+    };
+    
+    // The car's lateral limit is rated on the compound its tire names
+    this.ratedMu = TIRE_COMPOUNDS[vehicleConfig.tire.compound].peakMu;
+    
+    // Share of the lateral grip in use above which early braking has stopped
+    this.turnInThreshold = 0.1;
+    
+    // Aero is evaluated at the static ride height
+    const rideHeight = vehicleConfig.rideHeight || 0;
+    const aero = this.aeroMap.evaluate(rideHeight, rideHeight, 0);
+    const downforce = vehicleConfig.downforceCoefficient;
+    this.downforceArea = downforce ?
+      (downforce.front + downforce.rear) * vehicleConfig.frontalArea * aero.downforce :
+      0;
+    this.rearDownforceShare = 1 - aero.balance;
+    this.dragArea = vehicleConfig.dragCoefficient * vehicleConfig.frontalArea;
+    
+    // Gearing sets the top speed, short of the configured maximum
+    const topGear = vehicleConfig.gearRatios.length;
+    this.topSpeed = Math.min(
+      vehicleConfig.maxSpeed / 3.6,
+      this.getRoadSpeed(vehicleConfig.maxRPM, topGear)
+    );
+    
+    // The hybrid system deploys on top of the engine (qualifying mode)
+    const ers = vehicleConfig.ers;
+    this.hybridPower = ers ? ers.kersMaxPower + (ers.mguHPower || 0) : 0;
+    
+    // Brake system force at the tires with the discs in their window
+    this.brakeSystemForce = 2 * (vehicleConfig.brakeForce.front + vehicleConfig.brakeForce.rear);
+  }
+  
+  getRoadSpeed(rpm, gear) {
+    const ratio = this.config.gearRatios[gear - 1] * this.config.finalDrive;
+    return rpm * RPM_TO_RAD / ratio * this.config.tire.radius;
+  }
+  
+  // Tire grip (N) with the given load shared evenly over the tires, all
+  // four or the rear pair, each in its window and in the conditions
+  getTireGrip(load, tires = 4, speed = 0) {
+    const tireLoad = load / tires;
+    const axles = tires === 2 ? [this.tires.rear] : [this.tires.front, this.tires.rear];
+    const mu = axles.reduce((sum, tire) =>
+      sum + this.tireModel.getGripLevel(tireLoad, tire.optimalTemp, tire, 0) * this.getConditionGrip(speed, tire), 0
+    ) / axles.length;
+    return mu * tireLoad * tires;
+  }
+  
+  // Grip multiplier the track conditions and the grip scale give a tire at
+  // a speed (m/s)
+  getConditionGrip(speed, tire) {
+    return (this.conditions ? this.conditions.getLineGrip(speed, tire) : 1) * this.gripScale;
+  }
+  
+  // Grip of the fitted tires in the conditions relative to the rated ones
+  // in the dry
+  getGripScale(speed) {
+    const { front, rear } = this.tires;
+    return (front.peakMu * this.getConditionGrip(speed, front) + rear.peakMu * this.getConditionGrip(speed, rear)) /
+      (2 * this.ratedMu);
+  }
+  
+  // Largest engine force at the tires (N) in the best gear for this speed.
+  // Below the lowest revs the clutch slips, so the bottom of the torque
+  // curve is available.
+  getDriveForce(speed) {
+    const config = this.config;
+    const radius = config.tire.radius;
+    let force = 0;
+    
+    config.gearRatios.forEach(gearRatio => {
+      const ratio = gearRatio * config.finalDrive;
+      const rpm = speed / radius * ratio / RPM_TO_RAD;
+      if (rpm > config.maxRPM) return;
+      
+      const torque = this.interpolateTorqueCurve(Math.max(rpm, config.torqueCurve[0].rpm));
+      force = Math.max(force, torque * ratio / radius);
+    });
+    
+    if (this.hybridPower > 0) {
+      force += this.hybridPower / Math.max(speed, 1);
+    }
+    
+    return force;
+  }
+  
+  interpolateTorqueCurve(rpm) {
+    const curve = this.config.torqueCurve;
+    if (rpm <= curve[0].rpm) return curve[0].torque;
+    
+    for (let i = 0; i < curve.length - 1; i++) {
+      if (rpm <= curve[i + 1].rpm) {
+        const t = (rpm - curve[i].rpm) / (curve[i + 1].rpm - curve[i].rpm);
+        return curve[i].torque + t * (curve[i + 1].torque - curve[i].torque);
+      }
+    }
+    
+    return curve[curve.length - 1].torque;
+  }
+  
+  // g-g-V envelope at a speed, all in m/s²: lateral grip, forward
+  // acceleration (traction or power limited), braking and the drag and
+  // rolling resistance that slow the car when coasting
+  getEnvelope(speed, brakingStyle = null) {
+    const config = this.config;
+    const mass = config.mass;
+    const q = 0.5 * PHYSICS_CONFIG.airDensity * speed * speed;
+    
+    const downforce = q * this.downforceArea;
+    const load = mass * this.gravity + downforce;
+    const rearLoad = mass * this.gravity * config.weightDistribution.rear + downforce * this.rearDownforceShare;
+    
+    const drag = q * this.dragArea;
+    const rollingResistance = PHYSICS_CONFIG.rollingResistance * load;
+    
+    // Rear wheel drive: traction from the rear pair only
+    const traction = Math.min(this.getDriveForce(speed), this.getTireGrip(rearLoad, 2, speed));
+    
+    const pedal = brakingStyle ? brakingStyle.maxBrakeForce : 1;
+    let margin = brakingStyle ? brakingStyle.safetyMargin || 1 : 1;
+    if (this.conditions) margin *= this.conditions.getBrakingMargin();
+    const braking = Math.min(this.brakeSystemForce * pedal, this.getTireGrip(load, 4, speed)) / margin;
+    
+    // The car's rated lateral limit caps what the tires alone would give:
+    // load transfer and tires running off their peak aren't modelled here.
+    // It is rated in the dry on the car's own compound, so it follows the grip.
+    const lateral = Math.min(
+      this.getTireGrip(load, 4, speed) / mass,
+      (config.maxLateralG || Infinity) * this.gravity * this.getGripScale(speed)
+    );
+    
+    return {
+      lateral,
+      acceleration: traction / mass,
+      braking: braking / mass,
+      resistance: (drag + rollingResistance) / mass
+    };
+  }
+  
+  // Highest steady speed (m/s) round a curvature (1/m)
+  getMaxCornerSpeed(curvature) {
+    const k = Math.abs(curvature);
+    const holds = (speed) => speed * speed * k <= this.getEnvelope(speed).lateral;
+    
+    if (k < 1e-6 || holds(this.topSpeed)) return this.topSpeed;
+    
+    // Grip grows with downforce, so bisect for where it runs out
+    let low = 0;
+    let high = this.topSpeed;
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      if (holds(mid)) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    
+    return low;
+  }
+  
+  // Share of the longitudinal envelope left while using lateralUse (0-1)
+  // of the lateral grip
+  getCombinedFactor(lateralUse, profile) {
+    const use = Math.min(1, Math.abs(lateralUse));
+    
+    switch (profile) {
+      case 'linear':
+        return 1 - use;
+      case 'none':
+        return use > this.turnInThreshold ? 0 : 1;
+      default: // ellipse
+        return Math.sqrt(1 - use * use);
+    }
+  }
+  
+  getBrakingProfile(brakingStyle) {
+    switch (brakingStyle && brakingStyle.releaseProfile) {
+      case 'gradual': return 'ellipse';
+      case 'complete': return 'none';
+      default: return 'linear';
+    }
+  }
+  
+  // path: { distances, curvatures } (m, 1/m). Options: brakingStyle (an
+  // entry of BRAKING_STYLES), entrySpeed and exitSpeed (m/s, unconstrained
+  // when null) and closed for a lap, where the path's first and last points
+  // are the same place and the car arrives at the line at the speed it
+  // leaves it. Returns the speed profile (m/s) with the accelerations along
+  // it, the time to cover the path, the minimum speed and the distance
+  // spent braking.
+  solve(path, { brakingStyle = null, entrySpeed = null, exitSpeed = null, closed = false } = {}) {
+    if (closed) {
+      return this.solveLap(path, brakingStyle);
+    }
+    
+    const { distances, curvatures } = path;
+    const count = distances.length;
+    const brakingProfile = this.getBrakingProfile(brakingStyle);
+    
+    const limits = curvatures.map(curvature => this.getMaxCornerSpeed(curvature));
+    const lateralUse = (speed, index) => {
+      const lateral = this.getEnvelope(speed).lateral;
+      return lateral > 0 ? speed * speed * Math.abs(curvatures[index]) / lateral : 1;
+    };
+    
+    // Forward pass: accelerate with the grip left over from cornering
+    const speeds = limits.slice();
+    if (entrySpeed !== null) {
+      speeds[0] = Math.min(speeds[0], entrySpeed);
+    }
+    for (let i = 0; i < count - 1; i++) {
+      const speed = speeds[i];
+      const envelope = this.getEnvelope(speed, brakingStyle);
+      const factor = this.getCombinedFactor(lateralUse(speed, i), 'ellipse');
+      const acceleration = envelope.acceleration * factor - envelope.resistance;
+      const distance = distances[i + 1] - distances[i];
+      
+      const reachable = Math.sqrt(Math.max(0, speed * speed + 2 * acceleration * distance));
+      speeds[i + 1] = Math.min(speeds[i + 1], reachable);
+    }
+    
+    // Backward pass: brake as late as the envelope allows
+    if (exitSpeed !== null) {
+      speeds[count - 1] = Math.min(speeds[count - 1], exitSpeed);
+    }
+    const braking = new Array(count).fill(false);
+    for (let i = count - 2; i >= 0; i--) {
+      const speed = speeds[i + 1];
+      const envelope = this.getEnvelope(speed, brakingStyle);
+      const brake = envelope.braking * this.getCombinedFactor(lateralUse(speed, i + 1), brakingProfile);
+      const distance = distances[i + 1] - distances[i];
+      
+      const allowed = Math.sqrt(speed * speed + 2 * (brake + envelope.resistance) * distance);
+      if (allowed < speeds[i]) {
+        speeds[i] = allowed;
+        braking[i] = brake > 0;
+      }
+    }
+    
+    // Results along the path
+    let time = 0;
+    let brakingDistance = 0;
+    const longitudinalG = [];
+    for (let i = 0; i < count - 1; i++) {
+      const distance = distances[i + 1] - distances[i];
+      const averageSpeed = (speeds[i] + speeds[i + 1]) / 2;
+      time += averageSpeed > 0 ? distance / averageSpeed : 0;
+      if (braking[i]) brakingDistance += distance;
+      
+      const acceleration = distance > 0 ? (speeds[i + 1] * speeds[i + 1] - speeds[i] * speeds[i]) / (2 * distance) : 0;
+      longitudinalG.push(acceleration / this.gravity);
+    }
+    longitudinalG.push(longitudinalG.length > 0 ? longitudinalG[longitudinalG.length - 1] : 0);
+    
+    return {
+      distances,
+      curvatures,
+      speeds,
+      limits,
+      lateralG: speeds.map((speed, i) => speed * speed * curvatures[i] / this.gravity),
+      longitudinalG,
+      braking,
+      time,
+      minSpeed: Math.min(...speeds),
+      brakingDistance
+    };
+  }
+  
+  // A flying lap: the lap is solved three times over, end to end, and the
+  // middle one kept, by when neither pass depends on where it started
+  solveLap(path, brakingStyle) {
+    const { distances, curvatures } = path;
+    const count = distances.length;
+    const length = distances[count - 1];
+    
+    const laps = { distances: [], curvatures: [] };
+    for (let lap = 0; lap < 3; lap++) {
+      for (let i = lap === 0 ? 0 : 1; i < count; i++) {
+        laps.distances.push(distances[i] + lap * length);
+        laps.curvatures.push(curvatures[i]);
+      }
+    }
+    
+    const result = this.solve(laps, { brakingStyle });
+    const middle = (array) => array.slice(count - 1, 2 * count - 1);
+    
+    const speeds = middle(result.speeds);
+    const braking = middle(result.braking);
+    let time = 0;
+    let brakingDistance = 0;
+    for (let i = 0; i < count - 1; i++) {
+      const distance = distances[i + 1] - distances[i];
+      const averageSpeed = (speeds[i] + speeds[i + 1]) / 2;
+      time += averageSpeed > 0 ? distance / averageSpeed : 0;
+      if (braking[i]) brakingDistance += distance;
+    }
+    
+    return {
+      distances,
+      curvatures,
+      speeds,
+      limits: middle(result.limits),
+      lateralG: middle(result.lateralG),
+      longitudinalG: middle(result.longitudinalG),
+      braking,
+      time,
+      minSpeed: Math.min(...speeds),
+      brakingDistance
+    };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,230 @@
+import * as CANNON from 'cannon-es';
+import { SURFACE_TYPES } from '../Core/PhysicsEngine.js';
+
+// Raycast suspension for the four corners (FL, FR, RL, RR). Each corner casts
+// a ray from its chassis hardpoint down to the ground; spring, damper and
+// anti-roll bar forces push the chassis up at the hardpoint, and their sum is
+// the vertical load on that tire. Roll and pitch come out of the chassis
+// settling on the springs rather than from a formula. With a track surface
+// set, each corner also finds what its tire is on, and a curb's ridges push
+// the tire up into the spring.
+export class Suspension {
+  constructor(config, wheels) {
+    this.config = config;
+    this.wheels = wheels;
+    this.trackSurface = null;
+    
+    // Bump stop is much stiffer than the spring once travel runs out
+    this.bumpStopMultiplier = 10;
+    
+    this.corners = wheels.map(() => ({
+      contact: false,
+      compression: 0,         // m, 0 = fully extended
+      compressionVelocity: 0, // m/s, positive in bump
+      springForce: 0,
+      damperForce: 0,
+      antiRollForce: 0,
+      load: 0,                // N
+      hitDistance: 0,
+      groundBody: null,
+      normal: new CANNON.Vec3(0, 1, 0), // ground surface normal under the tire
+      ground: getDefaultGround(),       // surface type, grip and rolling resistance under the tire
+      bump: 0                           // m a curb ridge lifts the tire
+    }));
+    
+    this.rollAngle = 0;  // rad, positive when the body leans onto the +x wheels
+    this.pitchAngle = 0; // rad, positive nose up
+    this.rideHeight = { front: 0, rear: 0 };
+    
+    this.rayResult = new CANNON.RaycastResult();
+  }
+  
+  update(body, world, deltaTime) {
+    const down = body.vectorToWorldFrame(new CANNON.Vec3(0, -1, 0));
+    
+    // Rays must not hit the chassis itself
+    const collisionResponse = body.collisionResponse;
+    body.collisionResponse = false;
+    this.wheels.forEach((wheel, index) => this.castRay(body, world, wheel, this.corners[index], down, deltaTime));
+    body.collisionResponse = collisionResponse;
+    
+    // Spring and damper per corner
+    this.corners.forEach((corner, index) => {
+      const front = index < 2;
+      const springRate = front ? this.config.springRate.front : this.config.springRate.rear;
+      const damperRate = corner.compressionVelocity > 0 ? this.config.damperRate.bump : this.config.damperRate.rebound;
+      const bumpStop = this.wheels[index].staticCompression + this.wheels[index].maxSuspensionTravel;
+      
+      corner.springForce = springRate * corner.compression;
+      if (corner.compression > bumpStop) {
+        const bumpStopRate = this.getEffectiveStiffness(body, index, springRate * this.bumpStopMultiplier, deltaTime);
+        corner.springForce += bumpStopRate * (corner.compression - bumpStop);
+      }
+      corner.damperForce = this.getEffectiveDamping(body, index, damperRate, deltaTime) * corner.compressionVelocity;
+    });
+    
+    this.applyAntiRollBars();
+    
+    // Tire loads and chassis reaction
+    const up = down.negate();
+    this.corners.forEach((corner, index) => {
+      if (!corner.contact) {
+        corner.load = 0;
+        return;
+      }
+      
+      corner.load = Math.max(0, corner.springForce + corner.damperForce + corner.antiRollForce);
+      
+      const relativePoint = body.quaternion.vmult(this.wheels[index].position);
+      body.applyForce(up.scale(corner.load), relativePoint);
+    });
+    
+    this.updateAttitude();
+  }
+  
+  setTrackSurface(trackSurface) {
+    this.trackSurface = trackSurface;
+  }
+  
+  castRay(body, world, wheel, corner, down, deltaTime) {
+    const hardpoint = body.pointToWorldFrame(wheel.position);
+    const rayLength = wheel.suspensionRestLength + wheel.radius;
+    const to = hardpoint.vadd(down.scale(rayLength));
+    
+    this.rayResult.reset();
+    world.raycastClosest(hardpoint, to, { skipBackfaces: true }, this.rayResult);
+    
+    corner.contact = this.rayResult.hasHit;
+    
+    if (!corner.contact) {
+      corner.compression = 0;
+      corner.compressionVelocity = 0;
+      corner.hitDistance = rayLength;
+      corner.groundBody = null;
+      corner.normal.set(0, 1, 0);
+      corner.bump = 0;
+      wheel.contactPoint = wheel.position.vadd(new CANNON.Vec3(0, -rayLength, 0));
+      return;
+    }
+    
+    // A curb ridge sits on top of the ground the ray found
+    const ground = this.trackSurface ? this.trackSurface.getSurfaceAt(this.rayResult.hitPointWorld) : getDefaultGround();
+    const bumpVelocity = (ground.bump - corner.bump) / deltaTime;
+    corner.ground = ground;
+    corner.bump = ground.bump;
+    
+    corner.hitDistance = this.rayResult.distance - ground.bump;
+    corner.compression = Math.min(wheel.suspensionRestLength, rayLength - corner.hitDistance);
+    corner.groundBody = this.rayResult.body;
+    
+    // Hardpoint velocity into the ground surface compresses the spring; speed
+    // along the surface must not, even with the body pitched or rolled
+    const hardpointVelocity = new CANNON.Vec3();
+    body.getVelocityAtWorldPoint(hardpoint, hardpointVelocity);
+    const normal = this.rayResult.hitNormalWorld;
+    corner.normal.copy(normal);
+    const normalAlongRay = Math.max(0.1, -normal.dot(down));
+    corner.compressionVelocity = -hardpointVelocity.dot(normal) / normalAlongRay + bumpVelocity;
+    
+    // Contact patch in the chassis frame, where the tire forces act
+    wheel.contactPoint = body.pointToLocalFrame(this.rayResult.hitPointWorld);
+  }
+  
+  // Damper rate softened by the mass the corner moves, so the force can't
+  // push the corner past rest within one step (implicit damping). Stiff
+  // race dampers on a light chassis would otherwise diverge at 60Hz. The
+  // corner across the axle shares the chassis, and in roll it pushes it the
+  // same way, so each corner moves half the mass it would alone.
+  getEffectiveDamping(body, index, damperRate, deltaTime) {
+    return damperRate / (1 + damperRate * deltaTime * 2 * this.getInverseEffectiveMass(body, index));
+  }
+  
+  // Bump stop rate softened the same way. A stop far stiffer than a step
+  // can follow throws the corner back off it, and with the car sitting on
+  // its stops under downforce the chassis rocks from side to side.
+  getEffectiveStiffness(body, index, rate, deltaTime) {
+    return rate / (1 + rate * deltaTime * deltaTime * 2 * this.getInverseEffectiveMass(body, index));
+  }
+  
+  // 1 / the mass a force at the corner's hardpoint moves, from the
+  // chassis' mass and rotational inertia
+  getInverseEffectiveMass(body, index) {
+    const relativePoint = body.quaternion.vmult(this.wheels[index].position);
+    const up = body.vectorToWorldFrame(new CANNON.Vec3(0, 1, 0));
+    const armCrossUp = relativePoint.cross(up);
+    return body.invMass + armCrossUp.dot(body.invInertiaWorld.vmult(armCrossUp));
+  }
+  
+  // Each bar resists the compression difference across its axle
+  applyAntiRollBars() {
+    const stiffness = this.config.antiRollStiffness || { front: 0, rear: 0 };
+    
+    [[0, 1, stiffness.front], [2, 3, stiffness.rear]].forEach(([left, right, rate]) => {
+      const force = rate * (this.corners[left].compression - this.corners[right].compression);
+      this.corners[left].antiRollForce = force;
+      this.corners[right].antiRollForce = -force;
+    });
+  }
+  
+  updateAttitude() {
+    const c = this.corners;
+    const trackWidth = this.config.trackWidth;
+    
+    const frontRoll = Math.atan((c[1].compression - c[0].compression) / trackWidth.front);
+    const rearRoll = Math.atan((c[3].compression - c[2].compression) / trackWidth.rear);
+    this.rollAngle = (frontRoll + rearRoll) / 2;
+    
+    const frontCompression = (c[0].compression + c[1].compression) / 2;
+    const rearCompression = (c[2].compression + c[3].compression) / 2;
+    this.pitchAngle = Math.atan((rearCompression - frontCompression) / this.config.wheelbase);
+    
+    // Floor clearance above each axle
+    this.rideHeight.front = (this.getFloorClearance(0) + this.getFloorClearance(1)) / 2;
+    this.rideHeight.rear = (this.getFloorClearance(2) + this.getFloorClearance(3)) / 2;
+  }
+  
+  getFloorClearance(index) {
+    const floorHeight = -this.config.cgHeight + (this.config.rideHeight || 0.1);
+    return this.corners[index].hitDistance - (this.wheels[index].position.y - floorHeight);
+  }
+  
+  // Distance from the hardpoint down to the wheel centre
+  getWheelOffset(index) {
+    return this.wheels[index].suspensionRestLength - this.corners[index].compression;
+  }
+  
+  getLoads() {
+    return this.corners.map(corner => corner.load);
+  }
+  
+  reset() {
+    this.corners.forEach(corner => {
+      corner.contact = false;
+      corner.compression = 0;
+      corner.compressionVelocity = 0;
+      corner.springForce = 0;
+      corner.damperForce = 0;
+      corner.antiRollForce = 0;
+      corner.load = 0;
+      corner.normal.set(0, 1, 0);
+      corner.ground = getDefaultGround();
+      corner.bump = 0;
+    });
+    this.rollAngle = 0;
+    this.pitchAngle = 0;
+  }
+}
+
+// Plain asphalt, for when there's no track surface to look up
+function getDefaultGround() {
+  const asphalt = SURFACE_TYPES.asphalt;
+  return {
+    type: 'asphalt',
+    grip: asphalt.grip,
+    rollingResistance: asphalt.rollingResistance,
+    bump: 0,
+    onTrack: true,
+    distance: null,
+    lateral: null
+  };
+}
\ No newline at end of file
@@ -0,0 +1,110 @@
+// Tire compound library. A compound is the rubber fitted to the tire: its
+// peak friction and Pacejka coefficients, the temperature window it grips
+// in (optimalTemp, and tempRange either side before the grip has mostly
+// gone), how fast it wears and how it copes with water. wetGrip is the grip
+// left on a soaked track relative to the dry and waterClearance scales the
+// speed the tire starts to aquaplane at, so the grooved intermediates and
+// wets overtake the slicks as the track gets wetter, and a dry track
+// overheats and wears them. The vehicle config's tire keeps the tire's
+// construction: its size, load sensitivity and heat capacities.
+export const TIRE_COMPOUNDS = {
+  SOFT: {
+    name: "Soft",
+    type: 'racing',
+    peakMu: 1.8,
+    pacejka: { B: 12, C: 1.8, E: 0.95 },
+    optimalTemp: 100,
+    tempRange: 30,
+    wearRate: 3e-8,
+    wetGrip: 0.4,
+    waterClearance: 0.8
+  },
+  MEDIUM: {
+    name: "Medium",
+    type: 'racing',
+    peakMu: 1.72,
+    pacejka: { B: 11.5, C: 1.8, E: 0.95 },
+    optimalTemp: 105,
+    tempRange: 35,
+    wearRate: 1.8e-8,
+    wetGrip: 0.4,
+    waterClearance: 0.8
+  },
+  HARD: {
+    name: "Hard",
+    type: 'racing',
+    peakMu: 1.64,
+    pacejka: { B: 11, C: 1.8, E: 0.95 },
+    optimalTemp: 110,
+    tempRange: 40,
+    wearRate: 1e-8,
+    wetGrip: 0.4,
+    waterClearance: 0.8
+  },
+  INTERMEDIATE: {
+    name: "Intermediate",
+    type: 'racing',
+    peakMu: 1.5,
+    pacejka: { B: 10, C: 1.7, E: 0.9 },
+    optimalTemp: 65,
+    tempRange: 25,
+    wearRate: 5e-8,
+    wetGrip: 0.85,
+    waterClearance: 2
+  },
+  WET: {
+    name: "Full Wet",
+    type: 'racing',
+    peakMu: 1.35,
+    pacejka: { B: 9, C: 1.6, E: 0.9 },
+    optimalTemp: 55,
+    tempRange: 25,
+    wearRate: 8e-8,
+    wetGrip: 0.92,
+    waterClearance: 3
+  },
+  STREET: {
+    name: "Street",
+    type: 'street',
+    peakMu: 1.15,
+    pacejka: { B: 10, C: 1.5, E: 0.97 },
+    optimalTemp: 50,
+    tempRange: 30,
+    wearRate: 2e-8,
+    wetGrip: 0.7,
+    waterClearance: 1
+  }
+};
+
+// Compound names on each axle. The vehicle's tire says what it is rated on,
+// tireCompounds what has been fitted instead.
+export function getCompounds(vehicleConfig) {
+  const fitted = vehicleConfig.tireCompounds || {};
+  return {
+    front: fitted.front || vehicleConfig.tire.compound,
+    rear: fitted.rear || vehicleConfig.tire.compound
+  };
+}
+
+// Tire on an axle ('front' or 'rear'): the vehicle's tire construction
+// with that axle's compound
+export function getAxleTire(vehicleConfig, axle) {
+  const name = getCompounds(vehicleConfig)[axle];
+  const compound = TIRE_COMPOUNDS[name];
+  if (!compound) {
+    throw new Error(`Unknown tire compound: ${name}`);
+  }
+  return { ...vehicleConfig.tire, ...compound, compound: name };
+}
+
+// Tires for the four wheels, FL, FR, RL, RR
+export function getWheelTires(vehicleConfig) {
+  const front = getAxleTire(vehicleConfig, 'front');
+  const rear = getAxleTire(vehicleConfig, 'rear');
+  return [front, front, rear, rear];
+}
+
+// Vehicle config with other compounds fitted, leaving the original as it was
+export function withCompounds(vehicleConfig, compounds) {
+  return { ...vehicleConfig, tireCompounds: { ...getCompounds(vehicleConfig), ...compounds } };
+}
\ No newline at end of file
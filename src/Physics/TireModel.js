@@ -4,25 +4,20 @@ export class TireModel {
   constructor() {
     // Friction circle parameters
     this.frictionCircleResolution = 0.01;
-    
-    // Temperature model parameters
-    this.heatGenerationRate = 0.5;
-    this.coolingRate = 0.1;
-    this.ambientTemp = 20;
   }
   
   // Pacejka Magic Formula implementation
-  calculateForce(slip, load, tireConfig) {
-    // Normalize load (250kg nominal load per tire)
-    const normalizedLoad = load / (9.81 * 250);
-    
-    // Load sensitivity (tire force doesn't scale linearly with load)
-    const loadFactor = Math.pow(normalizedLoad, tireConfig.loadSensitivity);
+  calculateForce(slip, load, tireConfig, gripLevel = null) {
+    // Peak friction coefficient. Callers that already account for temperature
+    // and wear pass the result of getGripLevel in here.
+    const mu = gripLevel !== null ?
+      gripLevel :
+      tireConfig.peakMu * this.calculateLoadSensitivity(load, tireConfig);
     
     // Pacejka formula parameters
     const B = tireConfig.pacejka.B; // Stiffness factor
     const C = tireConfig.pacejka.C; // Shape factor
-    const D = tireConfig.pacejka.D * load * loadFactor; // Peak factor
+    const D = mu * load; // Peak factor, the compound's peakMu scaled to the load
     const E = tireConfig.pacejka.E; // Curvature factor
     
     // Magic formula: F = D * sin(C * atan(B*slip - E*(B*slip - atan(B*slip))))
@@ -32,28 +27,57 @@ export class TireModel {
     return y;
   }
   
-  // Combined slip calculation (friction circle/ellipse)
-  calculateCombinedForce(slipLateral, slipLongitudinal, load, tireConfig) {
-    const maxForce = load * tireConfig.peakMu;
+  // Load sensitivity (tire force doesn't scale linearly with load)
+  calculateLoadSensitivity(load, tireConfig) {
+    // Normalize load (250kg nominal load per tire)
+    const normalizedLoad = Math.max(0.05, load / (9.81 * 250));
+    
+    // Peak force grows with load^sensitivity, so the friction
+    // coefficient falls off as load^(sensitivity - 1)
+    return Math.pow(normalizedLoad, tireConfig.loadSensitivity - 1);
+  }
+  
+  // Combined slip calculation (friction ellipse)
+  calculateCombinedForce(slipLateral, slipLongitudinal, load, tireConfig, gripLevel = null) {
+    if (load <= 0) {
+      return { lateral: 0, longitudinal: 0, combinedSlip: 0, maxForce: 0, utilizationRatio: 0 };
+    }
+    
+    const mu = gripLevel !== null ?
+      gripLevel :
+      tireConfig.peakMu * this.calculateLoadSensitivity(load, tireConfig);
+    const maxForce = load * mu;
+    
+    // Normalize each slip by the slip at peak force so that both
+    // directions reach the edge of the ellipse at the same time
+    const optimalSlip = this.getOptimalSlip(tireConfig);
+    const normalizedLateral = slipLateral / optimalSlip.angle;
+    const normalizedLongitudinal = slipLongitudinal / optimalSlip.ratio;
     
     // Calculate combined slip magnitude
-    const combinedSlip = Math.sqrt(slipLateral * slipLateral + slipLongitudinal * slipLongitudinal);
+    const combinedSlip = Math.sqrt(
+      normalizedLateral * normalizedLateral +
+      normalizedLongitudinal * normalizedLongitudinal
+    );
     
     if (combinedSlip < 0.001) {
-      return { lateral: 0, longitudinal: 0 };
+      return { lateral: 0, longitudinal: 0, combinedSlip: 0, maxForce, utilizationRatio: 0 };
     }
     
-    // Calculate force magnitude using Pacejka formula
-    const totalForce = this.calculateForce(combinedSlip, load, tireConfig);
+    // Evaluate each pure-slip curve at the combined slip, then share the
+    // force out along the direction of the slip vector
+    const lateralForce = this.calculateForce(combinedSlip * optimalSlip.angle, load, tireConfig, mu);
+    const longitudinalForce = this.calculateForce(combinedSlip * optimalSlip.ratio, load, tireConfig, mu);
     
-    // Distribute force based on slip components
-    const ratio = totalForce / combinedSlip;
+    const lateral = lateralForce * (normalizedLateral / combinedSlip);
+    const longitudinal = longitudinalForce * (normalizedLongitudinal / combinedSlip);
     
     return {
-      lateral: slipLateral * ratio,
-      longitudinal: slipLongitudinal * ratio,
-      combinedSlip: combinedSlip,
-      utilizationRatio: totalForce / maxForce
+      lateral,
+      longitudinal,
+      combinedSlip,
+      maxForce,
+      utilizationRatio: Math.sqrt(lateral * lateral + longitudinal * longitudinal) / maxForce
     };
   }
   
@@ -112,32 +136,16 @@ export class TireModel {
     return effect;
   }
   
-  // Calculate tire temperature change
-  updateTireTemperature(currentTemp, slip, load, speed, deltaTime) {
-    // Heat generation from slip
-    const slipMagnitude = Math.abs(slip);
-    const heatGeneration = slipMagnitude * load * speed * this.heatGenerationRate * 0.0001;
-    
-    // Cooling from air flow
-    const coolingFactor = 1 + speed * 0.01; // More cooling at higher speeds
-    const cooling = (currentTemp - this.ambientTemp) * this.coolingRate * coolingFactor * deltaTime;
-    
-    // Update temperature
-    const newTemp = currentTemp + (heatGeneration - cooling) * deltaTime;
-    
-    // Clamp to reasonable range
-    return Math.max(this.ambientTemp, Math.min(150, newTemp));
-  }
-  
   // Get grip level based on all factors
   getGripLevel(load, temperature, tireConfig, wearLevel = 0) {
     // Base grip from tire config
     let grip = tireConfig.peakMu;
     
-    // Temperature effect
+    // Temperature effect, in the compound's window
     const tempEffect = this.calculateTemperatureEffect(
       temperature,
-      PHYSICS_CONFIG.tireOptimalTemp[tireConfig.type || 'street']
+      this.getOptimalTemp(tireConfig),
+      tireConfig.tempRange
     );
     grip *= tempEffect;
     
@@ -145,20 +153,23 @@ export class TireModel {
     grip *= (1 - wearLevel * 0.3);
     
     // Load sensitivity (grip doesn't scale linearly with load)
-    const normalizedLoad = load / (9.81 * 250);
-    const loadEffect = Math.pow(normalizedLoad, tireConfig.loadSensitivity);
-    grip *= loadEffect;
+    grip *= this.calculateLoadSensitivity(load, tireConfig);
     
     return grip;
   }
   
-  // Calculate optimal slip for maximum force
+  // Temperature the tire grips best at, from its compound or its type
+  getOptimalTemp(tireConfig) {
+    return tireConfig.optimalTemp !== undefined ?
+      tireConfig.optimalTemp :
+      PHYSICS_CONFIG.tireOptimalTemp[tireConfig.type || 'street'];
+  }
+  
+  // Slips the combined-slip ellipse is normalized by. These are fixed
+  // typical peak slips rather than the peaks of each compound's curve: with
+  // E close to 1 the curves flatten into a long plateau, and their true
+  // maximum moves out to 0.38 rad on the wets and 1 rad on the street tire.
   getOptimalSlip(tireConfig) {
-    // For Pacejka model, optimal slip is approximately where derivative = 0
-    // This is a simplified approximation
-    const B = tireConfig.pacejka.B;
-    const E = tireConfig.pacejka.E;
-    
     // Optimal slip angle in radians (typically 8-12 degrees)
     const optimalSlipAngle = 0.15; // ~8.6 degrees
     
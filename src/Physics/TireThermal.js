@@ -0,0 +1,126 @@
+import { getWheelTires } from './TireCompounds.js';
+
+export const TIRE_ZONES = ['inner', 'middle', 'outer'];
+
+// Tire temperatures and wear for the four corners (FL, FR, RL, RR). Each
+// tire has a thin tread surface split into inner, middle and outer zones
+// over a single carcass. Sliding heats the surface, flexing the carcass
+// heats it from within, and the surface loses heat to the air and the track.
+// Camber and cornering force decide which zones carry the load, and so
+// which heat and wear most. Grip follows the loaded zones' temperature,
+// and each wheel's compound sets the window it works in and how fast it wears.
+// The air and track temperatures come from the track conditions, and a wet
+// track cools the tread faster.
+export class TireThermalModel {
+  constructor(config) {
+    this.tire = config.tire;
+    this.camber = config.camber || { front: 0, rear: 0 }; // degrees, negative tops in
+    this.thermal = {
+      initialTemp: 20,            // °C
+      surfaceHeatCapacity: 600,   // J/K, whole tread
+      carcassHeatCapacity: 8000,  // J/K, carcass and inflation air
+      surfaceToCarcass: 300,      // W/K
+      zoneConduction: 30,         // W/K between neighbouring zones
+      airCooling: 10,             // W/K, surface at a standstill
+      airCoolingPerSpeed: 1.5,    // W/K per m/s
+      carcassCooling: 5,          // W/K through the rim and sidewalls
+      trackConduction: 60,        // W/K, surface in the contact patch
+      frictionHeatShare: 0.5,     // sliding power that goes into the tire
+      rollingLoss: 0.01,          // carcass hysteresis, W per N of load per m/s
+      camberSensitivity: 4,       // zone load shift per rad of camber
+      lateralSensitivity: 0.3,    // zone load shift at full lateral grip
+      ...this.tire.thermal
+    };
+    
+    // Compound on each wheel, its wearRate is per J of sliding energy
+    this.compounds = getWheelTires(config);
+    this.optimalTemps = this.compounds.map(compound => compound.optimalTemp);
+    this.ambientTemperature = 20; // °C
+    this.trackTemperature = 25;   // °C
+    this.wetCooling = 1;          // multiplier on the tread's cooling
+    
+    this.reset();
+  }
+  
+  setConditions(conditions) {
+    this.ambientTemperature = conditions.ambientTemp;
+    this.trackTemperature = conditions.trackTemp;
+    this.wetCooling = conditions.getTireCooling();
+  }
+  
+  // Share of the contact patch load on each zone. Negative camber leans
+  // onto the inner shoulder, cornering force rolls the tire onto the outer.
+  getZoneLoads(index, rollAngle, lateralForce, maxForce) {
+    const side = index % 2 === 0 ? -1 : 1; // -1 left, +1 right
+    const staticCamber = (index < 2 ? this.camber.front : this.camber.rear) * Math.PI / 180;
+    
+    // Body roll tilts the wheels with it
+    const camber = staticCamber + side * rollAngle;
+    
+    const inwardForce = maxForce > 0 ? -side * lateralForce / maxForce : 0;
+    const bias = Math.max(-0.9, Math.min(0.9,
+      -camber * this.thermal.camberSensitivity - inwardForce * this.thermal.lateralSensitivity
+    ));
+    
+    return [(1 + bias) / 3, 1 / 3, (1 - bias) / 3];
+  }
+  
+  // slidingPower is the tire force times the contact patch sliding speed (W),
+  // rollingSpeed the wheel's speed over the ground (m/s), airSpeed the car's
+  update(index, load, slidingPower, rollingSpeed, airSpeed, zoneLoads, deltaTime) {
+    const t = this.thermal;
+    const tire = this.tires[index];
+    const zoneCount = TIRE_ZONES.length;
+    const zoneCapacity = t.surfaceHeatCapacity / zoneCount;
+    const inContact = load > 0;
+    
+    const frictionHeat = slidingPower * t.frictionHeatShare;
+    const airCooling = (t.airCooling + t.airCoolingPerSpeed * airSpeed) * this.wetCooling / zoneCount;
+    const trackConduction = inContact ? t.trackConduction * this.wetCooling / zoneCount : 0;
+    const toCarcass = t.surfaceToCarcass / zoneCount;
+    
+    let carcassHeat = t.rollingLoss * load * Math.abs(rollingSpeed) -
+      t.carcassCooling * (tire.carcass - this.ambientTemperature);
+    
+    tire.surface = tire.surface.map((temp, zone) => {
+      let heat = frictionHeat * zoneLoads[zone];
+      heat -= airCooling * (temp - this.ambientTemperature);
+      heat -= trackConduction * zoneLoads[zone] * zoneCount * (temp - this.trackTemperature);
+      heat -= toCarcass * (temp - tire.carcass);
+      
+      // Sideways conduction to the neighbouring zones
+      if (zone > 0) heat -= t.zoneConduction * (temp - tire.surface[zone - 1]);
+      if (zone < zoneCount - 1) heat -= t.zoneConduction * (temp - tire.surface[zone + 1]);
+      
+      carcassHeat += toCarcass * (temp - tire.carcass);
+      return temp + heat * deltaTime / zoneCapacity;
+    });
+    
+    tire.carcass += carcassHeat * deltaTime / t.carcassHeatCapacity;
+    
+    // Sliding scrubs the tread away, faster once it overheats
+    const overheat = Math.max(0, this.getSurfaceTemperature(index, zoneLoads) - (this.optimalTemps[index] + 30)) / 30;
+    tire.wear = Math.min(1, tire.wear + slidingPower * this.compounds[index].wearRate * (1 + overheat) * deltaTime);
+  }
+  
+  // Surface temperature the loaded zones run at
+  getSurfaceTemperature(index, zoneLoads) {
+    const surface = this.tires[index].surface;
+    return surface.reduce((sum, temp, zone) => sum + temp * zoneLoads[zone], 0);
+  }
+  
+  // Temperature the grip responds to: mostly the loaded surface, with the
+  // carcass setting how the rubber under it behaves
+  getGripTemperature(index, zoneLoads) {
+    return 0.75 * this.getSurfaceTemperature(index, zoneLoads) + 0.25 * this.tires[index].carcass;
+  }
+  
+  reset() {
+    const temp = this.thermal.initialTemp;
+    this.tires = [0, 1, 2, 3].map(() => ({
+      surface: TIRE_ZONES.map(() => temp), // °C, inner/middle/outer
+      carcass: temp,                       // °C
+      wear: 0                              // 0 new, 1 worn out
+    }));
+  }
+}
\ No newline at end of file
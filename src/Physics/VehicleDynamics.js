@@ -1,16 +1,36 @@
-import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { PHYSICS_CONFIG } from '../Core/PhysicsEngine.js';
+import { TireModel } from './TireModel.js';
+import { WheelDynamics } from './WheelDynamics.js';
+import { Suspension } from './Suspension.js';
+import { Drivetrain } from './Drivetrain.js';
+import { EnergyRecoverySystem } from './EnergyRecovery.js';
+import { DRSSystem } from './DRS.js';
+import { BrakeSystem } from './Brakes.js';
+import { TireThermalModel } from './TireThermal.js';
+import { getWheelTires } from './TireCompounds.js';
+import { AeroMap } from './AeroMap.js';
 
 export class VehicleDynamics {
   constructor(config, physicsEngine) {
     this.config = config;
     this.physicsEngine = physicsEngine;
+    this.tireModel = new TireModel();
+    this.wheelDynamics = new WheelDynamics(config);
+    this.drivetrain = new Drivetrain(config);
+    this.brakes = new BrakeSystem(config);
+    this.tireThermal = new TireThermalModel(config);
+    this.tires = getWheelTires(config); // tire and compound on each wheel
+    this.aeroMap = new AeroMap(config);
+    this.ers = config.ers ? new EnergyRecoverySystem(config) : null;
+    this.drs = config.drs ? new DRSSystem(config) : null;
     
     // Create physics body
     const vehicleData = physicsEngine.createVehicleBody(config);
     this.body = vehicleData.body;
     this.wheels = vehicleData.wheels;
+    this.suspension = new Suspension(config, this.wheels);
+    this.conditions = null; // TrackConditions, null for a dry, green track
     
     // State tracking
     this.state = {
@@ -22,14 +42,46 @@ export class VehicleDynamics {
       steering: 0,
       handbrake: false,
       clutch: 0,
-      drsActive: false,
-      ersDeployment: 0,
+      clutchEngagement: 0,
+      shifting: false,
+      revLimiter: false,
+      transmissionMode: this.drivetrain.mode,
+      drsActive: false,          // flap open at all
+      drsAvailable: false,       // inside an activation zone
+      drsFlap: config.drs ? 0 : null, // 0 closed, 1 fully open, null without DRS
+      ersMode: 'race',
+      ersDeployment: 0,          // W
+      ersHarvest: 0,             // W
+      ersStateOfCharge: config.ers ? 1 : null, // 0-1, null without ERS
       wheelLoads: [0, 0, 0, 0],
-      tireTemps: [20, 20, 20, 20],
+      tireForces: [0, 1, 2, 3].map(() => ({ lateral: 0, longitudinal: 0, maximum: 0, utilization: 0 })),
+      wheelSpeeds: [0, 0, 0, 0],   // rad/s
+      slipRatios: [0, 0, 0, 0],
+      slipAngles: [0, 0, 0, 0],
+      suspensionCompression: [0, 0, 0, 0],
+      rollAngle: 0,
+      pitchAngle: 0,
+      rideHeight: { front: 0, rear: 0 },
+      groundNormal: { x: 0, y: 1, z: 0 }, // load-weighted, world frame
+      bankAngle: 0,              // rad, positive when the ground rises to the car's right (+x)
+      bankingSupport: 0,         // N the tire loads push the car towards +x
+      wheelSurfaces: ['asphalt', 'asphalt', 'asphalt', 'asphalt'], // SURFACE_TYPES under each tire
+      wheelsOnTrack: [true, true, true, true], // contact patch inside the track limits
+      surfaceGrip: [1, 1, 1, 1], // multiplier the surface and conditions put on each tire's friction
+      aeroForces: this.getIdleAeroForces(),
+      tireTemps: [20, 20, 20, 20],       // °C, what the grip sees
+      tireSurfaceTemps: [0, 1, 2, 3].map(() => [20, 20, 20]), // °C, inner/middle/outer
+      tireCarcassTemps: [20, 20, 20, 20], // °C
+      tireZoneLoads: [0, 1, 2, 3].map(() => [1 / 3, 1 / 3, 1 / 3]),
+      tireWear: [0, 0, 0, 0],            // 0 new, 1 worn out
       brakeTemps: [20, 20, 20, 20],
+      brakeFriction: [1, 1, 1, 1], // relative to the optimal window
+      brakeBias: this.brakes.bias,
+      brakeWindow: { optimal: this.brakes.thermal.optimal, max: this.brakes.thermal.max }, // °C
       fuelLoad: 100,
       lateralG: 0,
       longitudinalG: 0,
+      verticalG: 0, // positive up, so a compression reads positive and a crest negative
       yawRate: 0
     };
     
@@ -53,17 +105,26 @@ export class VehicleDynamics {
     this.state.brake = controls.brake;
     this.state.steering = controls.steeringAngle;
     this.state.handbrake = controls.handbrake;
+    this.state.clutch = controls.clutch || 0;
     
     // Calculate current speed
     const velocity = this.body.velocity;
     this.state.speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
     
-    // Update RPM based on wheel speed and gear
-    this.updateEngine(deltaTime);
+    // Engine, clutch and gearbox set this step's drive torque
+    this.updateEngine(controls, deltaTime);
+    
+    // Suspension sets the tire loads and holds the chassis up
+    this.updateSuspension(deltaTime);
     
     // Calculate forces
     const wheelForces = this.calculateWheelForces(deltaTime);
+    this.drivetrain.updateEngineSpeed(this.getDrivenWheelSpeed(), deltaTime);
+    this.state.rpm = this.drivetrain.rpm;
+    this.updateEnergyRecovery(deltaTime);
+    this.updateDRS(controls, deltaTime);
     const aeroForces = this.calculateAerodynamicForces();
+    this.state.aeroForces = aeroForces;
     
     // Apply forces
     this.physicsEngine.applyWheelForces({ body: this.body, wheels: this.wheels }, wheelForces);
@@ -78,32 +139,52 @@ export class VehicleDynamics {
   
   calculateWheelForces(deltaTime) {
     const forces = [];
+    const driveTorque = this.calculateDriveTorque();
+    const drivelineInertia = this.drivetrain.getReflectedInertia();
+    const rollingSpeed = this.body.vectorToLocalFrame(this.body.velocity).z / this.config.tire.radius;
+    const driveLimits = this.drivetrain.getWheelSpeedLimits(rollingSpeed);
     
     this.wheels.forEach((wheel, index) => {
-      // Calculate wheel load (simplified - should use suspension compression)
-      const staticLoad = this.getStaticWheelLoad(index);
-      const dynamicLoad = this.calculateDynamicLoad(index);
-      const totalLoad = staticLoad + dynamicLoad;
-      this.state.wheelLoads[index] = totalLoad;
+      // Vertical load from the suspension
+      const totalLoad = this.state.wheelLoads[index];
       
-      // Calculate slip angle and slip ratio
-      const slipAngle = this.calculateSlipAngle(wheel, index);
-      const slipRatio = this.calculateSlipRatio(wheel, index);
+      // Calculate slip angle and wheel ground speed
+      const slipAngle = this.calculateSlipAngle(index);
+      const groundSpeed = this.getWheelLocalVelocity(index).z;
       
-      // Calculate tire forces using Pacejka model
-      const tireForce = this.calculateTireForce(slipAngle, slipRatio, totalLoad, index);
+      // Spin the wheel up or down from drive, brake and tire reaction torque
+      // Open differential, RWD. A locked clutch adds the engine's inertia.
+      const driven = index >= 2;
+      const wheelDriveTorque = driven ? driveTorque / 2 : 0;
+      const brakeTorque = this.calculateBrakeForce(index) * this.config.tire.radius;
+      const longitudinalForceAt = (angularVelocity) => this.calculateTireForce(
+        slipAngle, this.calculateSlipRatio(angularVelocity, groundSpeed), totalLoad, index
+      ).longitudinal;
       
-      // Apply brake force
-      if (this.state.brake > 0 || this.state.handbrake) {
-        const brakeForce = this.calculateBrakeForce(index);
-        tireForce.longitudinal -= brakeForce;
+      let angularVelocity = this.wheelDynamics.integrate(
+        index, wheelDriveTorque, brakeTorque, totalLoad, longitudinalForceAt, deltaTime,
+        driven ? drivelineInertia / 2 : 0, this.suspension.corners[index].ground.rollingResistance
+      );
+      if (driven) {
+        angularVelocity = this.wheelDynamics.limit(index, driveLimits.min, driveLimits.max);
       }
       
-      // Apply throttle force (rear wheels only for RWD)
-      if (index >= 2 && this.state.throttle > 0) {
-        const driveForce = this.calculateDriveForce();
-        tireForce.longitudinal += driveForce / 2; // Split between rear wheels
-      }
+      // Tire forces at the new wheel speed (Pacejka model)
+      const slipRatio = this.calculateSlipRatio(angularVelocity, groundSpeed);
+      const tireForce = this.calculateTireForce(slipAngle, slipRatio, totalLoad, index);
+      
+      this.state.wheelSpeeds[index] = angularVelocity;
+      this.state.slipRatios[index] = slipRatio;
+      this.state.slipAngles[index] = slipAngle;
+      
+      // Keep the resulting contact patch forces for the visualizations
+      const tireState = this.state.tireForces[index];
+      tireState.lateral = tireForce.lateral;
+      tireState.longitudinal = tireForce.longitudinal;
+      tireState.maximum = tireForce.maxForce;
+      tireState.utilization = tireForce.maxForce > 0 ?
+        Math.sqrt(tireForce.lateral * tireForce.lateral + tireForce.longitudinal * tireForce.longitudinal) / tireForce.maxForce :
+        0;
       
       forces.push(tireForce);
     });
@@ -111,67 +192,59 @@ export class VehicleDynamics {
     return forces;
   }
   
-  getStaticWheelLoad(wheelIndex) {
-    const totalWeight = this.config.mass * PHYSICS_CONFIG.gravity;
-    const frontWeight = totalWeight * this.config.weightDistribution.front;
-    const rearWeight = totalWeight * this.config.weightDistribution.rear;
-    
-    // Distribute weight to each wheel
-    if (wheelIndex < 2) {
-      return frontWeight / 2;
+  updateSuspension(deltaTime) {
+    this.suspension.update(this.body, this.physicsEngine.world, deltaTime);
+    
+    this.suspension.corners.forEach((corner, index) => {
+      this.state.wheelLoads[index] = corner.load;
+      this.state.suspensionCompression[index] = corner.compression;
+      this.state.wheelSurfaces[index] = corner.ground.type;
+      this.state.wheelsOnTrack[index] = corner.ground.onTrack;
+      this.state.surfaceGrip[index] = corner.ground.grip *
+        (this.conditions ? this.conditions.getGrip(corner.ground, this.state.speed, this.tires[index]) : 1);
+    });
+    this.state.rollAngle = this.suspension.rollAngle;
+    this.state.pitchAngle = this.suspension.pitchAngle;
+    this.state.rideHeight = { ...this.suspension.rideHeight };
+    
+    // Ground normal under the tires, weighted by the load each carries. On
+    // a banked turn it leans towards the inside, so the load the surface
+    // takes also pushes the car round the corner.
+    const normal = new CANNON.Vec3();
+    this.suspension.corners.forEach(corner => normal.vadd(corner.normal.scale(corner.load), normal));
+    if (normal.lengthSquared() > 0) {
+      normal.normalize();
     } else {
-      return rearWeight / 2;
-    }
-  }
-  
-  calculateDynamicLoad(wheelIndex) {
-    // Simplified dynamic load transfer
-    const lateralTransfer = this.calculateLateralWeightTransfer();
-    const longitudinalTransfer = this.calculateLongitudinalWeightTransfer();
-    
-    let dynamicLoad = 0;
-    
-    // Lateral transfer
-    if (wheelIndex === 0 || wheelIndex === 2) { // Left wheels
-      dynamicLoad -= lateralTransfer;
-    } else { // Right wheels
-      dynamicLoad += lateralTransfer;
+      normal.set(0, 1, 0);
     }
     
-    // Longitudinal transfer
-    if (wheelIndex < 2) { // Front wheels
-      dynamicLoad += longitudinalTransfer;
-    } else { // Rear wheels
-      dynamicLoad -= longitudinalTransfer;
-    }
-    
-    return dynamicLoad;
-  }
-  
-  calculateLateralWeightTransfer() {
-    const lateralAccel = this.state.lateralG * PHYSICS_CONFIG.gravity;
-    const totalWeight = this.config.mass * PHYSICS_CONFIG.gravity;
-    const avgTrackWidth = (this.config.trackWidth.front + this.config.trackWidth.rear) / 2;
-    
-    return (totalWeight * lateralAccel * this.config.cgHeight) / avgTrackWidth;
+    const side = this.body.vectorToWorldFrame(new CANNON.Vec3(1, 0, 0));
+    side.y = 0;
+    side.normalize();
+    this.state.groundNormal = { x: normal.x, y: normal.y, z: normal.z };
+    const lean = Math.max(-1, Math.min(1, normal.dot(side)));
+    this.state.bankAngle = -Math.asin(lean);
+    this.state.bankingSupport = this.suspension.getLoads().reduce((sum, load) => sum + load, 0) * lean;
   }
   
-  calculateLongitudinalWeightTransfer() {
-    const longAccel = this.state.longitudinalG * PHYSICS_CONFIG.gravity;
-    const totalWeight = this.config.mass * PHYSICS_CONFIG.gravity;
-    
-    return (totalWeight * longAccel * this.config.cgHeight) / this.config.wheelbase;
+  // Contact patch velocity in the chassis frame (x = lateral, z = longitudinal)
+  getWheelLocalVelocity(index) {
+    const contactPoint = this.body.pointToWorldFrame(this.wheels[index].contactPoint);
+    const velocity = new CANNON.Vec3();
+    this.body.getVelocityAtWorldPoint(contactPoint, velocity);
+    return this.body.vectorToLocalFrame(velocity);
   }
   
-  calculateSlipAngle(wheel, index) {
-    // Simplified slip angle calculation
-    const wheelVelocity = wheel.body.velocity;
+  calculateSlipAngle(index) {
+    const wheelVelocity = this.getWheelLocalVelocity(index);
     const lateralVel = wheelVelocity.x;
     const longitudinalVel = wheelVelocity.z;
     
     if (Math.abs(longitudinalVel) < 0.1) return 0;
     
-    let slipAngle = Math.atan(lateralVel / Math.abs(longitudinalVel));
+    // Below 5 m/s the angle is taken against 5 m/s, so a little sideways
+    // creep at low speed doesn't read as a huge slip angle and flick the car
+    let slipAngle = Math.atan(lateralVel / Math.max(Math.abs(longitudinalVel), 5));
     
     // Add steering angle for front wheels
     if (index < 2) {
@@ -181,77 +254,42 @@ export class VehicleDynamics {
     return slipAngle;
   }
   
-  calculateSlipRatio(wheel, index) {
-    // Simplified slip ratio calculation
-    const wheelRadius = this.config.tire.radius;
-    const wheelAngularVel = wheel.body.angularVelocity.x;
-    const wheelLinearVel = wheelAngularVel * wheelRadius;
-    const vehicleVel = this.state.speed;
-    
-    if (vehicleVel < 0.1) return 0;
-    
-    return (wheelLinearVel - vehicleVel) / vehicleVel;
+  calculateSlipRatio(angularVelocity, groundSpeed) {
+    return this.tireModel.calculateSlipRatio(angularVelocity, groundSpeed, this.config.tire.radius);
   }
   
   calculateTireForce(slipAngle, slipRatio, load, wheelIndex) {
-    // Use simplified tire model for now
-    const tire = this.config.tire;
-    const lateralForce = -slipAngle * load * tire.peakMu * 10000;
-    const longitudinalForce = -slipRatio * load * tire.peakMu * 10000;
+    const tire = this.tires[wheelIndex];
+    
+    // Peak friction for this tire after load sensitivity, temperature and
+    // the surface it is on
+    const gripLevel = this.tireModel.getGripLevel(
+      load, this.state.tireTemps[wheelIndex], tire, this.state.tireWear[wheelIndex]
+    ) * this.state.surfaceGrip[wheelIndex];
+    
+    // Pacejka magic formula with friction ellipse for combined slip
+    const force = this.tireModel.calculateCombinedForce(slipAngle, slipRatio, load, tire, gripLevel);
     
     return {
-      lateral: lateralForce,
-      longitudinal: longitudinalForce,
-      vertical: 0
+      lateral: -force.lateral, // Lateral force opposes the slip angle
+      longitudinal: force.longitudinal,
+      vertical: 0,
+      maxForce: force.maxForce
     };
   }
   
   calculateBrakeForce(wheelIndex) {
-    const maxBrakeForce = wheelIndex < 2 ? 
-      this.config.brakeForce.front : 
-      this.config.brakeForce.rear;
-    
     let brakeInput = this.state.brake;
     if (this.state.handbrake && wheelIndex >= 2) {
       brakeInput = Math.max(brakeInput, 1.0);
     }
     
-    return maxBrakeForce * brakeInput;
-  }
-  
-  calculateDriveForce() {
-    // Simplified drive force calculation
-    const engineTorque = this.getEngineTorque();
-    const gearRatio = this.config.gearRatios[this.state.gear - 1];
-    const finalDrive = this.config.finalDrive;
-    const wheelRadius = this.config.tire.radius;
-    
-    const wheelTorque = engineTorque * gearRatio * finalDrive;
-    const driveForce = wheelTorque / wheelRadius;
-    
-    return driveForce * this.state.throttle;
+    return this.brakes.getBrakeForce(wheelIndex, brakeInput);
   }
   
-  getEngineTorque() {
-    // Interpolate torque from curve
-    const torqueCurve = this.config.torqueCurve;
-    const rpm = this.state.rpm;
-    
-    // Find surrounding points
-    let lowerPoint = torqueCurve[0];
-    let upperPoint = torqueCurve[torqueCurve.length - 1];
-    
-    for (let i = 0; i < torqueCurve.length - 1; i++) {
-      if (rpm >= torqueCurve[i].rpm && rpm <= torqueCurve[i + 1].rpm) {
-        lowerPoint = torqueCurve[i];
-        upperPoint = torqueCurve[i + 1];
-        break;
-      }
-    }
-    
-    // Linear interpolation
-    const t = (rpm - lowerPoint.rpm) / (upperPoint.rpm - lowerPoint.rpm);
-    return lowerPoint.torque + t * (upperPoint.torque - lowerPoint.torque);
+  calculateDriveTorque() {
+    // Clutch torque multiplied through the gearbox and final drive
+    return this.drivetrain.getWheelTorque();
   }
   
   calculateAerodynamicForces() {
@@ -260,8 +298,9 @@ export class VehicleDynamics {
     const speedSquared = speed * speed;
     const q = 0.5 * PHYSICS_CONFIG.airDensity * speedSquared;
     
-    // Drag force
-    const dragForce = q * this.config.dragCoefficient * this.config.frontalArea;
+    // Drag force, less with the DRS flap open
+    const drsDrag = this.drs ? this.drs.getDragFactor() : 1;
+    const dragForce = q * this.config.dragCoefficient * this.config.frontalArea * drsDrag;
     
     // Downforce (F1 specific)
     let frontDownforce = 0;
@@ -272,23 +311,42 @@ export class VehicleDynamics {
                                   this.config.downforceCoefficient.rear) * 
                                   this.config.frontalArea;
       
-      // Apply ground effect
-      const groundEffect = speed > 13.9 ? this.config.groundEffectMultiplier : 1.0;
+      // Ground effect and balance from the aero map at the car's attitude
+      const localVelocity = this.body.vectorToLocalFrame(velocity);
+      const yawAngle = speed > 1 ? Math.atan2(localVelocity.x, Math.abs(localVelocity.z)) : 0;
+      const aero = this.aeroMap.evaluate(this.state.rideHeight.front, this.state.rideHeight.rear, yawAngle);
       
-      // Apply DRS if active
-      const drsMultiplier = this.state.drsActive ? (1 - this.config.drs.downforceReduction) : 1;
+      // The open DRS flap stalls part of the rear wing
+      const drsMultiplier = this.drs ? this.drs.getRearDownforceFactor() : 1;
       
-      frontDownforce = totalDownforce * this.config.downforceBalance * groundEffect;
-      rearDownforce = totalDownforce * (1 - this.config.downforceBalance) * groundEffect * drsMultiplier;
+      frontDownforce = totalDownforce * aero.downforce * aero.balance;
+      rearDownforce = totalDownforce * aero.downforce * (1 - aero.balance) * drsMultiplier;
     }
     
+    return this.getAeroForces(dragForce, frontDownforce, rearDownforce);
+  }
+  
+  // Center of pressure is where the downforce acts, ahead of the center of
+  // gravity when positive (m)
+  getAeroForces(drag, frontDownforce, rearDownforce) {
+    const frontZ = this.wheels[0].position.z;
+    const rearZ = this.wheels[2].position.z;
+    const totalDownforce = frontDownforce + rearDownforce;
+    const balance = totalDownforce > 0 ? frontDownforce / totalDownforce : this.aeroMap.baseBalance;
+    
     return {
-      drag: dragForce,
+      drag,
       frontDownforce,
-      rearDownforce
+      rearDownforce,
+      balance,
+      centerOfPressure: rearZ + (frontZ - rearZ) * balance
     };
   }
   
+  getIdleAeroForces() {
+    return this.getAeroForces(0, 0, 0);
+  }
+  
   applyAerodynamicForces(forces) {
     const velocity = this.body.velocity;
     const velocityMag = velocity.length();
@@ -300,57 +358,113 @@ export class VehicleDynamics {
     // Apply drag
     const dragForce = velocityNormalized.clone();
     dragForce.scale(-forces.drag);
-    this.body.applyForce(dragForce, this.body.position);
+    this.body.applyForce(dragForce);
     
-    // Apply downforce
+    // Apply downforce. applyForce takes its point relative to the centre
+    // of mass in world axes, so the axle offsets are rotated with the body.
     if (this.config.downforceCoefficient) {
-      // Front downforce
-      const frontPoint = new CANNON.Vec3(0, 0, this.config.wheelbase / 2);
+      // Front downforce, acting over the front axle
+      const frontPoint = this.body.quaternion.vmult(new CANNON.Vec3(0, 0, this.wheels[0].position.z));
       const frontDownforceVec = new CANNON.Vec3(0, -forces.frontDownforce, 0);
-      this.body.applyForce(frontDownforceVec, this.body.position.vadd(frontPoint));
+      this.body.applyForce(frontDownforceVec, frontPoint);
       
-      // Rear downforce
-      const rearPoint = new CANNON.Vec3(0, 0, -this.config.wheelbase / 2);
+      // Rear downforce, acting over the rear axle
+      const rearPoint = this.body.quaternion.vmult(new CANNON.Vec3(0, 0, this.wheels[2].position.z));
       const rearDownforceVec = new CANNON.Vec3(0, -forces.rearDownforce, 0);
-      this.body.applyForce(rearDownforceVec, this.body.position.vadd(rearPoint));
+      this.body.applyForce(rearDownforceVec, rearPoint);
     }
   }
   
-  updateEngine(deltaTime) {
-    // Calculate wheel RPM from rear wheel speed
-    const wheelRadius = this.config.tire.radius;
-    const wheelRPM = (this.state.speed / (2 * Math.PI * wheelRadius)) * 60;
+  updateEngine(controls, deltaTime) {
+    // ERS deploys through the crankshaft, so only with the clutch closed
+    let assistTorque = 0;
+    if (this.ers) {
+      const drivetrain = this.drivetrain;
+      const canDeploy = drivetrain.clutchLocked && !drivetrain.shifting && !drivetrain.revLimiterActive &&
+        drivetrain.rpm >= this.config.idleRPM;
+      assistTorque = this.ers.deploy(this.state.ersMode, controls.throttle, drivetrain.engineSpeed, canDeploy, deltaTime);
+    }
     
-    // Calculate engine RPM from wheel RPM
-    const gearRatio = this.config.gearRatios[this.state.gear - 1];
-    const finalDrive = this.config.finalDrive;
-    const targetRPM = wheelRPM * gearRatio * finalDrive;
+    // Wheel speed the car would have rolling freely, for the launch clutch
+    const roadSpeed = this.body.vectorToLocalFrame(this.body.velocity).z / this.config.tire.radius;
+    this.drivetrain.update(controls, this.getDrivenWheelSpeed(), roadSpeed, deltaTime, assistTorque);
     
-    // Smooth RPM changes
-    const rpmDiff = targetRPM - this.state.rpm;
-    this.state.rpm += rpmDiff * deltaTime * 5;
+    this.state.rpm = this.drivetrain.rpm;
+    this.state.gear = this.drivetrain.gear;
+    this.state.clutchEngagement = this.drivetrain.clutchEngagement;
+    this.state.shifting = this.drivetrain.shifting;
+    this.state.revLimiter = this.drivetrain.revLimiterActive;
+    this.state.transmissionMode = this.drivetrain.mode;
+  }
+  
+  // The MGU-K takes over part of the rear braking and charges the battery
+  updateEnergyRecovery(deltaTime) {
+    if (!this.ers) return;
     
-    // Clamp RPM
-    this.state.rpm = Math.max(this.config.idleRPM, Math.min(this.config.maxRPM, this.state.rpm));
+    const rearBrakeTorque = (this.calculateBrakeForce(2) + this.calculateBrakeForce(3)) * this.config.tire.radius;
+    this.harvestTorque = this.ers.harvest(rearBrakeTorque, this.getDrivenWheelSpeed(), deltaTime);
     
-    // Auto gear shifting (simplified)
-    if (this.state.rpm > this.config.maxRPM * 0.95 && this.state.gear < this.config.gearRatios.length) {
-      this.state.gear++;
-    } else if (this.state.rpm < this.config.maxRPM * 0.5 && this.state.gear > 1) {
-      this.state.gear--;
-    }
+    this.state.ersDeployment = this.ers.deployPower;
+    this.state.ersHarvest = this.ers.harvestPower;
+    this.state.ersStateOfCharge = this.ers.stateOfCharge;
+  }
+  
+  updateDRS(controls, deltaTime) {
+    if (!this.drs) return;
+    
+    this.drs.update(controls.drs, controls.brake, this.body.position, deltaTime);
+    
+    this.state.drsActive = this.drs.active;
+    this.state.drsAvailable = this.drs.available;
+    this.state.drsFlap = this.drs.flap;
+  }
+  
+  setDRSEnabled(enabled) {
+    if (this.drs) this.drs.enabled = enabled;
+  }
+  
+  setDRSZones(zones) {
+    if (this.drs) this.drs.setZones(zones);
+  }
+  
+  // TrackSurface the tires look up what they are on from, or null for
+  // asphalt everywhere
+  setTrackSurface(surface) {
+    this.suspension.setTrackSurface(surface);
+  }
+  
+  // Weather and track state: grip under each tire, and the air and track
+  // temperatures the tires and brakes cool towards
+  setConditions(conditions) {
+    this.conditions = conditions;
+    if (!conditions) return;
+    this.tireThermal.setConditions(conditions);
+    this.brakes.ambientTemperature = conditions.ambientTemp;
+  }
+  
+  // Average speed of the driven (rear) wheels, rad/s
+  getDrivenWheelSpeed() {
+    return (this.wheelDynamics.angularVelocities[2] + this.wheelDynamics.angularVelocities[3]) / 2;
+  }
+  
+  setTransmissionMode(mode) {
+    this.drivetrain.setMode(mode);
+    this.state.transmissionMode = this.drivetrain.mode;
+    this.state.gear = this.drivetrain.gear;
   }
   
   updateTelemetry(deltaTime) {
-    // Calculate G-forces
-    const force = this.body.force;
-    const acceleration = new CANNON.Vec3(
-      force.x / this.config.mass,
-      force.y / this.config.mass,
-      force.z / this.config.mass
-    );
-    this.state.lateralG = acceleration.x / PHYSICS_CONFIG.gravity;
-    this.state.longitudinalG = acceleration.z / PHYSICS_CONFIG.gravity;
+    // Calculate G-forces from the change in velocity, expressed in the chassis frame
+    const velocity = this.body.velocity.clone();
+    if (this.previousVelocity) {
+      const acceleration = velocity.vsub(this.previousVelocity);
+      acceleration.scale(1 / deltaTime, acceleration);
+      const localAcceleration = this.body.vectorToLocalFrame(acceleration);
+      this.state.lateralG = localAcceleration.x / PHYSICS_CONFIG.gravity;
+      this.state.longitudinalG = localAcceleration.z / PHYSICS_CONFIG.gravity;
+      this.state.verticalG = localAcceleration.y / PHYSICS_CONFIG.gravity;
+    }
+    this.previousVelocity = velocity;
     
     // Update max values
     this.telemetry.maxSpeed = Math.max(this.telemetry.maxSpeed, this.state.speed * 3.6);
@@ -366,63 +480,121 @@ export class VehicleDynamics {
   }
   
   updateTemperatures(deltaTime) {
-    // Update tire temperatures
-    this.state.tireTemps.forEach((temp, index) => {
-      const load = this.state.wheelLoads[index];
-      const slip = Math.abs(this.calculateSlipAngle(this.wheels[index], index));
+    // Update tire temperatures and wear from the work each contact patch does
+    this.wheels.forEach((wheel, index) => {
+      const tireForce = this.state.tireForces[index];
+      const velocity = this.getWheelLocalVelocity(index);
+      const groundSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
       
-      // Heat generation
-      const heatGeneration = slip * load * 0.001;
+      // Force times the speed the tread slides over the road
+      const longitudinalSliding = this.state.wheelSpeeds[index] * this.config.tire.radius - velocity.z;
+      const lateralSliding = groundSpeed * Math.sin(this.state.slipAngles[index]);
+      const slidingPower = Math.abs(tireForce.longitudinal * longitudinalSliding) + Math.abs(tireForce.lateral * lateralSliding);
       
-      // Cooling
-      const cooling = (temp - 20) * 0.1 * deltaTime;
+      const zoneLoads = this.tireThermal.getZoneLoads(index, this.state.rollAngle, tireForce.lateral, tireForce.maximum);
+      this.tireThermal.update(index, this.state.wheelLoads[index], slidingPower, velocity.z, this.state.speed, zoneLoads, deltaTime);
       
-      this.state.tireTemps[index] = temp + heatGeneration - cooling;
+      this.state.tireZoneLoads[index] = zoneLoads;
+      this.state.tireTemps[index] = this.tireThermal.getGripTemperature(index, zoneLoads);
     });
+    this.updateTireState();
     
-    // Update brake temperatures
-    if (this.state.brake > 0) {
-      this.state.brakeTemps.forEach((temp, index) => {
-        const brakeForce = this.calculateBrakeForce(index);
-        const heatGeneration = brakeForce * this.state.speed * 0.00001;
-        const cooling = (temp - 20) * 0.5 * deltaTime;
-        
-        this.state.brakeTemps[index] = temp + heatGeneration - cooling;
-      });
-    }
+    // Update brake temperatures. The MGU-K's share of the rear braking
+    // doesn't go through the discs.
+    const frictionTorques = this.wheels.map((wheel, index) => {
+      const torque = this.calculateBrakeForce(index) * this.config.tire.radius;
+      return index >= 2 ? Math.max(0, torque - this.harvestTorque / 2) : torque;
+    });
+    this.brakes.update(frictionTorques, this.wheelDynamics.angularVelocities, this.state.speed, deltaTime);
+    
+    this.state.brakeTemps = this.brakes.temperatures.slice();
+    this.state.brakeFriction = this.brakes.friction.slice();
   }
   
-  resetPosition() {
-    this.body.position.set(0, 2, 0);
+  updateTireState() {
+    const tires = this.tireThermal.tires;
+    this.state.tireSurfaceTemps = tires.map(tire => tire.surface.slice());
+    this.state.tireCarcassTemps = tires.map(tire => tire.carcass);
+    this.state.tireWear = tires.map(tire => tire.wear);
+  }
+  
+  setBrakeBias(bias) {
+    this.brakes.setBias(bias);
+    this.state.brakeBias = this.brakes.bias;
+  }
+  
+  resetPosition(position = { x: 0, y: 2, z: 0 }, heading = 0) {
+    this.body.position.set(position.x, position.y, position.z);
     this.body.velocity.set(0, 0, 0);
     this.body.angularVelocity.set(0, 0, 0);
-    this.body.quaternion.set(0, 0, 0, 1);
+    
+    // Heading is the yaw angle of the vehicle's forward (+z) axis
+    this.body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), heading);
     
     // Reset wheels
-    this.wheels.forEach((wheel, index) => {
-      const wheelPos = this.body.position.clone();
-      wheelPos.x += wheel.position.x;
-      wheelPos.y += wheel.position.y;
-      wheelPos.z += wheel.position.z;
-      wheel.body.position.copy(wheelPos);
-      wheel.body.velocity.set(0, 0, 0);
-      wheel.body.angularVelocity.set(0, 0, 0);
-    });
+    this.suspension.reset();
+    this.wheelDynamics.reset();
+    this.drivetrain.reset();
+    if (this.ers) this.ers.reset();
+    if (this.drs) this.drs.reset();
+    this.brakes.reset();
+    this.tireThermal.reset();
+    this.harvestTorque = 0;
+    this.previousVelocity = null;
     
     // Reset state
     this.state.rpm = this.config.idleRPM;
-    this.state.gear = 1;
+    this.state.gear = this.drivetrain.gear;
+    this.state.clutchEngagement = 0;
+    this.state.shifting = false;
+    this.state.revLimiter = false;
+    this.state.ersDeployment = 0;
+    this.state.ersHarvest = 0;
+    this.state.ersStateOfCharge = this.ers ? this.ers.stateOfCharge : null;
+    this.state.drsActive = false;
+    this.state.drsAvailable = false;
+    this.state.drsFlap = this.drs ? 0 : null;
+    this.state.aeroForces = this.getIdleAeroForces();
     this.state.speed = 0;
-    this.state.tireTemps = [20, 20, 20, 20];
-    this.state.brakeTemps = [20, 20, 20, 20];
+    this.state.lateralG = 0;
+    this.state.longitudinalG = 0;
+    this.state.verticalG = 0;
+    this.state.wheelSpeeds = [0, 0, 0, 0];
+    this.state.slipRatios = [0, 0, 0, 0];
+    this.state.slipAngles = [0, 0, 0, 0];
+    this.state.suspensionCompression = [0, 0, 0, 0];
+    this.state.rollAngle = 0;
+    this.state.pitchAngle = 0;
+    this.state.groundNormal = { x: 0, y: 1, z: 0 };
+    this.state.bankAngle = 0;
+    this.state.bankingSupport = 0;
+    this.state.wheelSurfaces = ['asphalt', 'asphalt', 'asphalt', 'asphalt'];
+    this.state.wheelsOnTrack = [true, true, true, true];
+    this.state.surfaceGrip = [1, 1, 1, 1];
+    this.state.tireZoneLoads = [0, 1, 2, 3].map(() => [1 / 3, 1 / 3, 1 / 3]);
+    this.state.tireTemps = this.state.tireZoneLoads.map((zoneLoads, index) => this.tireThermal.getGripTemperature(index, zoneLoads));
+    this.updateTireState();
+    this.state.brakeTemps = this.brakes.temperatures.slice();
+    this.state.brakeFriction = this.brakes.friction.slice();
+  }
+  
+  // Wheel centre in world space, following the suspension travel
+  getWheelPosition(index) {
+    const wheel = this.wheels[index];
+    const center = wheel.position.vadd(new CANNON.Vec3(0, -this.suspension.getWheelOffset(index), 0));
+    const position = this.body.pointToWorldFrame(center);
+    return { x: position.x, y: position.y, z: position.z };
   }
   
+  // Plain objects so the physics side stays independent of the renderer
   getPosition() {
-    return new THREE.Vector3(this.body.position.x, this.body.position.y, this.body.position.z);
+    const position = this.body.position;
+    return { x: position.x, y: position.y, z: position.z };
   }
   
   getRotation() {
-    return new THREE.Quaternion(this.body.quaternion.x, this.body.quaternion.y, this.body.quaternion.z, this.body.quaternion.w);
+    const quaternion = this.body.quaternion;
+    return { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w };
   }
   
   getState() {
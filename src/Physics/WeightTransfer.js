@@ -48,18 +48,25 @@ export class WeightTransfer {
     };
   }
   
-  // Calculate combined weight transfer for all four wheels
-  calculateCombined(vehicle, lateralG, longitudinalG, rollAngle = 0, pitchAngle = 0) {
+  // Calculate combined weight transfer for all four wheels. Vertical
+  // acceleration (positive up, in g) scales the load the car puts on its
+  // tires: it goes light over a crest and heavy in a compression.
+  calculateCombined(vehicle, lateralG, longitudinalG, rollAngle = 0, pitchAngle = 0, verticalG = 0) {
     const totalWeight = vehicle.mass * PHYSICS_CONFIG.gravity;
+    const totalLoad = totalWeight * Math.max(0, 1 + verticalG);
     
-    // Calculate transfer amounts
+    // Calculate transfer amounts. These stay on the static weight: the
+    // lateral and longitudinal G are accelerations against gravity, so the
+    // transfer is mass × acceleration × CG height whatever the vertical load.
+    // Over a crest the same transfer is a larger share of a lighter car,
+    // which is why the inside wheels lift there first.
     const latTransferFront = (totalWeight * vehicle.weightDistribution.front * lateralG * vehicle.cgHeight) / vehicle.trackWidth.front;
     const latTransferRear = (totalWeight * vehicle.weightDistribution.rear * lateralG * vehicle.cgHeight) / vehicle.trackWidth.rear;
     const longTransfer = (totalWeight * longitudinalG * vehicle.cgHeight) / vehicle.wheelbase;
     
     // Static weight distribution
-    const staticFront = totalWeight * vehicle.weightDistribution.front;
-    const staticRear = totalWeight * vehicle.weightDistribution.rear;
+    const staticFront = totalLoad * vehicle.weightDistribution.front;
+    const staticRear = totalLoad * vehicle.weightDistribution.rear;
     
     // Dynamic front/rear distribution
     const dynamicFront = staticFront - longTransfer;
@@ -104,9 +111,10 @@ export class WeightTransfer {
     const totalWeight = vehicle.mass * PHYSICS_CONFIG.gravity;
     const rollMoment = totalWeight * vehicle.cgHeight * Math.sin(rollAngle);
     
-    // Distribute roll moment based on roll stiffness
-    const frontRollStiffness = vehicle.springRate.front * Math.pow(vehicle.trackWidth.front / 2, 2);
-    const rearRollStiffness = vehicle.springRate.rear * Math.pow(vehicle.trackWidth.rear / 2, 2);
+    // Distribute roll moment based on roll stiffness (springs plus anti-roll bars)
+    const antiRoll = this.calculateAntiRollEffect(vehicle);
+    const frontRollStiffness = 2 * vehicle.springRate.front * Math.pow(vehicle.trackWidth.front / 2, 2) + antiRoll.front;
+    const rearRollStiffness = 2 * vehicle.springRate.rear * Math.pow(vehicle.trackWidth.rear / 2, 2) + antiRoll.rear;
     const totalRollStiffness = frontRollStiffness + rearRollStiffness;
     
     const frontRollTransfer = (rollMoment * frontRollStiffness / totalRollStiffness) / vehicle.trackWidth.front;
@@ -171,15 +179,14 @@ export class WeightTransfer {
     return weights;
   }
   
-  // Calculate anti-roll bar effect
-  calculateAntiRollEffect(vehicle, lateralG, antiRollStiffness) {
-    const rollMoment = vehicle.mass * PHYSICS_CONFIG.gravity * lateralG * vehicle.cgHeight;
-    
-    // Anti-roll bar resists body roll
-    const antiRollForce = rollMoment * antiRollStiffness;
+  // Calculate anti-roll bar roll stiffness per axle (N·m/rad). A bar of
+  // wheel rate k resists a roll angle phi with force k * track * phi.
+  calculateAntiRollEffect(vehicle) {
+    const antiRollStiffness = vehicle.antiRollStiffness || { front: 0, rear: 0 };
     
     return {
-      additionalTransfer: antiRollForce / ((vehicle.trackWidth.front + vehicle.trackWidth.rear) / 2)
+      front: antiRollStiffness.front * Math.pow(vehicle.trackWidth.front, 2),
+      rear: antiRollStiffness.rear * Math.pow(vehicle.trackWidth.rear, 2)
     };
   }
   
@@ -0,0 +1,96 @@
+import { PHYSICS_CONFIG } from '../Core/PhysicsEngine.js';
+
+// Rotational model for the four wheels (FL, FR, RL, RR). Each wheel spins up
+// or down from the balance of drive, brake and tire reaction torque, so
+// wheelspin and lock-ups emerge from the integration instead of being scripted.
+export class WheelDynamics {
+  constructor(config) {
+    this.radius = config.tire.radius;
+    this.inertia = config.wheelMomentOfInertia || 1.0;
+    
+    // Angular velocity (rad/s) and accumulated rotation (rad) per wheel
+    this.angularVelocities = [0, 0, 0, 0];
+    this.rotationAngles = [0, 0, 0, 0];
+  }
+  
+  // Integrate one wheel over a physics step.
+  // longitudinalForceAt(angularVelocity) returns the tire's longitudinal force
+  // for a given wheel speed. The contact patch is far stiffer than the wheel
+  // inertia at 60Hz, so the step is solved implicitly (backward Euler) rather
+  // than integrated explicitly, which would oscillate between spin and lock.
+  // drivelineInertia is any extra inertia geared to the wheel, e.g. the engine,
+  // and rollingResistance the coefficient of the surface the tire is rolling on.
+  integrate(wheelIndex, driveTorque, brakeTorque, load, longitudinalForceAt, deltaTime, drivelineInertia = 0,
+            rollingResistance = PHYSICS_CONFIG.rollingResistance) {
+    const omega = this.angularVelocities[wheelIndex];
+    const r = this.radius;
+    const inertia = this.inertia + drivelineInertia;
+    
+    // Brakes and rolling resistance always oppose rotation
+    const resistingTorque = brakeTorque + rollingResistance * Math.max(0, load) * r;
+    
+    // Torque balance residual for a candidate end-of-step wheel speed,
+    // excluding the resisting torque
+    const residual = (candidate) =>
+      inertia * (candidate - omega) / deltaTime - driveTorque + longitudinalForceAt(candidate) * r;
+    
+    let newOmega = 0;
+    const stationaryResidual = residual(0);
+    
+    if (stationaryResidual < -resistingTorque) {
+      // Net torque drives the wheel forwards
+      newOmega = this.solve((candidate) => residual(candidate) + resistingTorque, 1);
+    } else if (stationaryResidual > resistingTorque) {
+      // Net torque drives the wheel backwards
+      newOmega = this.solve((candidate) => residual(candidate) - resistingTorque, -1);
+    }
+    // Otherwise the brakes hold the wheel locked (or at rest)
+    
+    this.angularVelocities[wheelIndex] = newOmega;
+    this.rotationAngles[wheelIndex] = (this.rotationAngles[wheelIndex] + newOmega * deltaTime) % (Math.PI * 2);
+    
+    return newOmega;
+  }
+  
+  // Holds a wheel's speed (rad/s) within a range after it has been
+  // integrated and returns it
+  limit(wheelIndex, min, max) {
+    const omega = this.angularVelocities[wheelIndex];
+    const limited = Math.max(min, Math.min(max, omega));
+    this.angularVelocities[wheelIndex] = limited;
+    return limited;
+  }
+  
+  // Bisection for the root of f on the side of zero given by direction.
+  // f(0) has the opposite sign to f far along that direction.
+  solve(f, direction) {
+    let inner = 0;
+    let outer = direction;
+    
+    for (let i = 0; i < 30 && f(outer) * direction < 0; i++) {
+      inner = outer;
+      outer *= 2;
+    }
+    
+    for (let i = 0; i < 40; i++) {
+      const middle = (inner + outer) / 2;
+      if (f(middle) * direction < 0) {
+        inner = middle;
+      } else {
+        outer = middle;
+      }
+    }
+    
+    return (inner + outer) / 2;
+  }
+  
+  // Wheel surface speed at the contact patch (m/s)
+  getSurfaceSpeed(wheelIndex) {
+    return this.angularVelocities[wheelIndex] * this.radius;
+  }
+  
+  reset() {
+    this.angularVelocities = [0, 0, 0, 0];
+    this.rotationAngles = [0, 0, 0, 0];
+  }
+}
\ No newline at end of file
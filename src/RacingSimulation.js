@@ -1,15 +1,24 @@
 import * as THREE from 'three';
 import { Renderer } from './Core/Renderer.js';
-import { PhysicsEngine } from './Core/PhysicsEngine.js';
+import { PHYSICS_CONFIG, SURFACE_TYPES } from './Core/PhysicsEngine.js';
+import { SimulationCore } from './Core/SimulationCore.js';
 import { InputManager } from './Core/InputManager.js';
-import { VehicleDynamics } from './Physics/VehicleDynamics.js';
+import { AutonomousDriver } from './Core/AutonomousDriver.js';
+import { Ghost, GhostRecorder } from './Core/Ghost.js';
+import { RunRecorder } from './Core/RunRecorder.js';
+import { Replay, getConfigHash } from './Core/Replay.js';
+import { TelemetryLogger } from './Core/TelemetryLogger.js';
 import { TireModel } from './Physics/TireModel.js';
+import { TIRE_COMPOUNDS, getCompounds, withCompounds } from './Physics/TireCompounds.js';
 import { WeightTransfer } from './Physics/WeightTransfer.js';
 import { CornerGenerator, CORNER_TYPES } from './Track/CornerGenerator.js';
+import { CircuitBuilder, CIRCUITS } from './Track/CircuitBuilder.js';
 import { RacingLine, RACING_LINES, BRAKING_STYLES } from './Track/RacingLine.js';
+import { TrackConditions } from './Track/TrackConditions.js';
 import { ForceVectorVisualizer } from './Visualization/ForceVectors.js';
 import { WeightDistributionDisplay } from './Visualization/WeightDisplay.js';
 import { GripCircleManager } from './Visualization/GripCircle.js';
+import { GhostCar } from './Visualization/GhostCar.js';
 import { ControlPanel } from './UI/ControlPanel.js';
 import { TelemetryPanel } from './UI/TelemetryPanel.js';
 import { RX8_CONFIG } from './Vehicles/RX8Config.js';
@@ -22,22 +31,28 @@ export class RacingSimulation {
     
     // Core systems
     this.renderer = null;
-    this.physics = null;
+    this.core = null; // Headless physics core, owns the physics world and vehicle
     this.input = null;
+    this.driver = null; // Autonomous driver, null when the player drives
+    this.ghosts = null; // Records every run and keeps the fastest as a ghost
+    this.recorder = null; // Records every step of the current run for replay
+    this.logger = null; // Logs telemetry channels over the whole session
     
     // Simulation objects
-    this.vehicle = null;
     this.track = null;
     this.currentCorner = null;
+    this.importedTracks = {}; // track definitions imported this session, by key
     
     // Physics models
     this.tireModel = new TireModel();
     this.weightTransfer = new WeightTransfer();
+    this.conditions = new TrackConditions('DRY');
     
     // Visualization systems
     this.forceVectors = null;
     this.weightDisplay = null;
     this.gripCircles = null;
+    this.ghostCar = null;
     
     // UI systems
     this.controlPanel = null;
@@ -47,19 +62,38 @@ export class RacingSimulation {
     this.paused = false;
     this.playbackSpeed = 1.0;
     this.currentTime = 0;
-    this.totalTime = 30; // 30 second sequences
-    this.recording = false;
+    this.totalTime = 30; // 30 second sequences, circuits set their own
+    this.accumulator = 0;
+    this.recording = true;  // every step of the run is kept for replay
+    this.replayTime = null; // time of the recorded step shown, null when live
+    this.loadedReplay = null; // Replay from a file, shown instead of the run
     
     // Settings
     this.currentVehicleType = 'RX8';
     this.currentCornerType = 'HAIRPIN';
     this.currentRacingLine = 'IDEAL';
     this.currentBrakingStyle = 'THRESHOLD';
+    this.autonomousDriving = true;
+    this.ghostSource = 'BEST'; // 'BEST' run on this track or a 'LOADED' one
+    this.loadedGhost = null;
+    
+    // Vehicle settings re-applied whenever the core rebuilds the vehicle
+    this.vehicleSettings = {
+      drsEnabled: true,
+      ersMode: 'race',
+      transmissionMode: null, // null keeps the vehicle's own default
+      brakeBias: null,
+      tireCompounds: null     // { front, rear }, null for the vehicle's own
+    };
     
     // Callbacks
     this.onTimeUpdate = null;
   }
   
+  get vehicle() {
+    return this.core ? this.core.vehicle : null;
+  }
+  
   async init(progressCallback) {
     try {
       debugLog('RacingSimulation', 'Starting init');
@@ -69,30 +103,25 @@ export class RacingSimulation {
       this.renderer = new Renderer(this.container);
       progressCallback?.(10);
       
-      // Initialize physics
-      debugLog('RacingSimulation', 'Creating physics engine');
-      this.physics = new PhysicsEngine();
-      this.physics.createGround();
-      progressCallback?.(20);
-      
       // Initialize input
       this.input = new InputManager();
-      progressCallback?.(30);
-      
-      // Create initial vehicle
-      debugLog('RacingSimulation', 'Creating vehicle', this.currentVehicleType);
-      await this.createVehicle(this.currentVehicleType);
-      progressCallback?.(40);
+      progressCallback?.(20);
       
       // Create initial track
       debugLog('RacingSimulation', 'Creating track', this.currentCornerType);
       await this.createTrack(this.currentCornerType);
+      progressCallback?.(30);
+      
+      // Create the headless physics core with the initial vehicle
+      debugLog('RacingSimulation', 'Creating vehicle', this.currentVehicleType);
+      await this.createVehicle(this.currentVehicleType);
       progressCallback?.(50);
       
       // Initialize visualization systems
       this.forceVectors = new ForceVectorVisualizer(this.renderer.scene);
       this.weightDisplay = new WeightDistributionDisplay(this.renderer.scene);
       this.gripCircles = new GripCircleManager();
+      this.ghostCar = new GhostCar(this.renderer.scene);
       progressCallback?.(60);
       
       // Initialize UI (defer DOM access)
@@ -124,10 +153,38 @@ export class RacingSimulation {
     }
   }
   
-  async createVehicle(vehicleType) {
-    const config = vehicleType === 'F1' ? F1_CONFIG : RX8_CONFIG;
-    this.vehicle = new VehicleDynamics(config, this.physics);
+  // Bias and compounds are set up per car, a new car starts from its own
+  // unless it is given tireCompounds to fit
+  async createVehicle(vehicleType, tireCompounds) {
+    if (vehicleType !== this.currentVehicleType) {
+      this.vehicleSettings.brakeBias = null;
+      this.vehicleSettings.tireCompounds = null;
+    }
+    if (tireCompounds !== undefined) {
+      this.vehicleSettings.tireCompounds = tireCompounds;
+    }
+    
+    const baseConfig = vehicleType === 'F1' ? F1_CONFIG : RX8_CONFIG;
+    const config = this.vehicleSettings.tireCompounds ?
+      withCompounds(baseConfig, this.vehicleSettings.tireCompounds) :
+      baseConfig;
+    
+    if (this.core) {
+      this.core.setVehicleConfig(config);
+    } else {
+      this.core = new SimulationCore(config, this.currentCorner, (time, state, core) => this.getDriverControls(time, state, core));
+      this.core.setConditions(this.conditions);
+      this.ghosts = new GhostRecorder(this.core, () => this.getRunInfo());
+      this.recorder = new RunRecorder(this.core, () => this.getReplayInfo());
+      this.recorder.setEnabled(this.recording);
+      this.logger = new TelemetryLogger(this.core, 20);
+    }
+    
+    this.applyVehicleSettings();
+    this.accumulator = 0;
+    this.loadedReplay = null;
     this.currentVehicleType = vehicleType;
+    this.createDriver();
     
     // Update weight display for new vehicle
     if (this.weightDisplay) {
@@ -141,15 +198,78 @@ export class RacingSimulation {
       this.renderer.scene.remove(this.currentCorner.mesh);
     }
     
-    // Generate new corner
-    const cornerGenerator = new CornerGenerator();
-    this.currentCorner = cornerGenerator.generateCorner(cornerType, this.currentRacingLine);
+    // Generate new corner or circuit
+    if (this.importedTracks[cornerType]) {
+      this.currentCorner = new CircuitBuilder().buildTrack(this.importedTracks[cornerType], this.currentRacingLine);
+    } else if (CIRCUITS[cornerType]) {
+      this.currentCorner = new CircuitBuilder().build(cornerType, this.currentRacingLine);
+    } else {
+      const cornerGenerator = new CornerGenerator();
+      this.currentCorner = cornerGenerator.generateCorner(cornerType, this.currentRacingLine);
+    }
+    this.totalTime = this.currentCorner.config.sequenceTime || 30;
     this.renderer.scene.add(this.currentCorner.mesh);
     
+    if (this.core) {
+      this.core.setCorner(this.currentCorner);
+      this.applyVehicleSettings();
+      this.accumulator = 0;
+    }
+    this.loadedReplay = null;
+    
+    // Ghosts from another track can't be compared with; a new racing line
+    // on the same one keeps them
+    if (cornerType !== this.currentCornerType) {
+      if (this.ghosts) this.ghosts.clear();
+      if (this.loadedGhost && this.loadedGhost.info.track !== this.currentCorner.config.name) {
+        this.loadedGhost = null;
+      }
+    }
+    
     this.currentCornerType = cornerType;
+    this.createDriver();
+  }
+  
+  // The autonomous driver runs the selected racing line and braking style,
+  // otherwise keyboard/gamepad input drives
+  createDriver() {
+    if (!this.autonomousDriving || !this.core || !this.currentCorner) {
+      this.driver = null;
+      return;
+    }
+    
+    this.driver = new AutonomousDriver(
+      this.core.vehicleConfig,
+      this.currentCorner,
+      this.currentRacingLine,
+      this.currentBrakingStyle,
+      this.conditions
+    );
+  }
+  
+  getDriverControls(time, vehicleState, core) {
+    if (this.driver) {
+      return this.driver.getControls(time, vehicleState, core);
+    }
+    return this.input.getControls();
+  }
+  
+  applyVehicleSettings() {
+    this.vehicle.setDRSEnabled(this.vehicleSettings.drsEnabled);
+    if (this.vehicle.config.ers) {
+      this.vehicle.state.ersMode = this.vehicleSettings.ersMode;
+    }
+    if (this.vehicleSettings.transmissionMode) {
+      this.vehicle.setTransmissionMode(this.vehicleSettings.transmissionMode);
+    }
+    if (this.vehicleSettings.brakeBias !== null) {
+      this.vehicle.setBrakeBias(this.vehicleSettings.brakeBias);
+    }
   }
   
   createVehicleVisual() {
+    this.removeVehicleVisual();
+    
     // Create simple box representation of vehicle for now
     const config = this.vehicle.config;
     
@@ -177,11 +297,11 @@ export class RacingSimulation {
       config.tire.width,
       16
     );
+    wheelGeometry.rotateZ(Math.PI / 2); // Axle along the chassis x axis
     const wheelMaterial = new THREE.MeshStandardMaterial({ color: 0x222222 });
     
     this.vehicle.wheels.forEach((wheel, index) => {
       const wheelMesh = new THREE.Mesh(wheelGeometry, wheelMaterial);
-      wheelMesh.rotation.z = Math.PI / 2;
       wheelMesh.castShadow = true;
       this.wheelMeshes.push(wheelMesh);
       this.renderer.scene.add(wheelMesh);
@@ -190,6 +310,20 @@ export class RacingSimulation {
     this.renderer.scene.add(this.vehicleMesh);
   }
   
+  removeVehicleVisual() {
+    if (!this.vehicleMesh) return;
+    
+    // The wheels share one geometry and material
+    this.vehicleMesh.geometry.dispose();
+    this.vehicleMesh.material.dispose();
+    this.wheelMeshes[0].geometry.dispose();
+    this.wheelMeshes[0].material.dispose();
+    this.renderer.scene.remove(this.vehicleMesh, ...this.wheelMeshes);
+    
+    this.vehicleMesh = null;
+    this.wheelMeshes = [];
+  }
+  
   async loadAssets() {
     // Mock asset loading - in real implementation would load 3D models, textures, sounds
     return new Promise(resolve => {
@@ -198,11 +332,7 @@ export class RacingSimulation {
   }
   
   setupInitialState() {
-    // Position vehicle at track entry
-    if (this.currentCorner && this.vehicle) {
-      const entryPoint = this.currentCorner.entryPoint;
-      this.vehicle.body.position.set(entryPoint.x, 1, entryPoint.z);
-    }
+    // The core already placed the vehicle at the corner entry
     
     // Show UI elements
     this.telemetryPanel.setVisibility(true);
@@ -212,120 +342,263 @@ export class RacingSimulation {
     if (this.paused) return;
     
     const scaledDeltaTime = deltaTime * this.playbackSpeed;
-    this.currentTime += scaledDeltaTime;
     
     // Update input
     this.input.update(scaledDeltaTime);
-    const controls = this.input.getControls();
     
-    // Update physics
-    const alpha = this.physics.update(scaledDeltaTime);
+    if (this.loadedReplay) {
+      // A loaded replay holds at its end, and plays again from the start
+      const replay = this.loadedReplay;
+      this.replayTime = this.replayTime < replay.duration ? this.replayTime + scaledDeltaTime : replay.getFrame(0).time;
+      if (this.replayTime >= replay.duration) {
+        this.replayTime = replay.duration;
+        this.pausePlayback();
+      }
+    } else if (this.replayTime !== null) {
+      // Scrubbed back: play the recording on, live again once it catches
+      // up with the car
+      this.replayTime += scaledDeltaTime;
+      if (this.replayTime >= this.core.time) {
+        this.replayTime = null;
+        this.accumulator = 0;
+      }
+    } else {
+      // Step the core at its fixed timestep, the renderer only observes it
+      this.accumulator += scaledDeltaTime;
+      while (this.accumulator >= PHYSICS_CONFIG.timeStep) {
+        this.core.step();
+        this.accumulator -= PHYSICS_CONFIG.timeStep;
+      }
+    }
+    
+    this.showCurrentFrame();
+    
+    // Auto-restart if sequence completed
+    if (this.replayTime === null && this.currentTime >= this.totalTime) {
+      this.restart();
+    }
+  }
+  
+  // The running car in the shape of a RunRecorder frame
+  getLiveFrame() {
+    const vehicle = this.vehicle;
+    return {
+      time: this.core.time,
+      position: vehicle.getPosition(),
+      rotation: vehicle.getRotation(),
+      wheels: vehicle.wheels.map((wheel, index) => vehicle.getWheelPosition(index)),
+      wheelAngles: vehicle.wheelDynamics.rotationAngles,
+      state: vehicle.getState(),
+      progress: this.core.timing.progress,
+      timing: this.core.timing.getResults()
+    };
+  }
+  
+  // Recording the timeline plays back: a loaded replay file, or the run
+  // being driven. Null when nothing has been recorded.
+  getReplay() {
+    if (this.loadedReplay) return this.loadedReplay;
+    return this.recorder ? this.recorder.getReplay() : null;
+  }
+  
+  // The recorded step being replayed, or the running car
+  showCurrentFrame() {
+    const replay = this.getReplay();
+    if (!replay) {
+      this.replayTime = null; // the run was reset under the replay
+    }
     
-    // Update vehicle
-    this.vehicle.update(controls, scaledDeltaTime);
+    this.showFrame(this.replayTime !== null ?
+      replay.getFrame(replay.getFrameIndex(this.replayTime)) :
+      this.getLiveFrame());
+  }
+  
+  // Draws the car, every visualization and the telemetry from a frame
+  showFrame(frame) {
+    const state = frame.state;
+    this.currentTime = frame.time;
     
     // Update visual vehicle position
-    this.updateVehicleVisuals();
-    
-    // Calculate forces for visualization
-    const forces = this.calculateDisplayForces();
+    this.updateVehicleVisuals(frame);
     
     // Update visualizations
     if (this.forceVectors) {
-      this.forceVectors.updateForceVectors(this.vehicle, forces);
+      const forces = this.calculateDisplayForces(state);
+      this.forceVectors.updateForceVectors({
+        getPosition: () => frame.position,
+        getWheelPosition: (index) => frame.wheels[index]
+      }, forces);
     }
     
     if (this.weightDisplay) {
-      const weights = this.calculateWeightDistribution();
+      const weights = this.calculateWeightDistribution(state);
       const balancePoint = this.weightTransfer.getBalancePoint(weights);
       this.weightDisplay.update(
         Object.values(weights),
-        this.vehicle.getPosition(),
+        new THREE.Vector3().copy(frame.position),
         this.vehicle.config.mass * 9.81,
-        balancePoint
+        balancePoint,
+        this.getSurfaceLoading(state)
       );
     }
     
     if (this.gripCircles) {
-      const wheelForces = this.calculateWheelDisplayForces();
-      this.gripCircles.updateAll(wheelForces, this.vehicle.state.tireTemps);
+      const wheelForces = this.calculateWheelDisplayForces(state);
+      this.gripCircles.updateAll(wheelForces, this.getTireDisplayStates(state), this.vehicle.tireThermal.optimalTemps);
     }
     
+    this.updateGhost();
+    
     // Update UI
-    this.telemetryPanel.update(this.vehicle.getState(), performance.now());
+    this.telemetryPanel.update(state, performance.now(), frame.timing, this.getGhostDelta(frame));
     
     // Update camera
-    this.renderer.updateCamera(this.vehicle.getPosition(), this.vehicle.getRotation());
+    this.renderer.updateCamera(
+      new THREE.Vector3().copy(frame.position),
+      new THREE.Quaternion().copy(frame.rotation)
+    );
     
     // Update timeline
     if (this.onTimeUpdate) {
       this.onTimeUpdate(this.currentTime, this.totalTime);
     }
+  }
+  
+  // Run info kept with a replay: getRunInfo() plus the track's key, the
+  // compounds fitted, the conditions and a hash of the car's config to tell
+  // whether it is set up the same
+  getReplayInfo() {
+    return {
+      ...this.getRunInfo(),
+      cornerType: this.currentCornerType,
+      configHash: getConfigHash(this.vehicle.config),
+      tireCompounds: this.vehicleSettings.tireCompounds,
+      conditions: this.conditions.getSettings()
+    };
+  }
+  
+  // What a run recorded now is driving, kept with its ghost
+  getRunInfo() {
+    return {
+      vehicle: this.currentVehicleType,
+      track: this.currentCorner.config.name,
+      racingLine: this.currentRacingLine,
+      brakingStyle: this.currentBrakingStyle
+    };
+  }
+  
+  // Ghost shown against the current run, null if there isn't one yet
+  getGhost() {
+    if (this.ghostSource === 'LOADED') return this.loadedGhost;
+    return this.ghosts ? this.ghosts.best : null;
+  }
+  
+  // Plays the ghost back at the current run's time, rebuilding its car
+  // when the ghost changes
+  updateGhost() {
+    if (!this.ghostCar) return;
     
-    // Auto-restart if sequence completed
-    if (this.currentTime >= this.totalTime) {
-      this.restart();
+    const ghost = this.getGhost();
+    if (ghost !== this.ghostCar.ghost) {
+      const config = ghost && ghost.info.vehicle === 'F1' ? F1_CONFIG : RX8_CONFIG;
+      const line = ghost && RACING_LINES[ghost.info.racingLine];
+      this.ghostCar.setGhost(ghost, config, line ? line.color : 0xffffff);
     }
+    this.ghostCar.update(this.currentTime);
   }
   
-  updateVehicleVisuals() {
+  // Seconds the current run is behind (positive) or ahead of the ghost at
+  // the same point on the track, with the ghost's racing line and time.
+  // frame is the running car or the recorded step being replayed.
+  getGhostDelta(frame = this.getLiveFrame()) {
+    const ghost = this.getGhost();
+    if (!ghost || frame.progress === null) return null;
+    
+    const ghostTime = ghost.getTimeAt(frame.progress);
+    const line = RACING_LINES[ghost.info.racingLine];
+    return {
+      delta: ghostTime !== null ? (frame.timing.finished ? frame.timing.lapTime : frame.time) - ghostTime : null,
+      racingLine: line ? line.name : ghost.info.racingLine,
+      vehicle: ghost.info.vehicle,
+      time: ghost.time
+    };
+  }
+  
+  // Solver prediction for the selected racing line and braking style
+  getCornerPrediction() {
+    if (!this.core || !this.currentCorner) return null;
+    
+    return new RacingLine(this.conditions).compareLines(this.currentCorner, this.core.vehicleConfig, {
+      lineTypes: [this.currentRacingLine],
+      brakingStyles: [this.currentBrakingStyle]
+    })[0];
+  }
+  
+  getVehiclePosition() {
+    return new THREE.Vector3().copy(this.vehicle.getPosition());
+  }
+  
+  getVehicleRotation() {
+    return new THREE.Quaternion().copy(this.vehicle.getRotation());
+  }
+  
+  updateVehicleVisuals(frame) {
     if (!this.vehicleMesh || !this.vehicle) return;
     
     // Update main body
-    const position = this.vehicle.getPosition();
-    const rotation = this.vehicle.getRotation();
+    const position = new THREE.Vector3().copy(frame.position);
+    const rotation = new THREE.Quaternion().copy(frame.rotation);
     
     this.vehicleMesh.position.copy(position);
     this.vehicleMesh.quaternion.copy(rotation);
     
-    // Update wheels
-    this.vehicle.wheels.forEach((wheel, index) => {
+    // Update wheels, spinning at the wheel model's speed so lock-ups and
+    // wheelspin are visible
+    const axle = new THREE.Vector3(1, 0, 0);
+    frame.wheels.forEach((wheel, index) => {
       if (this.wheelMeshes[index]) {
-        this.wheelMeshes[index].position.copy(wheel.body.position);
-        this.wheelMeshes[index].quaternion.copy(wheel.body.quaternion);
+        const spin = new THREE.Quaternion().setFromAxisAngle(axle, frame.wheelAngles[index]);
+        this.wheelMeshes[index].position.copy(wheel);
+        this.wheelMeshes[index].quaternion.copy(rotation).multiply(spin);
       }
     });
   }
   
-  calculateDisplayForces() {
-    const vehicleState = this.vehicle.getState();
-    
+  // The display helpers take the vehicle state to show, the running car's
+  // or a recorded one
+  calculateDisplayForces(vehicleState = this.vehicle.getState()) {
     // Calculate forces for each wheel
-    const wheelForces = this.vehicle.wheels.map((wheel, index) => {
-      const load = vehicleState.wheelLoads[index];
-      const maxForce = load * this.vehicle.config.tire.peakMu;
+    const wheelForces = vehicleState.tireForces.map((tireForce, index) => {
+      const maxForce = tireForce.maximum;
       
       return {
-        lateral: Math.sin(vehicleState.lateralG) * maxForce * 0.8,
-        longitudinal: Math.sin(vehicleState.longitudinalG) * maxForce * 0.6,
-        vertical: load,
+        lateral: tireForce.lateral,
+        longitudinal: tireForce.longitudinal,
+        vertical: vehicleState.wheelLoads[index],
         maxAvailable: maxForce,
-        lateralUtilization: Math.abs(vehicleState.lateralG) / this.vehicle.config.maxLateralG,
-        longitudinalUtilization: Math.abs(vehicleState.longitudinalG) / this.vehicle.config.maxBrakingG
+        lateralUtilization: maxForce > 0 ? Math.abs(tireForce.lateral) / maxForce : 0,
+        longitudinalUtilization: maxForce > 0 ? Math.abs(tireForce.longitudinal) / maxForce : 0
       };
     });
     
-    // Calculate aerodynamic forces
-    const speed = vehicleState.speed;
+    // Aerodynamic forces as applied this step, DRS included
+    const aeroState = vehicleState.aeroForces;
     const aeroForces = {
-      drag: 0.5 * 1.225 * speed * speed * this.vehicle.config.dragCoefficient * this.vehicle.config.frontalArea,
+      drag: aeroState.drag,
       downforce: {
-        front: 0,
-        rear: 0
-      }
+        front: aeroState.frontDownforce,
+        rear: aeroState.rearDownforce
+      },
+      drsFlap: vehicleState.drsFlap || 0
     };
     
-    if (this.vehicle.config.downforceCoefficient) {
-      const q = 0.5 * 1.225 * speed * speed;
-      const totalDownforce = q * (this.vehicle.config.downforceCoefficient.front + this.vehicle.config.downforceCoefficient.rear) * this.vehicle.config.frontalArea;
-      
-      aeroForces.downforce.front = totalDownforce * this.vehicle.config.downforceBalance;
-      aeroForces.downforce.rear = totalDownforce * (1 - this.vehicle.config.downforceBalance);
-    }
-    
     return {
       wheels: wheelForces,
       aero: aeroForces,
+      // Sideways push from the tire loads on a banked surface
+      banking: {
+        support: vehicleState.bankingSupport
+      },
       total: {
         lateral: wheelForces.reduce((sum, f) => sum + f.lateral, 0),
         longitudinal: wheelForces.reduce((sum, f) => sum + f.longitudinal, 0)
@@ -333,31 +606,52 @@ export class RacingSimulation {
     };
   }
   
-  calculateWeightDistribution() {
-    const vehicleState = this.vehicle.getState();
+  getTireDisplayStates(state = this.vehicle.state) {
+    return state.tireSurfaceTemps.map((surface, index) => ({
+      surface,
+      carcass: state.tireCarcassTemps[index],
+      wear: state.tireWear[index],
+      compound: this.vehicle.tires[index].name,
+      ground: {
+        type: state.wheelSurfaces[index],
+        name: SURFACE_TYPES[state.wheelSurfaces[index]].name,
+        grip: state.surfaceGrip[index],
+        color: '#' + SURFACE_TYPES[state.wheelSurfaces[index]].color.toString(16).padStart(6, '0')
+      }
+    }));
+  }
+  
+  calculateWeightDistribution(vehicleState = this.vehicle.getState()) {
+    // WeightTransfer takes the cornering load (towards +x) as positive lateral G
     return this.weightTransfer.calculateCombined(
       this.vehicle.config,
-      vehicleState.lateralG,
-      vehicleState.longitudinalG
+      -vehicleState.lateralG,
+      vehicleState.longitudinalG,
+      vehicleState.rollAngle,
+      vehicleState.pitchAngle,
+      vehicleState.verticalG
     );
   }
   
-  calculateWheelDisplayForces() {
-    const vehicleState = this.vehicle.getState();
+  // Tire loads against the car's weight, which banking (and downforce)
+  // raise above 1, and the bank angle under the car
+  getSurfaceLoading(vehicleState = this.vehicle.getState()) {
+    const totalLoad = vehicleState.wheelLoads.reduce((sum, load) => sum + load, 0);
     
-    return this.vehicle.wheels.map((wheel, index) => {
-      const load = vehicleState.wheelLoads[index];
-      const maxForce = load * this.vehicle.config.tire.peakMu;
-      
-      // Mock forces for display
-      const lateral = Math.sin(vehicleState.lateralG * Math.PI / 2) * maxForce * 0.7;
-      const longitudinal = Math.sin(vehicleState.longitudinalG * Math.PI / 2) * maxForce * 0.5;
-      
+    return {
+      loadFactor: totalLoad / (this.vehicle.config.mass * 9.81),
+      bankAngle: vehicleState.bankAngle * 180 / Math.PI
+    };
+  }
+  
+  calculateWheelDisplayForces(vehicleState = this.vehicle.getState()) {
+    return vehicleState.tireForces.map((tireForce, index) => {
       return {
-        lateral,
-        longitudinal,
-        maximum: maxForce,
-        utilization: Math.sqrt(lateral * lateral + longitudinal * longitudinal) / maxForce
+        lateral: tireForce.lateral,
+        longitudinal: tireForce.longitudinal,
+        maximum: tireForce.maximum,
+        utilization: tireForce.utilization,
+        slipRatio: vehicleState.slipRatios[index]
       };
     });
   }
@@ -367,9 +661,9 @@ export class RacingSimulation {
   }
   
   // Control methods called by UI
-  changeVehicle(vehicleType) {
+  async changeVehicle(vehicleType) {
     const type = vehicleType === 'Formula 1' ? 'F1' : 'RX8';
-    this.createVehicle(type);
+    await this.createVehicle(type);
     this.createVehicleVisual();
     console.log(`Switched to ${vehicleType}`);
   }
@@ -377,7 +671,129 @@ export class RacingSimulation {
   changeCorner(cornerType) {
     this.createTrack(cornerType);
     this.restart();
-    console.log(`Switched to ${CORNER_TYPES[cornerType].name}`);
+    console.log(`Switched to ${this.getTrackConfig(cornerType).name}`);
+  }
+  
+  // Config of a built-in corner or circuit, or of an imported track
+  getTrackConfig(cornerType) {
+    return CORNER_TYPES[cornerType] || CIRCUITS[cornerType] || this.importedTracks[cornerType];
+  }
+  
+  // Adds a JSON track definition to the imported tracks under a key made
+  // from its name and returns the key. Throws if the definition is invalid.
+  importTrack(source) {
+    const track = new CornerGenerator().loadTrack(source, this.currentRacingLine);
+    let key = track.config.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '') || 'TRACK';
+    
+    // Don't shadow a built-in corner or circuit
+    if (CORNER_TYPES[key] || CIRCUITS[key]) {
+      key = `IMPORTED_${key}`;
+    }
+    
+    this.importedTracks[key] = track.config;
+    console.log(`Imported ${track.config.name} as ${key}`);
+    return key;
+  }
+  
+  // JSON track definition of the current corner or circuit
+  exportTrack() {
+    return new CornerGenerator().exportTrack(this.currentCorner);
+  }
+  
+  // JSON ghost file of the fastest run on this track. Throws if no run
+  // has finished a valid lap yet.
+  saveGhost() {
+    const ghost = this.ghosts && this.ghosts.best;
+    if (!ghost) {
+      throw new Error('No run has finished a valid lap on this track yet');
+    }
+    return ghost.toJSON();
+  }
+  
+  // Loads a ghost file recorded on the current track and shows it. Throws
+  // if the file is invalid or from another track.
+  loadGhost(source) {
+    const ghost = Ghost.parse(source);
+    const track = this.currentCorner.config.name;
+    if (ghost.info.track !== track) {
+      throw new Error(`The ghost was recorded on ${ghost.info.track}, not ${track}`);
+    }
+    
+    this.loadedGhost = ghost;
+    this.ghostSource = 'LOADED';
+  }
+  
+  // Binary replay file of the recording on the timeline. Throws if nothing
+  // has been recorded.
+  saveReplay() {
+    const replay = this.getReplay();
+    if (!replay) {
+      throw new Error('Nothing has been recorded yet, turn on Record for Replay');
+    }
+    return replay.toArrayBuffer();
+  }
+  
+  // Loads a replay file and plays it from the start, switching to the car,
+  // track, racing line and braking style it was recorded with. Throws if
+  // the file is invalid or its track isn't loaded. Returns whether the car
+  // is set up exactly as the recorded one was; restarting goes back to
+  // driving.
+  async loadReplay(source) {
+    const replay = Replay.parse(source);
+    const info = replay.info;
+    if (!this.getTrackConfig(info.cornerType)) {
+      throw new Error(`The replay was recorded on ${info.track}, import that track first`);
+    }
+    if (!['RX8', 'F1'].includes(info.vehicle) || !RACING_LINES[info.racingLine] || !BRAKING_STYLES[info.brakingStyle]) {
+      throw new Error('The replay was recorded with an unknown vehicle, racing line or braking style');
+    }
+    if (info.tireCompounds && !Object.values(info.tireCompounds).every(compound => TIRE_COMPOUNDS[compound])) {
+      throw new Error('The replay was recorded on unknown tire compounds');
+    }
+    
+    const vehicleChanged = info.vehicle !== this.currentVehicleType;
+    this.currentRacingLine = info.racingLine;
+    this.currentBrakingStyle = info.brakingStyle;
+    await this.createVehicle(info.vehicle, info.tireCompounds || null);
+    if (vehicleChanged) {
+      this.createVehicleVisual();
+    }
+    await this.createTrack(info.cornerType);
+    this.restart();
+    
+    this.loadedReplay = replay;
+    this.replayTime = replay.getFrame(0).time;
+    this.showCurrentFrame();
+    return getConfigHash(this.vehicle.config) === info.configHash;
+  }
+  
+  // The session's telemetry log as 'CSV', or as 'MOTEC' CSV for MoTeC i2
+  exportTelemetryLog(format = 'CSV') {
+    if (this.logger.sampleCount === 0) {
+      throw new Error('No telemetry has been logged yet');
+    }
+    if (format !== 'MOTEC') {
+      return this.logger.toCSV();
+    }
+    
+    return this.logger.toMoTeCCSV({
+      venue: this.currentCorner.config.name,
+      vehicle: this.vehicle.config.name,
+      driver: this.autonomousDriving ? 'Autonomous' : '',
+      comment: `${RACING_LINES[this.currentRacingLine].name} line, ${BRAKING_STYLES[this.currentBrakingStyle].name} braking`
+    });
+  }
+  
+  setLogRate(rate) {
+    this.logger.setRate(rate);
+  }
+  
+  clearTelemetryLog() {
+    this.logger.clear();
+  }
+  
+  setGhostSource(source) {
+    this.ghostSource = source;
   }
   
   changeRacingLine(racingLine) {
@@ -388,9 +804,28 @@ export class RacingSimulation {
   
   changeBrakingStyle(brakingStyle) {
     this.currentBrakingStyle = brakingStyle;
+    this.createDriver();
+    this.restart();
     console.log(`Braking style: ${BRAKING_STYLES[brakingStyle].name}`);
   }
   
+  // Weather preset name or condition values. The driver and the corner
+  // prediction are planned again for the new grip.
+  setTrackConditions(settings) {
+    this.conditions.set(settings);
+    if (this.core) {
+      this.core.setConditions(this.conditions);
+    }
+    this.createDriver();
+    this.restart();
+  }
+  
+  setAutonomousDriving(enabled) {
+    this.autonomousDriving = enabled;
+    this.createDriver();
+    this.restart();
+  }
+  
   setPlaybackSpeed(speed) {
     this.playbackSpeed = speed;
   }
@@ -406,17 +841,21 @@ export class RacingSimulation {
   
   restart() {
     this.currentTime = 0;
-    if (this.vehicle) {
-      this.vehicle.resetPosition();
+    this.accumulator = 0;
+    this.replayTime = null;
+    this.loadedReplay = null;
+    if (this.core) {
+      this.core.reset();
+      this.applyVehicleSettings();
+    }
+    if (this.driver) {
+      this.driver.reset();
     }
     console.log('Simulation restarted');
   }
   
   reset() {
     this.restart();
-    if (this.physics) {
-      this.physics.reset();
-    }
   }
   
   pause() {
@@ -427,9 +866,60 @@ export class RacingSimulation {
     this.paused = false;
   }
   
+  // Scrubs to a point on the timeline (0-1). Before where the car has got
+  // to, the recorded step is shown; at or past it the run carries on live.
   setTimeProgress(progress) {
-    this.currentTime = progress * this.totalTime;
-    // Would implement scrubbing to specific time in full version
+    this.seek(progress * this.totalTime);
+  }
+  
+  seek(time) {
+    const replay = this.getReplay();
+    if (!replay || (!this.loadedReplay && time >= this.core.time)) {
+      this.replayTime = null;
+    } else {
+      this.replayTime = replay.getFrame(replay.getFrameIndex(time)).time;
+    }
+    this.showCurrentFrame();
+  }
+  
+  // Pauses and moves one physics step back (-1) or forward (1) through the
+  // recording. Forward from the live car runs the simulation on a step.
+  stepFrame(direction) {
+    this.pausePlayback();
+    
+    if (this.replayTime === null && direction > 0) {
+      this.core.step();
+      this.accumulator = 0;
+      this.showCurrentFrame();
+      return;
+    }
+    
+    const replay = this.getReplay();
+    if (!replay) return;
+    
+    const current = replay.getFrameIndex(this.replayTime !== null ? this.replayTime : this.core.time);
+    const index = Math.max(0, Math.min(replay.frameCount - 1, current + direction));
+    this.seek(replay.getFrame(index).time);
+  }
+  
+  // Pauses from the simulation's side, keeping the controls in step
+  pausePlayback() {
+    if (this.controlPanel) {
+      this.controlPanel.setPaused(true);
+    } else {
+      this.setPaused(true);
+    }
+  }
+  
+  // Keeping every step of the run for replay, off to save memory
+  setRecording(enabled) {
+    this.recording = enabled;
+    if (this.recorder) {
+      this.recorder.setEnabled(enabled);
+    }
+    if (!enabled && !this.loadedReplay) {
+      this.replayTime = null;
+    }
   }
   
   // Visualization toggles
@@ -451,6 +941,12 @@ export class RacingSimulation {
     }
   }
   
+  toggleGhost(visible) {
+    if (this.ghostCar) {
+      this.ghostCar.setVisibility(visible);
+    }
+  }
+  
   toggleRacingLine(visible) {
     // Would toggle racing line visibility
   }
@@ -472,8 +968,8 @@ export class RacingSimulation {
   }
   
   setGravityScale(scale) {
-    if (this.physics) {
-      this.physics.world.gravity.y = -9.81 * scale;
+    if (this.core) {
+      this.core.setGravityScale(scale);
     }
   }
   
@@ -490,18 +986,35 @@ export class RacingSimulation {
   }
   
   // Vehicle-specific methods
+  // Race control enabling DRS; the driver still opens it in a zone
   setDRS(enabled) {
-    if (this.vehicle && this.vehicle.config.drs) {
-      this.vehicle.state.drsActive = enabled;
+    this.vehicleSettings.drsEnabled = enabled;
+    if (this.vehicle) {
+      this.vehicle.setDRSEnabled(enabled);
     }
   }
   
   setERSMode(mode) {
+    this.vehicleSettings.ersMode = mode;
     if (this.vehicle && this.vehicle.config.ers) {
       this.vehicle.state.ersMode = mode;
     }
   }
   
+  setTransmissionMode(mode) {
+    this.vehicleSettings.transmissionMode = mode;
+    if (this.vehicle) {
+      this.vehicle.setTransmissionMode(mode);
+    }
+  }
+  
+  setBrakeBias(bias) {
+    this.vehicleSettings.brakeBias = bias;
+    if (this.vehicle) {
+      this.vehicle.setBrakeBias(bias);
+    }
+  }
+  
   setDownforceLevel(level) {
     if (this.vehicle && this.vehicle.config.downforceCoefficient) {
       const scale = level / 50; // 50 is baseline
@@ -529,31 +1042,33 @@ export class RacingSimulation {
     }
   }
   
-  setTireType(type) {
-    if (this.vehicle) {
-      const config = this.vehicle.config;
-      switch (type) {
-        case 'race':
-          config.tire.peakMu = config.maxLateralGRace || config.tire.peakMu * 1.1;
-          break;
-        case 'sport':
-          config.tire.peakMu = config.tire.peakMu * 1.05;
-          break;
-        default: // street
-          // Use default values
-          break;
-      }
+  // Fits a compound from TIRE_COMPOUNDS to the 'front' or 'rear' axle. The
+  // car is rebuilt on a copy of its config, and the driver and prediction
+  // are planned again for the new grip.
+  async setTireCompound(axle, compound) {
+    if (!TIRE_COMPOUNDS[compound]) {
+      throw new Error(`Unknown tire compound: ${compound}`);
     }
+    
+    const fitted = this.vehicle ? getCompounds(this.vehicle.config) : {};
+    this.vehicleSettings.tireCompounds = { ...fitted, [axle]: compound };
+    await this.createVehicle(this.currentVehicleType);
+    this.restart();
   }
   
   dispose() {
     // Clean up all systems
+    this.removeVehicleVisual();
     if (this.renderer) this.renderer.dispose();
-    if (this.physics) this.physics.dispose();
+    if (this.core) this.core.dispose();
     if (this.input) this.input.dispose();
     if (this.forceVectors) this.forceVectors.dispose();
     if (this.weightDisplay) this.weightDisplay.dispose();
     if (this.gripCircles) this.gripCircles.dispose();
+    if (this.ghostCar) this.ghostCar.dispose();
+    if (this.ghosts) this.ghosts.dispose();
+    if (this.recorder) this.recorder.dispose();
+    if (this.logger) this.logger.dispose();
     if (this.controlPanel) this.controlPanel.dispose();
     
     console.log('Simulation disposed');
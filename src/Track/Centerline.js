@@ -0,0 +1,262 @@
+import * as THREE from 'three';
+
+// Track centerline as a chain of sections, each with a curvature that is
+// constant (straights and arcs) or changes linearly along it (clothoid
+// transitions). Headings run from +x towards +z, and positive curvature
+// turns towards +z. The line is parametrized by distance: getSample returns
+// the position, direction of travel, the normal towards the side positive
+// curvature turns to and the curvature at any distance along it.
+//
+// A closed centerline is a lap. Whatever small gap is left between its end
+// and its start is spread along the lap so it joins up, and distances wrap
+// round past the finish.
+//
+// The turns a racing line apexes are the sections marked as turns, unless
+// they are passed in, e.g. when found from the curvature of a point list.
+export class Centerline {
+  constructor({ start = { x: 0, z: 0 }, heading = 0, sections, closed = false, turns = null }) {
+    this.start = { x: start.x, z: start.z };
+    this.heading = heading;
+    this.closed = closed;
+    this.integrationStep = 0.5; // m, for clothoid positions
+    
+    // Where each section starts and which way it is heading
+    let x = this.start.x;
+    let z = this.start.z;
+    let sectionHeading = heading;
+    let length = 0;
+    
+    this.sections = sections.map(section => {
+      const placed = {
+        ...section,
+        endCurvature: section.endCurvature !== undefined ? section.endCurvature : section.curvature,
+        start: length,
+        x,
+        z,
+        heading: sectionHeading
+      };
+      
+      const end = this.advanceAlongSection(placed, placed.length);
+      x = end.x;
+      z = end.z;
+      sectionHeading = end.heading;
+      length += placed.length;
+      return placed;
+    });
+    
+    this.length = length;
+    this.endHeading = sectionHeading;
+    
+    // Gap between the end and the start, per metre of lap
+    this.closureGap = { x: x - this.start.x, z: z - this.start.z };
+    this.drift = closed && length > 0 ?
+      { x: this.closureGap.x / length, z: this.closureGap.z / length } :
+      { x: 0, z: 0 };
+    
+    this.turns = turns || this.sections
+      .filter(section => section.turn)
+      .map(section => ({
+        start: section.start,
+        end: section.start + section.length,
+        direction: Math.sign(section.curvature),
+        radius: Math.abs(1 / section.curvature),
+        apexPosition: section.apexPosition !== undefined ? section.apexPosition : 0.5
+      }));
+    
+    this.buildDistanceTable();
+  }
+  
+  getSample(distance) {
+    const wrapped = this.closed ?
+      ((distance % this.length) + this.length) % this.length :
+      Math.max(0, Math.min(this.length, distance));
+    const section = this.sections.find(s => wrapped <= s.start + s.length) || this.sections[this.sections.length - 1];
+    const offset = wrapped - section.start;
+    const point = this.advanceAlongSection(section, offset);
+    
+    return {
+      distance: wrapped,
+      position: new THREE.Vector3(point.x - this.drift.x * wrapped, 0, point.z - this.drift.z * wrapped),
+      direction: new THREE.Vector3(Math.cos(point.heading), 0, Math.sin(point.heading)),
+      normal: new THREE.Vector3(-Math.sin(point.heading), 0, Math.cos(point.heading)),
+      heading: point.heading,
+      curvature: this.getCurvature(section, offset)
+    };
+  }
+  
+  getCurvature(section, distance) {
+    if (section.length <= 0) return section.curvature;
+    return section.curvature + (section.endCurvature - section.curvature) * distance / section.length;
+  }
+  
+  advanceAlongSection(section, distance) {
+    const k0 = section.curvature;
+    const k1 = section.endCurvature;
+    
+    if (k0 === k1) {
+      if (k0 === 0) {
+        return {
+          x: section.x + Math.cos(section.heading) * distance,
+          z: section.z + Math.sin(section.heading) * distance,
+          heading: section.heading
+        };
+      }
+      
+      const heading = section.heading + k0 * distance;
+      return {
+        x: section.x + (Math.sin(heading) - Math.sin(section.heading)) / k0,
+        z: section.z - (Math.cos(heading) - Math.cos(section.heading)) / k0,
+        heading
+      };
+    }
+    
+    // Clothoid: heading is quadratic in distance, position is integrated
+    // with Simpson's rule
+    const rate = (k1 - k0) / section.length;
+    const headingAt = (s) => section.heading + k0 * s + rate * s * s / 2;
+    const steps = Math.max(2, 2 * Math.ceil(distance / (2 * this.integrationStep)));
+    const h = distance / steps;
+    let x = 0;
+    let z = 0;
+    
+    for (let i = 0; i <= steps; i++) {
+      const weight = i === 0 || i === steps ? 1 : (i % 2 === 1 ? 4 : 2);
+      const heading = headingAt(i * h);
+      x += weight * Math.cos(heading);
+      z += weight * Math.sin(heading);
+    }
+    
+    return {
+      x: section.x + x * h / 3,
+      z: section.z + z * h / 3,
+      heading: headingAt(distance)
+    };
+  }
+  
+  // Points along the line at roughly the given spacing, ends included
+  getPoints(spacing = 1) {
+    const count = Math.max(1, Math.ceil(this.length / spacing));
+    const points = [];
+    for (let i = 0; i <= count; i++) {
+      points.push(this.getSample((i / count) * this.length).position);
+    }
+    return points;
+  }
+  
+  // Left and right track edges for a track of the given width, or a
+  // function giving the width at a distance. Left is the side positive
+  // curvature turns to.
+  getEdges(width, spacing = 1) {
+    const widthAt = typeof width === 'function' ? width : () => width;
+    const count = Math.max(1, Math.ceil(this.length / spacing));
+    const left = [];
+    const right = [];
+    
+    for (let i = 0; i <= count; i++) {
+      const sample = this.getSample((i / count) * this.length);
+      const halfWidth = widthAt(sample.distance) / 2;
+      left.push(sample.position.clone().addScaledVector(sample.normal, halfWidth));
+      right.push(sample.position.clone().addScaledVector(sample.normal, -halfWidth));
+    }
+    
+    return { left, right };
+  }
+  
+  getBounds(margin = 0) {
+    const box = new THREE.Box3().setFromPoints(this.getPoints(5));
+    return box.expandByVector(new THREE.Vector3(margin, 0, margin));
+  }
+  
+  // Distance along the line of the closest point to a position, and how far
+  // off the line it is (positive on the normal's side). Null if the line is
+  // further than maxDistance away.
+  project(position, maxDistance = Infinity) {
+    const nearest = this.findNearest(position, maxDistance);
+    if (nearest === null) return null;
+    
+    // Refine on the direction of travel at the nearest table entry, whose
+    // normal is its direction turned towards positive curvature
+    const entry = this.distanceTable[nearest];
+    const dx = position.x - entry.x;
+    const dz = position.z - entry.z;
+    const along = dx * entry.directionX + dz * entry.directionZ;
+    const lateral = dz * entry.directionX - dx * entry.directionZ;
+    if (Math.abs(lateral) > maxDistance) return null;
+    
+    let distance = entry.distance + along;
+    if (this.closed) {
+      distance = ((distance % this.length) + this.length) % this.length;
+    } else {
+      distance = Math.max(0, Math.min(this.length, distance));
+    }
+    
+    return { distance, lateral };
+  }
+  
+  // Index of the distance table entry nearest a position. Only the buckets
+  // around it out to maxDistance (at least the ring next to it) are searched
+  // unless nothing turns up within them, as anything in the rest is at least
+  // that far away.
+  findNearest(position, maxDistance = Infinity) {
+    const table = this.distanceTable;
+    const column = Math.floor(position.x / this.bucketSize);
+    const row = Math.floor(position.z / this.bucketSize);
+    const rings = Number.isFinite(maxDistance) ? Math.max(1, Math.ceil(maxDistance / this.bucketSize)) : 1;
+    let nearest = null;
+    let nearestDistance = Infinity;
+    
+    const check = (index) => {
+      const dx = table[index].x - position.x;
+      const dz = table[index].z - position.z;
+      const distance = dx * dx + dz * dz;
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = index;
+      }
+    };
+    
+    for (let i = -rings; i <= rings; i++) {
+      for (let j = -rings; j <= rings; j++) {
+        const bucket = this.buckets.get(getBucketKey(column + i, row + j));
+        if (bucket) bucket.forEach(check);
+      }
+    }
+    
+    const searched = rings * this.bucketSize;
+    const reach = Math.min(maxDistance, searched);
+    if (nearestDistance <= reach * reach) return nearest;
+    if (maxDistance <= searched) return null;
+    
+    for (let i = 0; i < table.length; i++) check(i);
+    return nearestDistance <= maxDistance * maxDistance ? nearest : null;
+  }
+  
+  buildDistanceTable() {
+    const spacing = 1; // m
+    const count = Math.max(1, Math.ceil(this.length / spacing));
+    this.distanceTable = [];
+    this.bucketSize = 64; // m
+    this.buckets = new Map();
+    
+    for (let i = 0; i <= count; i++) {
+      const distance = (i / count) * this.length;
+      const { position, direction } = this.getSample(distance);
+      this.distanceTable.push({
+        distance,
+        x: position.x,
+        z: position.z,
+        directionX: direction.x,
+        directionZ: direction.z
+      });
+      
+      const key = getBucketKey(Math.floor(position.x / this.bucketSize), Math.floor(position.z / this.bucketSize));
+      if (!this.buckets.has(key)) this.buckets.set(key, []);
+      this.buckets.get(key).push(i);
+    }
+  }
+}
+
+// Buckets are keyed by their grid column and row
+function getBucketKey(column, row) {
+  return column * 65536 + row;
+}
\ No newline at end of file
@@ -0,0 +1,600 @@
+import * as THREE from 'three';
+import { CORNER_TYPES } from './CornerGenerator.js';
+import { Centerline } from './Centerline.js';
+import { RacingLine, RACING_LINES } from './RacingLine.js';
+import { TrackProfile } from './TrackProfile.js';
+import { TrackSurface } from './TrackSurface.js';
+import { SURFACE_TYPES } from '../Core/PhysicsEngine.js';
+
+// Circuits are laid out from the start/finish line, heading along +x, as a
+// sequence of segments:
+//   { type: 'straight', length, drs }      drs marks a DRS zone
+//   { type: 'arc', radius, angle, apexPosition }
+//                                         angle in degrees, positive turns
+//                                         towards +z
+//   { type: 'corner', corner, mirror }     one of CORNER_TYPES without its
+//                                         lead-in straights, mirror turns it
+//                                         the other way
+//   { type: 'clothoid', length }           curvature eases from the segment
+//                                         before to the one after
+// A clothoid takes half its length from each arc it joins, so corners still
+// turn through their full angle. A closed circuit has to turn through one
+// full revolution and end close to where it started.
+//
+// A circuit can also be any track definition from TrackFormat, with a start
+// position and heading, a centerline given as points rather than segments,
+// a profile of width, banking, camber, grip and elevation along it, curbs
+// and run-off zones.
+export const CIRCUITS = {
+  TEST_CIRCUIT: {
+    name: "Test Circuit",
+    description: "Closed lap linking the sweeper, chicane and hairpin with clothoid transitions",
+    trackWidth: 12,
+    closed: true,
+    sequenceTime: 120,
+    segments: [
+      { type: 'straight', length: 350, drs: true },
+      { type: 'clothoid', length: 40 },
+      { type: 'corner', corner: 'FAST_SWEEPER' },
+      { type: 'clothoid', length: 40 },
+      { type: 'straight', length: 150 },
+      { type: 'corner', corner: 'CHICANE' },
+      { type: 'straight', length: 120 },
+      { type: 'clothoid', length: 20 },
+      { type: 'arc', radius: 40, angle: 90, apexPosition: 0.6 },
+      { type: 'clothoid', length: 20 },
+      { type: 'straight', length: 716.2, drs: true },
+      { type: 'clothoid', length: 10 },
+      { type: 'corner', corner: 'HAIRPIN' },
+      { type: 'clothoid', length: 10 },
+      { type: 'straight', length: 80 },
+      { type: 'clothoid', length: 15 },
+      { type: 'arc', radius: 30, angle: -90, apexPosition: 0.5 },
+      { type: 'clothoid', length: 15 },
+      { type: 'straight', length: 380.8 },
+      { type: 'clothoid', length: 25 },
+      { type: 'arc', radius: 50, angle: 90, apexPosition: 0.55 },
+      { type: 'clothoid', length: 25 },
+      { type: 'straight', length: 100 }
+    ]
+  }
+};
+
+export class CircuitBuilder {
+  constructor() {
+    this.trackWidth = 12;          // meters, unless the circuit sets one
+    this.maxHeadingError = 5;      // degrees a closed lap may be off by
+    this.maxClosureGap = 5;        // meters a closed lap may end from its start
+    this.meshSpacing = 1;          // meters between mesh cross-sections
+    this.curbWidth = 1;            // meters, unless the curb sets one
+    this.curbBlockLength = 3;      // meters of each red and white block
+    this.turnCurvature = 1 / 250;  // 1/m, tighter than this is a turn on a point centerline
+  }
+  
+  // Track object with the same interface as CornerGenerator.generateCorner,
+  // plus the centerline and profile for distance-based lookups
+  build(circuitType, racingLine = 'IDEAL') {
+    const config = CIRCUITS[circuitType];
+    
+    if (!config) {
+      throw new Error(`Unknown circuit: ${circuitType}`);
+    }
+    
+    return this.buildTrack(config, racingLine);
+  }
+  
+  buildTrack(config, racingLine = 'IDEAL') {
+    const { centerline, pointDistances } = this.buildCenterline(config);
+    const profile = this.buildProfile(config, centerline, pointDistances);
+    const curbs = (config.curbs || []).map(curb => ({ ...curb, width: curb.width || this.curbWidth }));
+    const runoff = config.runoff || [];
+    this.checkDistances(config, centerline, curbs, runoff);
+    
+    // Racing lines keep inside the narrowest part of the track
+    const trackWidth = profile.getMinWidth();
+    const widthAt = (distance) => profile.getValue('width', distance);
+    const start = centerline.getSample(0);
+    const finish = centerline.getSample(centerline.length);
+    const edges = centerline.getEdges(widthAt, this.meshSpacing);
+    const surface = new TrackSurface(centerline, profile, { curbs, runoff });
+    
+    const track = {
+      config,
+      trackWidth,
+      closed: !!config.closed,
+      centerline,
+      profile,
+      surface,
+      curbs,
+      length: centerline.length,
+      edges,
+      bounds: centerline.getBounds(profile.getMaxWidth()),
+      entryPoint: surface.getPoint(start.distance, 0),
+      entryDirection: start.direction,
+      exitPoint: surface.getPoint(finish.distance, 0),
+      apexPoints: centerline.turns.map(turn =>
+        surface.getPoint(turn.start + (turn.end - turn.start) * turn.apexPosition, 0)
+      ),
+      drsZones: this.getDRSZones(centerline, trackWidth)
+    };
+    
+    const mesh = new THREE.Group();
+    mesh.add(this.generateSurface(surface, widthAt));
+    mesh.add(this.generateRunoff(surface, widthAt));
+    mesh.add(this.generateTrackMarkings(surface, widthAt));
+    mesh.add(this.generateCurbs(surface, widthAt, curbs));
+    mesh.add(this.generateRacingLine(track, racingLine));
+    track.mesh = mesh;
+    
+    return track;
+  }
+  
+  // Centerline from the segments or points, and each point's distance
+  // along it
+  buildCenterline(config) {
+    const layout = config.points ? this.getPointLayout(config) : {
+      sections: this.getSections(config),
+      start: config.start || { x: 0, z: 0 },
+      heading: ((config.start && config.start.heading) || 0) * Math.PI / 180,
+      turns: null,
+      pointDistances: []
+    };
+    const { sections, start, heading, turns, pointDistances } = layout;
+    
+    if (!config.closed) {
+      return { centerline: new Centerline({ start, heading, sections, turns }), pointDistances };
+    }
+    
+    // Turn through exactly one revolution, trimming the curvature if the
+    // segments are slightly off
+    const open = new Centerline({ start, heading, sections });
+    const turned = open.endHeading - heading;
+    const target = Math.sign(turned) * 2 * Math.PI;
+    const headingError = Math.abs(target - turned) * 180 / Math.PI;
+    
+    if (headingError > this.maxHeadingError) {
+      throw new Error(`Circuit "${config.name}" does not close: it turns through ${(turned * 180 / Math.PI).toFixed(1)}° instead of 360°`);
+    }
+    
+    const scale = target / turned;
+    const scaled = sections.map(section => ({
+      ...section,
+      curvature: section.curvature * scale,
+      endCurvature: section.endCurvature * scale
+    }));
+    
+    const centerline = new Centerline({ start, heading, sections: scaled, closed: true, turns });
+    const gap = Math.hypot(centerline.closureGap.x, centerline.closureGap.z);
+    
+    if (gap > this.maxClosureGap) {
+      throw new Error(`Circuit "${config.name}" does not close: the lap ends ${gap.toFixed(1)} m from its start`);
+    }
+    
+    return { centerline, pointDistances };
+  }
+  
+  // Sections through a list of points. The curvature at each point is that
+  // of the circle through it and its neighbours, and changes linearly from
+  // one point to the next, so the line passes close to every point with no
+  // kinks. An open track starts and ends straight.
+  getPointLayout(config) {
+    const points = config.points.slice();
+    const closed = !!config.closed;
+    const first = points[0];
+    const last = points[points.length - 1];
+    
+    // A lap may repeat its first point to close
+    if (closed && first.x === last.x && first.z === last.z) points.pop();
+    
+    const count = points.length;
+    const at = (i) => points[(i + count) % count];
+    const curvatures = points.map((point, i) => {
+      if (!closed && (i === 0 || i === count - 1)) return 0;
+      
+      const a = at(i - 1);
+      const c = at(i + 1);
+      const cross = (point.x - a.x) * (c.z - point.z) - (point.z - a.z) * (c.x - point.x);
+      const product = Math.hypot(point.x - a.x, point.z - a.z) *
+        Math.hypot(c.x - point.x, c.z - point.z) *
+        Math.hypot(c.x - a.x, c.z - a.z);
+      return 2 * cross / product;
+    });
+    
+    const sections = [];
+    const pointDistances = [0];
+    const sectionCount = closed ? count : count - 1;
+    for (let i = 0; i < sectionCount; i++) {
+      const from = at(i);
+      const to = at(i + 1);
+      const length = Math.hypot(to.x - from.x, to.z - from.z);
+      sections.push({ length, curvature: curvatures[i], endCurvature: curvatures[(i + 1) % count] });
+      pointDistances.push(pointDistances[i] + length);
+    }
+    
+    // A section's chord leaves about (2k0 + k1)L/6 off its starting heading
+    const chord = Math.atan2(at(1).z - first.z, at(1).x - first.x);
+    const firstSection = sections[0];
+    const heading = chord - (2 * firstSection.curvature + firstSection.endCurvature) * firstSection.length / 6;
+    
+    return {
+      sections,
+      start: { x: first.x, z: first.z },
+      heading,
+      turns: this.getPointTurns(sections),
+      pointDistances: pointDistances.slice(0, points.length)
+    };
+  }
+  
+  // Turns on a point centerline: runs of sections curving the same way
+  // tighter than turnCurvature, with the apex where the curvature peaks
+  getPointTurns(sections) {
+    const turns = [];
+    let distance = 0;
+    let current = null;
+    
+    sections.forEach(section => {
+      const mean = (section.curvature + section.endCurvature) / 2;
+      const direction = Math.abs(mean) > this.turnCurvature ? Math.sign(mean) : 0;
+      
+      if (current && direction !== current.direction) {
+        turns.push(current);
+        current = null;
+      }
+      
+      if (direction !== 0) {
+        if (!current) {
+          current = { start: distance, end: distance, direction, peak: 0, peakDistance: distance };
+        }
+        [[section.curvature, distance], [section.endCurvature, distance + section.length]].forEach(([curvature, at]) => {
+          if (Math.abs(curvature) > current.peak) {
+            current.peak = Math.abs(curvature);
+            current.peakDistance = at;
+          }
+        });
+        current.end = distance + section.length;
+      }
+      
+      distance += section.length;
+    });
+    
+    if (current) turns.push(current);
+    
+    return turns.map(turn => ({
+      start: turn.start,
+      end: turn.end,
+      direction: turn.direction,
+      radius: 1 / turn.peak,
+      apexPosition: (turn.peakDistance - turn.start) / (turn.end - turn.start)
+    }));
+  }
+  
+  // Profile from the track's profile entries and any properties set on its
+  // points
+  buildProfile(config, centerline, pointDistances) {
+    const entries = (config.profile || []).slice();
+    
+    (config.points || []).forEach((point, index) => {
+      if (index >= pointDistances.length) return;
+      
+      const { x, z, ...properties } = point;
+      if (Object.keys(properties).length > 0) {
+        entries.push({ distance: pointDistances[index], ...properties });
+      }
+    });
+    
+    return new TrackProfile(entries, {
+      length: centerline.length,
+      closed: !!config.closed,
+      width: config.trackWidth || this.trackWidth
+    });
+  }
+  
+  // Profile entries, curbs, run-off zones and sector lines have to lie on
+  // the track, which isn't known until its centerline is built
+  checkDistances(config, centerline, curbs, runoff = []) {
+    const length = centerline.length;
+    
+    (config.profile || []).forEach((entry, index) => {
+      if (entry.distance > length) {
+        throw new Error(`Invalid track "${config.name}": profile entry ${index} is at ${entry.distance} m, past the end of the ${length.toFixed(1)} m track`);
+      }
+    });
+    
+    curbs.forEach((curb, index) => {
+      if (curb.end > length) {
+        throw new Error(`Invalid track "${config.name}": curb ${index} runs to ${curb.end} m, past the end of the ${length.toFixed(1)} m track`);
+      }
+    });
+    
+    runoff.forEach((zone, index) => {
+      if (zone.end > length) {
+        throw new Error(`Invalid track "${config.name}": runoff zone ${index} runs to ${zone.end} m, past the end of the ${length.toFixed(1)} m track`);
+      }
+    });
+    
+    (config.sectors || []).forEach((distance, index) => {
+      if (distance >= length) {
+        throw new Error(`Invalid track "${config.name}": sector line ${index} is at ${distance} m, past the end of the ${length.toFixed(1)} m track`);
+      }
+    });
+  }
+  
+  // Centerline sections for the circuit's segments
+  getSections(config) {
+    const sections = [];
+    
+    config.segments.forEach((segment, index) => {
+      switch (segment.type) {
+        case 'straight':
+          sections.push({ length: segment.length, curvature: 0, drs: !!segment.drs });
+          break;
+        
+        case 'arc':
+          sections.push(this.getArc(segment.radius, segment.angle, segment.apexPosition));
+          break;
+        
+        case 'corner': {
+          const corner = CORNER_TYPES[segment.corner];
+          if (!corner) {
+            throw new Error(`Unknown corner type: ${segment.corner}`);
+          }
+          
+          const radii = [].concat(corner.radius);
+          const angles = [].concat(corner.angle);
+          const apexPositions = [].concat(corner.apexPosition);
+          const side = segment.mirror ? -1 : 1;
+          radii.forEach((radius, i) => {
+            sections.push(this.getArc(radius, angles[i] * side, apexPositions[i]));
+          });
+          break;
+        }
+        
+        case 'clothoid':
+          sections.push({ length: segment.length, clothoid: true });
+          break;
+        
+        default:
+          throw new Error(`Unknown segment type "${segment.type}" at segment ${index} of ${config.name}`);
+      }
+    });
+    
+    // Clothoids ease between their neighbours' curvatures, taking half
+    // their length from each neighbouring arc
+    sections.forEach((section, index) => {
+      if (!section.clothoid) return;
+      
+      const previous = sections[index - 1];
+      const next = sections[index + 1];
+      section.curvature = previous && !previous.clothoid ? previous.curvature : 0;
+      section.endCurvature = next && !next.clothoid ? next.curvature : 0;
+      
+      [previous, next].forEach(neighbour => {
+        if (!neighbour || neighbour.clothoid || neighbour.curvature === 0) return;
+        
+        neighbour.length -= section.length / 2;
+        if (neighbour.length <= 0) {
+          throw new Error(`A clothoid in ${config.name} is longer than the arc it joins`);
+        }
+      });
+    });
+    
+    return sections.map(section => ({
+      ...section,
+      endCurvature: section.endCurvature !== undefined ? section.endCurvature : section.curvature
+    }));
+  }
+  
+  getArc(radius, angle, apexPosition = 0.5) {
+    const angleRad = (angle * Math.PI) / 180;
+    return {
+      length: Math.abs(radius * angleRad),
+      curvature: Math.sign(angleRad) / Math.abs(radius),
+      turn: true,
+      apexPosition
+    };
+  }
+  
+  // DRS zones along the straights marked for DRS
+  getDRSZones(centerline, trackWidth) {
+    return centerline.sections
+      .filter(section => section.drs)
+      .map(section => ({
+        start: centerline.getSample(section.start).position,
+        end: centerline.getSample(section.start + section.length).position,
+        width: trackWidth
+      }));
+  }
+  
+  // Road mesh on the track surface, split along the centerline where
+  // camber puts a crown
+  generateSurface(surface, widthAt) {
+    const material = new THREE.MeshStandardMaterial({
+      color: 0x333333,
+      roughness: 0.8,
+      metalness: 0.1,
+      side: THREE.DoubleSide
+    });
+    
+    const left = surface.getLine(distance => widthAt(distance) / 2, this.meshSpacing);
+    const center = surface.getLine(0, this.meshSpacing);
+    const right = surface.getLine(distance => -widthAt(distance) / 2, this.meshSpacing);
+    
+    const group = new THREE.Group();
+    [createStrip(left, center, 0.01), createStrip(center, right, 0.01)].forEach(geometry => {
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.receiveShadow = true;
+      group.add(mesh);
+    });
+    return group;
+  }
+  
+  // Run-off either side of the road, out to where it levels off, in the
+  // colour of its surface. Each run of one surface is its own strip.
+  generateRunoff(surface, widthAt) {
+    const group = new THREE.Group();
+    const materials = {};
+    const materialFor = (type) => {
+      if (!materials[type]) {
+        materials[type] = new THREE.MeshStandardMaterial({
+          color: SURFACE_TYPES[type].color,
+          roughness: 1,
+          metalness: 0,
+          side: THREE.DoubleSide
+        });
+      }
+      return materials[type];
+    };
+    
+    const length = surface.centerline.length;
+    const count = Math.max(1, Math.ceil(length / this.meshSpacing));
+    
+    [['left', 1], ['right', -1]].forEach(([side, sign]) => {
+      let inner = [];
+      let outer = [];
+      let type = null;
+      
+      const addStrip = () => {
+        if (inner.length > 1) {
+          const mesh = new THREE.Mesh(createStrip(inner, outer, 0.005), materialFor(type));
+          mesh.receiveShadow = true;
+          group.add(mesh);
+        }
+      };
+      
+      for (let i = 0; i <= count; i++) {
+        const distance = (i / count) * length;
+        const edge = widthAt(distance) / 2;
+        const point = [
+          surface.getPoint(distance, sign * edge),
+          surface.getPoint(distance, sign * (edge + surface.runoffWidth))
+        ];
+        const pointType = surface.getRunoffType(distance, side);
+        
+        // Start a new strip where the surface changes, sharing the
+        // cross-section so there's no gap
+        if (pointType !== type) {
+          if (type !== null) {
+            inner.push(point[0]);
+            outer.push(point[1]);
+          }
+          addStrip();
+          inner = [];
+          outer = [];
+          type = pointType;
+        }
+        inner.push(point[0]);
+        outer.push(point[1]);
+      }
+      addStrip();
+    });
+    
+    return group;
+  }
+  
+  generateTrackMarkings(surface, widthAt) {
+    const group = new THREE.Group();
+    const lineMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide });
+    const lineWidth = 0.2;
+    
+    // White lines just inside both edges
+    [1, -1].forEach(side => {
+      const outer = surface.getLine(distance => side * widthAt(distance) / 2, this.meshSpacing);
+      const inner = surface.getLine(distance => side * (widthAt(distance) / 2 - lineWidth), this.meshSpacing);
+      group.add(new THREE.Mesh(createStrip(outer, inner, 0.02), lineMaterial));
+    });
+    
+    // Start/finish line across the track, with a point on the centerline
+    // so it follows any camber
+    const halfWidth = widthAt(0) / 2;
+    const across = (distance) => [halfWidth, 0, -halfWidth].map(lateral => surface.getPoint(distance, lateral));
+    group.add(new THREE.Mesh(createStrip(across(-0.5), across(0.5), 0.02), lineMaterial));
+    
+    return group;
+  }
+  
+  // Red and white blocks just outside the track edge
+  generateCurbs(surface, widthAt, curbs) {
+    const group = new THREE.Group();
+    const materials = [0xff0000, 0xffffff].map(color => new THREE.MeshStandardMaterial({
+      color,
+      roughness: 0.6,
+      metalness: 0.2,
+      side: THREE.DoubleSide
+    }));
+    
+    curbs.forEach(curb => {
+      const side = curb.side === 'left' ? 1 : -1;
+      const width = curb.width;
+      const blocks = Math.max(1, Math.round((curb.end - curb.start) / this.curbBlockLength));
+      const blockLength = (curb.end - curb.start) / blocks;
+      
+      for (let block = 0; block < blocks; block++) {
+        const inner = [];
+        const outer = [];
+        const steps = Math.max(1, Math.ceil(blockLength / this.meshSpacing));
+        
+        for (let i = 0; i <= steps; i++) {
+          const distance = curb.start + blockLength * (block + i / steps);
+          const edge = widthAt(distance) / 2;
+          inner.push(surface.getPoint(distance, side * edge));
+          outer.push(surface.getPoint(distance, side * (edge + width)));
+        }
+        
+        group.add(new THREE.Mesh(createStrip(inner, outer, 0.03), materials[block % 2]));
+      }
+    });
+    
+    return group;
+  }
+  
+  generateRacingLine(track, lineType) {
+    const lineConfig = RACING_LINES[lineType] || RACING_LINES.IDEAL;
+    const points = new RacingLine().calculateRacingLine(track, lineType).points;
+    const lineWidth = 0.5;
+    const { surface } = track;
+    
+    const left = [];
+    const right = [];
+    points.forEach((point, i) => {
+      const from = points[Math.max(0, i - 1)];
+      const to = points[Math.min(points.length - 1, i + 1)];
+      const direction = to.clone().sub(from).normalize();
+      const normal = new THREE.Vector3(-direction.z, 0, direction.x);
+      [[left, 1], [right, -1]].forEach(([edge, side]) => {
+        const edgePoint = point.clone().addScaledVector(normal, side * lineWidth / 2);
+        edgePoint.y = surface.getHeightAt(edgePoint);
+        edge.push(edgePoint);
+      });
+    });
+    
+    const material = new THREE.MeshBasicMaterial({
+      color: lineConfig.color,
+      opacity: 0.8,
+      transparent: true,
+      side: THREE.DoubleSide
+    });
+    
+    return new THREE.Mesh(createStrip(left, right, 0.03), material);
+  }
+}
+
+// Strip between two matching edge polylines, raised a little off them
+function createStrip(left, right, height) {
+  const positions = [];
+  const indices = [];
+  
+  left.forEach((point, i) => {
+    positions.push(point.x, point.y + height, point.z, right[i].x, right[i].y + height, right[i].z);
+    
+    if (i > 0) {
+      const a = (i - 1) * 2;
+      indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+  });
+  
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+}
\ No newline at end of file
@@ -0,0 +1,257 @@
+import { QSSSolver } from '../Physics/QSSSolver.js';
+import { getCompounds } from '../Physics/TireCompounds.js';
+
+// Optimized lines for each corner layout and car, so switching back to a
+// corner doesn't run the optimizer again
+const cache = new WeakMap();
+
+// Minimum-time racing line. The line is a lateral offset from the corner's
+// centerline at nodes spaced evenly along it, kept inside the track limits.
+// First the offsets that give the least total curvature are found - the
+// geometric line any car would drive. Then, for a given car, each node is
+// moved in and out for as long as the quasi-steady-state solver says the
+// car gets through the corner quicker, so a car with downforce and a car
+// without end up on different lines.
+export class LineOptimizer {
+  constructor(racingLine) {
+    this.racingLine = racingLine;
+    this.nodeCount = 24;
+    this.maxNodeSpacing = 15; // m, longer tracks get more nodes
+    this.maxTimeNodes = 40;  // beyond this only the curvature is minimized
+    this.steps = [1, 0.25];  // m, line moves tried, coarse then fine
+    this.bumpWidths = [4, 1]; // nodes either side a move spreads over
+    this.maxPasses = 3;      // sweeps over the nodes per move size
+  }
+  
+  // Offsets (m, positive towards the side positive corner angles turn to)
+  // at the nodes and the line's points at the racing line resolution.
+  // Without a vehicle, or on a track too long to time every move, the line
+  // is the minimum curvature one.
+  optimize(corner, trackLimits, vehicle = null, entrySpeed = null) {
+    let byVehicle = cache.get(corner.config);
+    if (!byVehicle) {
+      byVehicle = new Map();
+      cache.set(corner.config, byVehicle);
+    }
+    
+    const conditions = this.racingLine.conditions;
+    const compounds = vehicle ? getCompounds(vehicle) : {};
+    const key = `${vehicle ? vehicle.name : ''}|${compounds.front}/${compounds.rear}|${trackLimits.width}/${trackLimits.margin}|${entrySpeed}|` +
+      `${conditions ? conditions.getKey() : ''}`;
+    if (!byVehicle.has(key)) {
+      byVehicle.set(key, this.solve(corner, trackLimits, vehicle, entrySpeed));
+    }
+    
+    const result = byVehicle.get(key);
+    return { ...result, points: result.points.map(point => point.clone()) };
+  }
+  
+  solve(corner, trackLimits, vehicle, entrySpeed) {
+    const centerline = this.racingLine.getCenterline(corner);
+    const limit = trackLimits.width / 2 - trackLimits.margin; // m either side of the centerline
+    
+    const nodeCount = Math.max(this.nodeCount, Math.ceil(centerline.length / this.maxNodeSpacing) + 1);
+    const nodes = [];
+    for (let i = 0; i < nodeCount; i++) {
+      const distance = (i / (nodeCount - 1)) * centerline.length;
+      nodes.push({ distance, ...centerline.getSample(distance) });
+    }
+    
+    let offsets = this.minimizeCurvature(nodes, limit);
+    let time = null;
+    
+    // Each time evaluation solves the whole line, which is too slow over a
+    // full lap's worth of nodes
+    if (vehicle && nodeCount <= this.maxTimeNodes) {
+      const solver = new QSSSolver(vehicle, this.racingLine.conditions);
+      const options = {
+        entrySpeed: entrySpeed !== null ? entrySpeed / 3.6 : null,
+        closed: !!corner.config.closed
+      };
+      const evaluate = (candidate) => solver.solve(
+        this.racingLine.getPath(this.getPoints(centerline, nodes, candidate, limit)), options
+      ).time;
+      
+      ({ offsets, time } = this.minimizeTime(offsets, limit, evaluate));
+    }
+    
+    return {
+      offsets,
+      nodeDistances: nodes.map(node => node.distance),
+      points: this.getPoints(centerline, nodes, offsets, limit),
+      time
+    };
+  }
+  
+  // Least squares on the second difference of the node positions, which
+  // is the curvature of the line up to the node spacing. Nodes that want
+  // to leave the track are pinned to its edge and the rest solved again,
+  // releasing any pinned node that would sooner move back onto the track.
+  minimizeCurvature(nodes, limit) {
+    const count = nodes.length;
+    const hessian = nodes.map(() => new Array(count).fill(0));
+    const gradient = new Array(count).fill(0);
+    
+    // Each interior node i gives the term (P[i-1] - 2P[i] + P[i+1]), with
+    // P = center + normal * offset
+    for (let i = 1; i < count - 1; i++) {
+      const terms = [[i - 1, 1], [i, -2], [i + 1, 1]];
+      const base = nodes[i - 1].position.clone()
+        .addScaledVector(nodes[i].position, -2)
+        .add(nodes[i + 1].position);
+      
+      terms.forEach(([k, ck]) => {
+        gradient[k] += ck * base.dot(nodes[k].normal);
+        terms.forEach(([l, cl]) => {
+          hessian[k][l] += ck * cl * nodes[k].normal.dot(nodes[l].normal);
+        });
+      });
+    }
+    
+    // A touch of stiffness keeps the system well posed on the straights
+    for (let i = 0; i < count; i++) hessian[i][i] += 1e-6;
+    
+    const pinned = new Array(count).fill(null);
+    let offsets = new Array(count).fill(0);
+    
+    for (let iteration = 0; iteration < count * 2; iteration++) {
+      offsets = solveWithPinned(hessian, gradient, pinned);
+      
+      let changed = false;
+      offsets.forEach((offset, i) => {
+        if (pinned[i] === null && Math.abs(offset) > limit) {
+          pinned[i] = Math.sign(offset) * limit;
+          changed = true;
+        }
+      });
+      
+      // A pinned node is held against the edge only if the curvature would
+      // pull it further out
+      if (!changed) {
+        pinned.forEach((value, i) => {
+          if (value === null) return;
+          const slope = hessian[i].reduce((sum, h, j) => sum + h * offsets[j], gradient[i]);
+          if (slope * Math.sign(value) > 0) {
+            pinned[i] = null;
+            changed = true;
+          }
+        });
+      }
+      
+      if (!changed) break;
+    }
+    
+    return offsets.map(offset => Math.max(-limit, Math.min(limit, offset)));
+  }
+  
+  // Descent on the corner time. A move pushes the line in or out around one
+  // node with a smooth bump, so the line keeps its shape while the apex,
+  // turn-in and track-out slide about.
+  minimizeTime(initialOffsets, limit, evaluate) {
+    let offsets = initialOffsets.slice();
+    let time = evaluate(offsets);
+    
+    this.steps.forEach(step => {
+      this.bumpWidths.forEach(width => {
+        for (let pass = 0; pass < this.maxPasses; pass++) {
+          let improved = false;
+          
+          for (let i = 0; i < offsets.length; i++) {
+            for (const direction of [1, -1]) {
+              const candidate = offsets.map((offset, j) => {
+                const spread = Math.abs(j - i) / (width + 1);
+                const bump = spread < 1 ? (1 + Math.cos(Math.PI * spread)) / 2 : 0;
+                return Math.max(-limit, Math.min(limit, offset + direction * step * bump));
+              });
+              if (candidate[i] === offsets[i]) continue;
+              
+              const candidateTime = evaluate(candidate);
+              if (candidateTime < time - 1e-4) {
+                offsets = candidate;
+                time = candidateTime;
+                improved = true;
+                break;
+              }
+            }
+          }
+          
+          if (!improved) break;
+        }
+      });
+    });
+    
+    return { offsets, time };
+  }
+  
+  // Line points at the racing line resolution, the node offsets joined by
+  // a Catmull-Rom spline
+  getPoints(centerline, nodes, offsets, limit) {
+    const resolution = this.racingLine.getPointCount(centerline.length);
+    const spacing = nodes[1].distance;
+    const last = nodes.length - 1;
+    const points = [];
+    
+    for (let i = 0; i <= resolution; i++) {
+      const distance = (i / resolution) * centerline.length;
+      const index = Math.min(last - 1, Math.floor(distance / spacing));
+      const t = distance / spacing - index;
+      
+      const w0 = offsets[Math.max(0, index - 1)];
+      const w1 = offsets[index];
+      const w2 = offsets[index + 1];
+      const w3 = offsets[Math.min(last, index + 2)];
+      const offset = 0.5 * (
+        2 * w1 +
+        (w2 - w0) * t +
+        (2 * w0 - 5 * w1 + 4 * w2 - w3) * t * t +
+        (3 * w1 - w0 - 3 * w2 + w3) * t * t * t
+      );
+      
+      const sample = centerline.getSample(distance);
+      points.push(sample.position.clone().addScaledVector(sample.normal, Math.max(-limit, Math.min(limit, offset))));
+    }
+    
+    return points;
+  }
+}
+
+// Solves hessian * x = -gradient with the pinned entries held at their
+// values, by Gaussian elimination over the free ones
+function solveWithPinned(hessian, gradient, pinned) {
+  const free = [];
+  pinned.forEach((value, i) => {
+    if (value === null) free.push(i);
+  });
+  
+  const matrix = free.map(i => {
+    const rhs = pinned.reduce((sum, value, j) => (value === null ? sum : sum - hessian[i][j] * value), -gradient[i]);
+    return [...free.map(j => hessian[i][j]), rhs];
+  });
+  
+  const size = free.length;
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    
+    for (let row = col + 1; row < size; row++) {
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k <= size; k++) matrix[row][k] -= factor * matrix[col][k];
+    }
+  }
+  
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = matrix[row][size];
+    for (let k = row + 1; k < size; k++) sum -= matrix[row][k] * solution[k];
+    solution[row] = sum / matrix[row][row];
+  }
+  
+  const offsets = pinned.map(value => (value === null ? 0 : value));
+  free.forEach((i, n) => {
+    offsets[i] = solution[n];
+  });
+  return offsets;
+}
\ No newline at end of file
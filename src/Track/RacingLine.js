@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import { QSSSolver } from '../Physics/QSSSolver.js';
+import { LineOptimizer } from './LineOptimizer.js';
+import { Centerline } from './Centerline.js';
 
 export const RACING_LINES = {
   IDEAL: {
@@ -29,6 +32,16 @@ export const RACING_LINES = {
     brakePoint: "late",
     description: "Late braking, better exit for passing",
     color: 0xff00ff
+  },
+  
+  OPTIMAL: {
+    name: "Minimum Time",
+    apexOffset: 1.0,
+    entryPoint: "optimized",
+    exitPoint: "optimized",
+    brakePoint: "optimized",
+    description: "Optimized for the car: least time through the corner within the track limits",
+    color: 0x00ffff
   }
 };
 
@@ -58,12 +71,16 @@ export const BRAKING_STYLES = {
 };
 
 export class RacingLine {
-  constructor() {
+  // Speeds are planned in the TrackConditions given, or in the dry
+  constructor(conditions = null) {
+    this.conditions = conditions;
     this.resolution = 100; // Points per racing line
+    this.maxPointSpacing = 5; // m, longer tracks get more points
     this.smoothingFactor = 0.3;
+    this.cornerCurvature = 1 / 1000; // 1/m, gentler bends count as straight
   }
   
-  calculateOptimalLine(corner, vehicle, conditions = {}) {
+  calculateOptimalLine(corner, vehicle, conditions = this.conditions || {}) {
     const points = [];
     const cornerConfig = corner.config;
     
@@ -104,8 +121,7 @@ export class RacingLine {
     const cornerConfig = corner.config;
     
     // Get track width and boundaries
-    const trackWidth = 12; // meters
-    const trackLimits = this.getTrackLimits(corner);
+    const trackLimits = this.getTrackLimits(corner, vehicle);
     
     // Calculate line based on type
     let points = [];
@@ -120,6 +136,9 @@ export class RacingLine {
       case 'OVERTAKING':
         points = this.calculateOvertakingLine(corner, trackLimits);
         break;
+      case 'OPTIMAL':
+        points = this.calculateOptimalTimeLine(corner, trackLimits, vehicle);
+        break;
     }
     
     // Apply vehicle-specific adjustments if provided
@@ -130,120 +149,195 @@ export class RacingLine {
     // Smooth the line
     const smoothedPoints = this.smoothPath(points, this.smoothingFactor);
     
-    // Calculate additional data
+    // Calculate additional data. Round a lap every turn is a corner of
+    // its own; a single corner is just the one.
+    const keyPoints = this.findKeyPoints(smoothedPoints, cornerConfig);
     const lineData = {
       points: smoothedPoints,
       color: lineConfig.color,
       speeds: this.calculateSpeedAtPoints(smoothedPoints, cornerConfig, vehicle),
       forces: this.calculateForcesAtPoints(smoothedPoints, cornerConfig, vehicle),
-      ...this.findKeyPoints(smoothedPoints, cornerConfig)
+      ...keyPoints,
+      corners: cornerConfig.closed ? this.findCorners(smoothedPoints) : [keyPoints]
     };
     
     return lineData;
   }
   
   calculateIdealLine(corner, trackLimits) {
-    const points = [];
-    const config = corner.config;
-    
-    // Entry - use full track width
-    const entryOffset = -trackLimits.width / 2 + 1; // 1m from edge
+    const edge = trackLimits.width / 2 - trackLimits.margin;
     
-    // Calculate geometric apex
-    const geometricApex = this.calculateGeometricApex(config);
+    // Entry - wide, turning in two and a half turn radii early so the line
+    // swings across the track gently rather than tightening into the turn
+    const entryOffset = -edge + 2;
+    const lead = 2.5;
     
     // Late apex for better exit
-    const racingApex = {
-      ...geometricApex,
-      position: geometricApex.position * 1.1 // 10% later
-    };
-    
-    // Generate points
-    for (let i = 0; i <= this.resolution; i++) {
-      const t = i / this.resolution;
-      const point = this.interpolateRacingLine(
-        corner.entryPoint,
-        racingApex,
-        corner.exitPoint,
-        t,
-        entryOffset,
-        0, // Apex at inside edge
-        -trackLimits.width / 2 + 1 // Exit wide
-      );
-      points.push(point);
-    }
-    
-    return points;
+    const apexTiming = 1.3; // 30% later
+    
+    return this.generateLine(corner, trackLimits, {
+      entryOffset,
+      apexTiming,
+      apexOffset: 2, // Apex near the inside edge
+      exitOffset: -edge + 2, // Exit wide
+      lead
+    });
   }
   
   calculateDefensiveLine(corner, trackLimits) {
-    const points = [];
-    const config = corner.config;
-    
     // Entry - protect inside
-    const entryOffset = trackLimits.width / 2 - 3; // Leave minimal space
+    const entryOffset = trackLimits.width / 2 - trackLimits.margin - 2; // Leave minimal space
     
     // Early apex
-    const defensiveApex = {
-      position: config.apexPosition * 0.7,
-      radius: config.radius * 0.85
-    };
+    const apexTiming = 0.7;
     
     // Exit - compromise for position
     const exitOffset = 0; // Middle of track
     
-    // Generate points
-    for (let i = 0; i <= this.resolution; i++) {
-      const t = i / this.resolution;
-      const point = this.interpolateRacingLine(
-        corner.entryPoint,
-        defensiveApex,
-        corner.exitPoint,
-        t,
-        entryOffset,
-        2, // Apex slightly off inside
-        exitOffset
-      );
-      points.push(point);
-    }
-    
-    return points;
+    return this.generateLine(corner, trackLimits, {
+      entryOffset,
+      apexTiming,
+      apexOffset: 2, // Apex slightly off inside
+      exitOffset
+    });
   }
   
   calculateOvertakingLine(corner, trackLimits) {
-    const points = [];
-    const config = corner.config;
-    
     // Entry - stay wide for late braking
-    const entryOffset = -trackLimits.width / 2 + 1;
+    const edge = trackLimits.width / 2 - trackLimits.margin;
+    const entryOffset = -edge;
     
     // Very late apex for better exit
-    const overtakingApex = {
-      position: config.apexPosition * 1.3,
-      radius: config.radius * 1.1
-    };
+    const apexTiming = 1.3;
     
     // Exit - use full width for acceleration
-    const exitOffset = -trackLimits.width / 2 + 0.5;
-    
-    // Generate points with late braking zone
-    for (let i = 0; i <= this.resolution; i++) {
-      const t = i / this.resolution;
-      const point = this.interpolateRacingLine(
-        corner.entryPoint,
-        overtakingApex,
-        corner.exitPoint,
-        t,
-        entryOffset,
-        -1, // Slightly wide at apex
-        exitOffset
-      );
-      points.push(point);
+    const exitOffset = -edge;
+    
+    return this.generateLine(corner, trackLimits, {
+      entryOffset,
+      apexTiming,
+      apexOffset: 1, // Slightly wide at apex
+      exitOffset
+    });
+  }
+  
+  // Minimum-time line for the vehicle, or the minimum curvature line
+  // without one
+  calculateOptimalTimeLine(corner, trackLimits, vehicle) {
+    const entrySpeed = vehicle ? this.getEntrySpeed(corner.config, vehicle) : null;
+    return new LineOptimizer(this).optimize(corner, trackLimits, vehicle, entrySpeed).points;
+  }
+  
+  // Line through each turn's apex as a lateral offset from the centerline.
+  // Offsets are in metres, negative towards the outside of the turn:
+  // entryOffset holds until turn-in, each apex sits apexOffset out from the
+  // inside edge at apexTiming times the corner's apex position, and the
+  // line runs out to exitOffset after the last turn. The line turns in and
+  // tracks out lead turn radii before and after each turn.
+  generateLine(corner, trackLimits, { entryOffset, apexTiming, apexOffset, exitOffset, lead = 0.5 }) {
+    const centerline = this.getCenterline(corner);
+    const { turns, length } = centerline;
+    const firstTurn = turns[0];
+    const lastTurn = turns[turns.length - 1];
+    const edge = trackLimits.width / 2 - trackLimits.margin; // furthest the car centre goes from the centerline
+    
+    const keys = [{ distance: 0, offset: entryOffset * firstTurn.direction }];
+    
+    // Turns close enough together to run into each other (a chicane) are
+    // linked apex to apex, with no turn-in or track-out between them
+    turns.forEach((turn, index) => {
+      const previous = turns[index - 1];
+      const next = turns[index + 1];
+      const turnIn = turn.start - turn.radius * lead;
+      const trackOut = turn.end + turn.radius * lead;
+      
+      if (!previous || turnIn > previous.end + previous.radius * lead) {
+        keys.push({ distance: Math.max(0, turnIn), offset: entryOffset * turn.direction });
+      }
+      
+      const apex = this.calculateGeometricApex(turn);
+      const position = Math.min(1, apex.position * apexTiming);
+      keys.push({
+        distance: turn.start + (turn.end - turn.start) * position,
+        offset: (edge - apexOffset) * turn.direction
+      });
+      
+      if (!next || trackOut < next.start - next.radius * lead) {
+        keys.push({ distance: Math.min(length, trackOut), offset: exitOffset * turn.direction });
+      }
+    });
+    
+    // A lap joins up with where it started
+    const finishOffset = corner.config.closed ? keys[0].offset : exitOffset * lastTurn.direction;
+    keys.push({ distance: length, offset: finishOffset });
+    
+    const count = this.getPointCount(length);
+    const points = [];
+    for (let i = 0; i <= count; i++) {
+      const distance = (i / count) * length;
+      const sample = centerline.getSample(distance);
+      const offset = this.getLateralOffset(keys, distance);
+      points.push(sample.position.clone().addScaledVector(sample.normal, offset));
     }
     
     return points;
   }
   
+  // Segments along a line of the given length, at the racing line resolution
+  // or closer on long tracks
+  getPointCount(length) {
+    return Math.max(this.resolution, Math.ceil(length / this.maxPointSpacing));
+  }
+  
+  // Offset between keys, eased in and out so the line has no kinks
+  getLateralOffset(keys, distance) {
+    if (distance <= keys[0].distance) return keys[0].offset;
+    
+    for (let i = 1; i < keys.length; i++) {
+      const from = keys[i - 1];
+      const to = keys[i];
+      if (distance <= to.distance) {
+        const span = to.distance - from.distance;
+        const t = span > 0 ? (distance - from.distance) / span : 1;
+        return from.offset + (to.offset - from.offset) * (1 - Math.cos(Math.PI * t)) / 2;
+      }
+    }
+    
+    return keys[keys.length - 1].offset;
+  }
+  
+  // Track centerline as CornerGenerator lays it out: a 50m entry straight
+  // along +x, the corner's arcs, then a 50m exit straight. Circuits carry
+  // their own centerline.
+  getCenterline(corner) {
+    if (corner.centerline) return corner.centerline;
+    
+    const config = corner.config;
+    const straightLength = 50;
+    const radii = [].concat(config.radius);
+    const angles = [].concat(config.angle);
+    const apexPositions = [].concat(config.apexPosition);
+    
+    const arcs = radii.map((radius, index) => {
+      const angle = (angles[index] * Math.PI) / 180;
+      return {
+        length: Math.abs(radius * angle),
+        curvature: Math.sign(angle) / Math.abs(radius),
+        turn: true,
+        apexPosition: apexPositions[index]
+      };
+    });
+    
+    return new Centerline({
+      start: corner.entryPoint,
+      sections: [
+        { length: straightLength, curvature: 0 },
+        ...arcs,
+        { length: straightLength, curvature: 0 }
+      ]
+    });
+  }
+  
   calculateBrakePoint(cornerConfig, vehicle, vehicleFactors, conditionFactors) {
     // Base braking distance calculation
     const entrySpeed = cornerConfig.entrySpeed[vehicle.type] || 100; // km/h
@@ -300,67 +394,83 @@ export class RacingLine {
     return new THREE.Vector3(x, 0, z);
   }
   
+  // Steady-state speed (km/h) round the corner's tightest radius, with the
+  // grip the car's tires and downforce give at that speed
   calculateCornerSpeed(cornerConfig, vehicle) {
-    // v = sqrt(μ * g * r)
-    const mu = vehicle.tire.peakMu;
-    const g = 9.81;
-    const r = cornerConfig.radius;
+    const radii = Array.isArray(cornerConfig.radius) ? cornerConfig.radius : [cornerConfig.radius];
+    const radius = Math.min(...radii.map(r => Math.abs(r)));
     
-    const maxSpeed = Math.sqrt(mu * g * r) * 3.6; // km/h
-    
-    // Apply vehicle-specific limits
-    return Math.min(maxSpeed, vehicle.maxSpeed);
+    return new QSSSolver(vehicle, this.conditions).getMaxCornerSpeed(1 / radius) * 3.6;
   }
   
-  calculateSpeedProfile(path, cornerConfig, vehicle) {
-    const speeds = [];
-    const distances = this.calculateDistances(path);
-    
-    for (let i = 0; i < path.length; i++) {
-      const distance = distances[i];
-      const curvature = this.calculateCurvature(path, i);
-      
-      // Speed based on curvature
-      const radiusAtPoint = 1 / Math.max(curvature, 0.001);
-      const maxSpeedAtPoint = Math.sqrt(vehicle.maxLateralG * 9.81 * radiusAtPoint) * 3.6;
-      
-      // Consider acceleration/braking constraints
-      let speed = maxSpeedAtPoint;
+  // Speeds in km/h along the path from the quasi-steady-state solver. The
+  // braking style sets how hard and how late the car can brake.
+  calculateSpeedProfile(path, cornerConfig, vehicle, brakingStyle = 'THRESHOLD', gripScale = 1) {
+    const result = new QSSSolver(vehicle, this.conditions, gripScale).solve(this.getPath(path), {
+      brakingStyle: BRAKING_STYLES[brakingStyle],
+      closed: !!cornerConfig.closed
+    });
+    
+    return result.speeds.map(speed => speed * 3.6);
+  }
+  
+  // Curvature (1/m) against distance (m) along a line's points
+  getPath(points) {
+    return {
+      distances: this.calculateDistances(points),
+      curvatures: points.map((_, i) => this.calculateCurvature(points, i))
+    };
+  }
+  
+  // Corner entry speed (km/h) for the vehicle, from the corner's table.
+  // Circuits have none, a lap runs on from the one before.
+  getEntrySpeed(cornerConfig, vehicle) {
+    if (!cornerConfig.entrySpeed) return null;
+    return cornerConfig.entrySpeed[vehicle.type === 'race' ? 'F1' : 'RX8'];
+  }
+  
+  // Solver results for every racing line and braking style through a
+  // corner, arriving at the corner's entry speed, or round a circuit on a
+  // flying lap. Times are over the whole
+  // line, entry and exit straights included, so the rows compare directly.
+  compareLines(corner, vehicle, {
+    lineTypes = Object.keys(RACING_LINES),
+    brakingStyles = Object.keys(BRAKING_STYLES),
+    entrySpeed = this.getEntrySpeed(corner.config, vehicle)
+  } = {}) {
+    const solver = new QSSSolver(vehicle, this.conditions);
+    const results = [];
+    
+    lineTypes.forEach(lineType => {
+      const line = this.calculateRacingLine(corner, lineType, vehicle);
+      const path = this.getPath(line.points);
       
-      if (i > 0) {
-        const prevSpeed = speeds[i - 1];
-        const distanceDiff = distances[i] - distances[i - 1];
-        
-        // Maximum speed change based on acceleration/braking
-        const maxAccel = vehicle.maxAccelerationG * 9.81;
-        const maxBrake = vehicle.maxBrakingG * 9.81;
+      brakingStyles.forEach(brakingStyle => {
+        const result = solver.solve(path, {
+          brakingStyle: BRAKING_STYLES[brakingStyle],
+          entrySpeed: entrySpeed !== null ? entrySpeed / 3.6 : null,
+          closed: !!corner.config.closed
+        });
         
-        const maxSpeedIncrease = Math.sqrt(prevSpeed * prevSpeed + 2 * maxAccel * distanceDiff);
-        const maxSpeedDecrease = Math.sqrt(Math.max(0, prevSpeed * prevSpeed - 2 * maxBrake * distanceDiff));
-        
-        speed = Math.max(maxSpeedDecrease, Math.min(maxSpeedIncrease, speed));
-      }
-      
-      speeds.push(speed);
-    }
-    
-    // Backward pass to ensure we can slow down in time
-    for (let i = speeds.length - 2; i >= 0; i--) {
-      const nextSpeed = speeds[i + 1];
-      const distanceDiff = distances[i + 1] - distances[i];
-      const maxBrake = vehicle.maxBrakingG * 9.81;
-      
-      const maxSpeed = Math.sqrt(nextSpeed * nextSpeed + 2 * maxBrake * distanceDiff);
-      speeds[i] = Math.min(speeds[i], maxSpeed);
-    }
+        results.push({
+          lineType,
+          brakingStyle,
+          cornerTime: result.time,                 // s
+          minSpeed: result.minSpeed * 3.6,         // km/h
+          brakingDistance: result.brakingDistance, // m
+          profile: result
+        });
+      });
+    });
     
-    return speeds;
+    return results;
   }
   
   calculateSpeedAtPoints(points, cornerConfig, vehicle) {
     if (!vehicle) {
       // Default speeds based on corner type
-      return points.map(() => cornerConfig.entrySpeed.RX8);
+      const speed = cornerConfig.entrySpeed ? cornerConfig.entrySpeed.RX8 : 0;
+      return points.map(() => speed);
     }
     
     return this.calculateSpeedProfile(points, cornerConfig, vehicle);
@@ -399,45 +509,6 @@ export class RacingLine {
     return forces;
   }
   
-  interpolateRacingLine(entry, apex, exit, t, entryOffset, apexOffset, exitOffset) {
-    // Bezier curve interpolation through racing line
-    if (t < 0.5) {
-      // Entry to apex
-      const localT = t * 2;
-      const p0 = entry.clone();
-      p0.z += entryOffset;
-      
-      const p1 = apex.position;
-      const control = new THREE.Vector3(
-        p0.x + (p1.x - p0.x) * 0.5,
-        0,
-        p0.z
-      );
-      
-      return this.bezierPoint(p0, control, p1, localT);
-    } else {
-      // Apex to exit
-      const localT = (t - 0.5) * 2;
-      const p0 = apex.position;
-      const p1 = exit.clone();
-      p1.z += exitOffset;
-      
-      const control = new THREE.Vector3(
-        p0.x + (p1.x - p0.x) * 0.5,
-        0,
-        p1.z
-      );
-      
-      return this.bezierPoint(p0, control, p1, localT);
-    }
-  }
-  
-  bezierPoint(p0, p1, p2, t) {
-    const x = (1 - t) * (1 - t) * p0.x + 2 * (1 - t) * t * p1.x + t * t * p2.x;
-    const z = (1 - t) * (1 - t) * p0.z + 2 * (1 - t) * t * p1.z + t * t * p2.z;
-    return new THREE.Vector3(x, 0, z);
-  }
-  
   smoothPath(points, factor) {
     const smoothed = [];
     
@@ -481,12 +552,13 @@ export class RacingLine {
     const d1 = p1.clone().sub(p0);
     const d2 = p2.clone().sub(p1);
     
+    // Circle through the three points: k = 2 sin(turn angle) / chord
     const cross = new THREE.Vector3().crossVectors(d1, d2);
-    const denom = d1.length() * d2.length();
+    const denom = d1.length() * d2.length() * p2.distanceTo(p0);
     
     if (denom < 0.001) return 0;
     
-    return cross.length() / denom;
+    return 2 * cross.length() / denom;
   }
   
   calculateDistances(points) {
@@ -549,6 +621,41 @@ export class RacingLine {
     };
   }
   
+  // Turn-in, apex and exit of every corner round a lap, found as
+  // findKeyPoints does the one with the tightest apex. Each is a run of the
+  // line curving tighter than cornerCurvature.
+  findCorners(points) {
+    const curvatures = points.map((_, i) => this.calculateCurvature(points, i));
+    const corners = [];
+    
+    let start = 0;
+    while (start < points.length) {
+      if (curvatures[start] < this.cornerCurvature) {
+        start++;
+        continue;
+      }
+      
+      let end = start;
+      while (end + 1 < points.length && curvatures[end + 1] >= this.cornerCurvature) end++;
+      
+      let apexIndex = start;
+      for (let i = start; i <= end; i++) {
+        if (curvatures[i] > curvatures[apexIndex]) apexIndex = i;
+      }
+      
+      const threshold = curvatures[apexIndex] * 0.1;
+      let turnInIndex = start;
+      while (turnInIndex < apexIndex && curvatures[turnInIndex] <= threshold) turnInIndex++;
+      let exitIndex = apexIndex;
+      while (exitIndex <= end && curvatures[exitIndex] >= threshold) exitIndex++;
+      
+      corners.push({ turnInIndex, apexIndex, exitIndex: Math.min(exitIndex, points.length - 1) });
+      start = end + 1;
+    }
+    
+    return corners;
+  }
+  
   getVehicleFactors(vehicle) {
     // Adjust racing line based on vehicle characteristics
     const factors = {
@@ -574,7 +681,17 @@ export class RacingLine {
     return factors;
   }
   
+  // Factors from plain values, or from TrackConditions: the grip on the
+  // rubbered line and the extra braking margin in the wet
   getConditionFactors(conditions) {
+    if (typeof conditions.getLineGrip === 'function') {
+      return {
+        grip: conditions.getLineGrip(),
+        visibility: conditions.getBrakingMargin(),
+        traffic: 1.0
+      };
+    }
+    
     return {
       grip: conditions.grip || 1.0,
       visibility: conditions.visibility || 1.0,
@@ -582,11 +699,18 @@ export class RacingLine {
     };
   }
   
-  getTrackLimits(corner) {
+  // margin is how far in from the edges the car's centre stays: far enough
+  // for the vehicle's wheels to stay off the curbs, or 1m without one
+  getTrackLimits(corner, vehicle = null) {
+    const width = corner.trackWidth || 12; // meters
+    const margin = vehicle ?
+      Math.max(vehicle.trackWidth.front, vehicle.trackWidth.rear) / 2 + vehicle.tire.width / 2 + 0.25 :
+      1;
     return {
-      width: 12,
+      width,
       innerLimit: 0,
-      outerLimit: 12
+      outerLimit: width,
+      margin
     };
   }
   
@@ -0,0 +1,225 @@
+import { RacingLine } from './RacingLine.js';
+
+// Weather and track states to start from. Temperatures are in °C, wetness
+// runs from 0 (dry) to 1 (soaked), standingWater is the depth of water
+// lying on the surface in mm and rubber how much rubber the racing line
+// has picked up, from 0 (green) to 1 (fully rubbered in).
+export const WEATHER_PRESETS = {
+  DRY: {
+    name: "Dry",
+    ambientTemp: 20,
+    trackTemp: 25,
+    wetness: 0,
+    standingWater: 0,
+    rubber: 0
+  },
+  RUBBERED_IN: {
+    name: "Dry, Rubbered In",
+    ambientTemp: 22,
+    trackTemp: 32,
+    wetness: 0,
+    standingWater: 0,
+    rubber: 1
+  },
+  HOT: {
+    name: "Hot",
+    ambientTemp: 34,
+    trackTemp: 52,
+    wetness: 0,
+    standingWater: 0,
+    rubber: 0.7
+  },
+  COLD: {
+    name: "Cold",
+    ambientTemp: 6,
+    trackTemp: 8,
+    wetness: 0,
+    standingWater: 0,
+    rubber: 0.3
+  },
+  DAMP: {
+    name: "Damp",
+    ambientTemp: 15,
+    trackTemp: 16,
+    wetness: 0.4,
+    standingWater: 0,
+    rubber: 0.7
+  },
+  WET: {
+    name: "Wet",
+    ambientTemp: 14,
+    trackTemp: 15,
+    wetness: 1,
+    standingWater: 1,
+    rubber: 0.7
+  },
+  STANDING_WATER: {
+    name: "Standing Water",
+    ambientTemp: 13,
+    trackTemp: 14,
+    wetness: 1,
+    standingWater: 4,
+    rubber: 0.7
+  }
+};
+
+export const CONDITION_PROPERTIES = ['ambientTemp', 'trackTemp', 'wetness', 'standingWater', 'rubber'];
+
+// Weather and the state of the track surface. Water takes grip away from
+// every surface, curbs and grass most, and once it stands deep enough the
+// tires ride up on it above the aquaplaning speed. Rubber laid down on the
+// racing line grips better in the dry but is slippery in the wet, so in the
+// rain there is more grip either side of it. The air and track temperatures are
+// what the tires and brakes cool towards, and water on the track cools the
+// tires further.
+export class TrackConditions {
+  constructor(settings = 'DRY') {
+    // Grip a street tire keeps on each soaked surface relative to it dry
+    this.wetGrip = {
+      asphalt: 0.7,
+      curb: 0.5,
+      grass: 0.55,
+      gravel: 0.9
+    };
+    this.rubberGrip = 0.06;     // grip gained on a fully rubbered line, dry
+    this.rubberWetLoss = 0.12;  // grip lost on a fully rubbered line, soaked
+    this.rubberWidth = 1.5;     // m either side of the line the rubber fades over
+    
+    // Speed (m/s) above which a street tire starts to aquaplane in
+    // aquaplaneDepth mm of water; deeper water lowers it
+    this.aquaplaneSpeed = 25;
+    this.aquaplaneDepth = 2.5;
+    this.aquaplaneRange = 0.3;  // share above that speed to full aquaplaning
+    this.aquaplaneGrip = 0.15;  // grip left when fully aquaplaning
+    
+    this.wetCooling = 3;        // tire cooling on a soaked track relative to dry
+    this.wetBrakingMargin = 0.2; // extra braking distance drivers leave when soaked
+    
+    this.rubberedLine = null;
+    this.lineCorner = null;
+    
+    // Properties the settings leave out stay dry
+    this.set(WEATHER_PRESETS.DRY);
+    this.set(settings);
+  }
+  
+  // Preset name, or an object of CONDITION_PROPERTIES to change
+  set(settings) {
+    const values = typeof settings === 'string' ? WEATHER_PRESETS[settings] : settings;
+    if (!values) {
+      throw new Error(`Unknown weather preset: ${settings}`);
+    }
+    
+    CONDITION_PROPERTIES.forEach(property => {
+      if (values[property] !== undefined) this[property] = values[property];
+    });
+    this.wetness = Math.max(0, Math.min(1, this.wetness));
+    this.standingWater = Math.max(0, this.standingWater);
+    this.rubber = Math.max(0, Math.min(1, this.rubber));
+  }
+  
+  getSettings() {
+    const settings = {};
+    CONDITION_PROPERTIES.forEach(property => {
+      settings[property] = this[property];
+    });
+    return settings;
+  }
+  
+  // Identifies the conditions, for caching anything planned in them
+  getKey() {
+    return CONDITION_PROPERTIES.map(property => this[property]).join('|');
+  }
+  
+  // Lays the rubber down along the track's ideal racing line
+  setTrack(corner) {
+    if (corner === this.lineCorner) return;
+    this.lineCorner = corner;
+    this.rubberedLine = null;
+    if (!corner || !corner.surface) return;
+    
+    const centerline = corner.surface.centerline;
+    const points = new RacingLine().calculateRacingLine(corner, 'IDEAL').points;
+    this.rubberedLine = points
+      .map(point => centerline.project(point))
+      .filter(projection => projection !== null)
+      .map(({ distance, lateral }) => ({ distance, lateral }))
+      .sort((a, b) => a.distance - b.distance);
+  }
+  
+  // Grip multiplier for a tire on the ground from TrackSurface.getSurfaceAt
+  // at a speed (m/s). The tire's compound (TIRE_COMPOUNDS) decides how much
+  // grip it keeps in the wet, without one it is a street tire.
+  getGrip(ground, speed, tire = null) {
+    const surfaceWetGrip = this.wetGrip[ground.type] !== undefined ? this.wetGrip[ground.type] : this.wetGrip.asphalt;
+    let grip = 1 - (1 - this.getWetGrip(surfaceWetGrip, tire)) * this.wetness;
+    
+    if (ground.type === 'asphalt' && ground.distance !== null && this.rubberedLine) {
+      const offLine = Math.abs(ground.lateral - this.getLineOffset(ground.distance));
+      grip *= 1 + this.getRubberEffect() * Math.max(0, 1 - offLine / this.rubberWidth);
+    }
+    
+    return grip * this.getAquaplaningFactor(speed, tire);
+  }
+  
+  // Grip multiplier on the rubbered line, for planning the line's speeds
+  getLineGrip(speed = 0, tire = null) {
+    return (1 - (1 - this.getWetGrip(this.wetGrip.asphalt, tire)) * this.wetness) * (1 + this.getRubberEffect()) *
+      this.getAquaplaningFactor(speed, tire);
+  }
+  
+  // The surfaces' wet grip is for a street tire, other compounds keep more
+  // or less of it
+  getWetGrip(surfaceWetGrip, tire) {
+    if (!tire || tire.wetGrip === undefined) return surfaceWetGrip;
+    return Math.min(1, surfaceWetGrip * tire.wetGrip / this.wetGrip.asphalt);
+  }
+  
+  // Grip the rubber adds on the line, negative once it is wet
+  getRubberEffect() {
+    return this.rubber * (this.rubberGrip * (1 - this.wetness) - this.rubberWetLoss * this.wetness);
+  }
+  
+  // Grip left as the tire rides up on standing water. Grooved compounds
+  // clear more water and hold on to a higher speed.
+  getAquaplaningFactor(speed, tire = null) {
+    if (this.standingWater <= 0) return 1;
+    
+    const clearance = tire && tire.waterClearance !== undefined ? tire.waterClearance : 1;
+    const onset = this.aquaplaneSpeed * clearance * Math.pow(this.aquaplaneDepth / this.standingWater, 0.25);
+    const t = Math.max(0, Math.min(1, (speed - onset) / (onset * this.aquaplaneRange)));
+    return 1 - (1 - this.aquaplaneGrip) * t;
+  }
+  
+  // Multiplier on the tires' cooling to the air and track
+  getTireCooling() {
+    return 1 + (this.wetCooling - 1) * this.wetness;
+  }
+  
+  // Multiplier on braking distances for the margin drivers leave
+  getBrakingMargin() {
+    return 1 + this.wetBrakingMargin * this.wetness;
+  }
+  
+  // Lateral offset of the rubbered line from the centerline at a distance
+  getLineOffset(distance) {
+    const line = this.rubberedLine;
+    if (distance <= line[0].distance) return line[0].lateral;
+    if (distance >= line[line.length - 1].distance) return line[line.length - 1].lateral;
+    
+    let low = 0;
+    let high = line.length - 1;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (line[middle].distance <= distance) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    
+    const span = line[high].distance - line[low].distance;
+    const t = span > 0 ? (distance - line[low].distance) / span : 0;
+    return line[low].lateral + (line[high].lateral - line[low].lateral) * t;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,433 @@
+import { PROFILE_PROPERTIES } from './TrackProfile.js';
+
+export const TRACK_FORMAT = 'racing-track';
+export const TRACK_FORMAT_VERSION = 1;
+
+// JSON track definition, loaded by CornerGenerator.loadTrack and written by
+// CornerGenerator.exportTrack:
+//   {
+//     "format": "racing-track",
+//     "version": 1,
+//     "name": "Hairpin",
+//     "description": "...",
+//     "closed": false,                  a lap rather than a single corner
+//     "trackWidth": 12,                 m, where the profile gives no width
+//     "start": { "x": -50, "z": 0, "heading": 0 },
+//                                       heading in degrees from +x towards +z
+//     "entrySpeed": { "RX8": 45, "F1": 65 },
+//                                       km/h at the start, per car type
+//     "sequenceTime": 30,               s the simulation runs for
+//     "segments": [ ... ],              the centerline as CIRCUITS segments,
+//     "points": [ { "x", "z", ... } ],  or as points it passes through, each
+//                                       optionally with profile properties
+//     "profile": [ { "distance", "width", "banking", "camber", "grip",
+//                    "elevation" } ],
+//     "curbs": [ { "start", "end", "side", "width" } ],
+//     "runoff": [ { "start", "end", "side", "surface" } ],
+//     "sectors": [ 800, 1650 ]         m along the centerline of the
+//                                       timing lines between sectors
+//   }
+// Only name and one of segments or points are required. Profile entries,
+// curbs and run-off zones are placed by distance (m) along the centerline;
+// see TrackProfile for the properties. Curbs run along the "left" or
+// "right" edge, left being the side a left-hander turns to, and run-off
+// zones lie past them as "grass", "gravel" or "asphalt". Run-off outside
+// any zone is grass. Without sectors a lap is timed in three equal
+// sectors.
+const TRACK_FIELDS = [
+  'format', 'version', 'name', 'description', 'closed', 'trackWidth', 'start',
+  'entrySpeed', 'sequenceTime', 'segments', 'points', 'profile', 'curbs',
+  'runoff', 'sectors'
+];
+
+const SEGMENT_FIELDS = {
+  straight: ['length', 'drs'],
+  arc: ['radius', 'angle', 'apexPosition'],
+  corner: ['corner', 'mirror'],
+  clothoid: ['length']
+};
+
+// Allowed range of each profile property
+const PROPERTY_LIMITS = {
+  width: [3, 100],
+  banking: [-45, 45],
+  camber: [-10, 10],
+  grip: [0.1, 2],
+  elevation: [-500, 500]
+};
+
+const SIDES = ['left', 'right'];
+
+const RUNOFF_SURFACES = ['grass', 'gravel', 'asphalt'];
+
+export class TrackFormat {
+  // Definition from a JSON string or an already parsed object
+  parse(source) {
+    let definition = source;
+    
+    if (typeof source === 'string') {
+      try {
+        definition = JSON.parse(source);
+      } catch (error) {
+        throw new Error(`Invalid track file: ${error.message}`);
+      }
+    }
+    
+    return this.validate(definition);
+  }
+  
+  // Checks a definition and returns it with its fields in order and the
+  // format header and defaults filled in. Throws on the first problem.
+  validate(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error('Invalid track: expected a JSON object');
+    }
+    
+    if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+      throw new Error('Invalid track: missing name');
+    }
+    
+    const fail = (message) => {
+      throw new Error(`Invalid track "${definition.name}": ${message}`);
+    };
+    
+    this.checkFields(definition, TRACK_FIELDS, 'the track', fail);
+    
+    if (definition.format !== undefined && definition.format !== TRACK_FORMAT) {
+      fail(`unknown format "${definition.format}", expected "${TRACK_FORMAT}"`);
+    }
+    if (definition.version !== undefined &&
+        (!Number.isInteger(definition.version) || definition.version < 1 || definition.version > TRACK_FORMAT_VERSION)) {
+      fail(`unsupported version ${definition.version}, this build reads up to version ${TRACK_FORMAT_VERSION}`);
+    }
+    if (definition.description !== undefined && typeof definition.description !== 'string') {
+      fail('description must be a string');
+    }
+    if (definition.closed !== undefined && typeof definition.closed !== 'boolean') {
+      fail('closed must be true or false');
+    }
+    if (definition.trackWidth !== undefined) {
+      this.checkProperty('width', definition.trackWidth, 'trackWidth', fail);
+    }
+    if (definition.sequenceTime !== undefined && !isPositive(definition.sequenceTime)) {
+      fail('sequenceTime must be a positive number of seconds');
+    }
+    if (definition.entrySpeed !== undefined) {
+      if (!definition.entrySpeed || typeof definition.entrySpeed !== 'object' || Array.isArray(definition.entrySpeed)) {
+        fail('entrySpeed must map car types to speeds, e.g. { "RX8": 45, "F1": 65 }');
+      }
+      Object.entries(definition.entrySpeed).forEach(([type, speed]) => {
+        if (!isPositive(speed)) fail(`entrySpeed for ${type} must be a positive speed in km/h`);
+      });
+    }
+    
+    const hasSegments = definition.segments !== undefined;
+    const hasPoints = definition.points !== undefined;
+    if (!hasSegments && !hasPoints) {
+      fail('the centerline needs segments or points');
+    }
+    if (hasSegments && hasPoints) {
+      fail('give the centerline as segments or points, not both');
+    }
+    
+    if (hasSegments) {
+      this.checkSegments(definition.segments, fail);
+      if (definition.start !== undefined) this.checkStart(definition.start, fail);
+    } else {
+      this.checkPoints(definition.points, fail);
+      if (definition.start !== undefined) {
+        fail('start is taken from the first point when the centerline is given as points');
+      }
+    }
+    
+    if (definition.profile !== undefined) this.checkProfile(definition.profile, fail);
+    if (definition.curbs !== undefined) this.checkCurbs(definition.curbs, fail);
+    if (definition.runoff !== undefined) this.checkRunoff(definition.runoff, fail);
+    if (definition.sectors !== undefined) this.checkSectors(definition.sectors, fail);
+    
+    const normalized = {
+      format: TRACK_FORMAT,
+      version: TRACK_FORMAT_VERSION,
+      name: definition.name,
+      closed: !!definition.closed,
+      trackWidth: definition.trackWidth !== undefined ? definition.trackWidth : 12
+    };
+    
+    TRACK_FIELDS.forEach(field => {
+      if (normalized[field] === undefined && definition[field] !== undefined) {
+        normalized[field] = clone(definition[field]);
+      }
+    });
+    
+    // Keep the documented field order
+    return TRACK_FIELDS.reduce((ordered, field) => {
+      if (normalized[field] !== undefined) ordered[field] = normalized[field];
+      return ordered;
+    }, {});
+  }
+  
+  checkFields(object, allowed, where, fail) {
+    Object.keys(object).forEach(key => {
+      if (!allowed.includes(key)) fail(`unknown property "${key}" in ${where}`);
+    });
+  }
+  
+  checkProperty(property, value, where, fail) {
+    const [min, max] = PROPERTY_LIMITS[property];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      fail(`${where} must be a number from ${min} to ${max}`);
+    }
+  }
+  
+  checkStart(start, fail) {
+    if (!start || typeof start !== 'object') fail('start must be { "x", "z", "heading" }');
+    this.checkFields(start, ['x', 'z', 'heading'], 'start', fail);
+    ['x', 'z'].forEach(axis => {
+      if (!isNumber(start[axis])) fail(`start needs a numeric ${axis}`);
+    });
+    if (start.heading !== undefined && !isNumber(start.heading)) fail('start heading must be a number of degrees');
+  }
+  
+  checkSegments(segments, fail) {
+    if (!Array.isArray(segments) || segments.length === 0) {
+      fail('segments must be a non-empty list');
+    }
+    
+    segments.forEach((segment, index) => {
+      const where = `segment ${index}`;
+      if (!segment || typeof segment !== 'object') fail(`${where} must be an object`);
+      
+      const fields = SEGMENT_FIELDS[segment.type];
+      if (!fields) {
+        fail(`unknown segment type "${segment.type}" at ${where}, expected one of ${Object.keys(SEGMENT_FIELDS).join(', ')}`);
+      }
+      this.checkFields(segment, ['type', ...fields], `${where} (${segment.type})`, fail);
+      
+      switch (segment.type) {
+        case 'straight':
+        case 'clothoid':
+          if (!isPositive(segment.length)) fail(`${where} (${segment.type}) needs a positive length`);
+          if (segment.drs !== undefined && typeof segment.drs !== 'boolean') fail(`${where} drs must be true or false`);
+          break;
+        
+        case 'arc':
+          if (!isPositive(segment.radius)) fail(`${where} (arc) needs a positive radius`);
+          if (!isNumber(segment.angle) || segment.angle === 0) fail(`${where} (arc) needs a non-zero angle in degrees`);
+          if (segment.apexPosition !== undefined && !(isNumber(segment.apexPosition) && segment.apexPosition >= 0 && segment.apexPosition <= 1)) {
+            fail(`${where} (arc) apexPosition must be from 0 to 1`);
+          }
+          break;
+        
+        case 'corner':
+          if (typeof segment.corner !== 'string') fail(`${where} (corner) needs a corner type`);
+          if (segment.mirror !== undefined && typeof segment.mirror !== 'boolean') fail(`${where} mirror must be true or false`);
+          break;
+      }
+    });
+  }
+  
+  checkPoints(points, fail) {
+    if (!Array.isArray(points) || points.length < 3) {
+      fail('points must list at least 3 points');
+    }
+    
+    points.forEach((point, index) => {
+      const where = `point ${index}`;
+      if (!point || typeof point !== 'object') fail(`${where} must be an object`);
+      this.checkFields(point, ['x', 'z', ...PROFILE_PROPERTIES], where, fail);
+      if (!isNumber(point.x) || !isNumber(point.z)) fail(`${where} needs numeric x and z`);
+      PROFILE_PROPERTIES.forEach(property => {
+        if (point[property] !== undefined) this.checkProperty(property, point[property], `${where} ${property}`, fail);
+      });
+      
+      const previous = points[index - 1];
+      if (previous && previous.x === point.x && previous.z === point.z) {
+        fail(`${where} is the same as the point before it`);
+      }
+    });
+  }
+  
+  checkProfile(profile, fail) {
+    if (!Array.isArray(profile)) fail('profile must be a list');
+    
+    profile.forEach((entry, index) => {
+      const where = `profile entry ${index}`;
+      if (!entry || typeof entry !== 'object') fail(`${where} must be an object`);
+      this.checkFields(entry, ['distance', ...PROFILE_PROPERTIES], where, fail);
+      if (!isNumber(entry.distance) || entry.distance < 0) fail(`${where} needs a distance of 0 m or more`);
+      if (index > 0 && entry.distance <= profile[index - 1].distance) {
+        fail(`${where} must come after the one before it`);
+      }
+      
+      const given = PROFILE_PROPERTIES.filter(property => entry[property] !== undefined);
+      if (given.length === 0) fail(`${where} sets none of ${PROFILE_PROPERTIES.join(', ')}`);
+      given.forEach(property => this.checkProperty(property, entry[property], `${where} ${property}`, fail));
+    });
+  }
+  
+  checkCurbs(curbs, fail) {
+    if (!Array.isArray(curbs)) fail('curbs must be a list');
+    
+    curbs.forEach((curb, index) => {
+      const where = `curb ${index}`;
+      if (!curb || typeof curb !== 'object') fail(`${where} must be an object`);
+      this.checkFields(curb, ['start', 'end', 'side', 'width'], where, fail);
+      if (!isNumber(curb.start) || curb.start < 0) fail(`${where} needs a start distance of 0 m or more`);
+      if (!isNumber(curb.end) || curb.end <= curb.start) fail(`${where} must end after it starts`);
+      if (!SIDES.includes(curb.side)) fail(`${where} side must be "left" or "right"`);
+      if (curb.width !== undefined && !(isPositive(curb.width) && curb.width <= 5)) {
+        fail(`${where} width must be a positive number up to 5 m`);
+      }
+    });
+  }
+  
+  checkRunoff(runoff, fail) {
+    if (!Array.isArray(runoff)) fail('runoff must be a list');
+    
+    runoff.forEach((zone, index) => {
+      const where = `runoff zone ${index}`;
+      if (!zone || typeof zone !== 'object') fail(`${where} must be an object`);
+      this.checkFields(zone, ['start', 'end', 'side', 'surface'], where, fail);
+      if (!isNumber(zone.start) || zone.start < 0) fail(`${where} needs a start distance of 0 m or more`);
+      if (!isNumber(zone.end) || zone.end <= zone.start) fail(`${where} must end after it starts`);
+      if (!SIDES.includes(zone.side)) fail(`${where} side must be "left" or "right"`);
+      if (!RUNOFF_SURFACES.includes(zone.surface)) {
+        fail(`${where} surface must be one of ${RUNOFF_SURFACES.map(surface => `"${surface}"`).join(', ')}`);
+      }
+    });
+  }
+  
+  checkSectors(sectors, fail) {
+    if (!Array.isArray(sectors)) fail('sectors must be a list of distances');
+    
+    sectors.forEach((distance, index) => {
+      const where = `sector line ${index}`;
+      if (!isPositive(distance)) fail(`${where} needs a distance of more than 0 m`);
+      if (index > 0 && distance <= sectors[index - 1]) fail(`${where} must come after the one before it`);
+    });
+  }
+  
+  // Definition of one of the CORNER_TYPES as CornerGenerator lays it out:
+  // a 50m entry straight from (-50, 0) along +x, the corner's arcs and a
+  // 50m exit straight, with curbs on the inside of each arc and out to the
+  // exit
+  fromCorner(config, trackWidth = 12) {
+    const radii = [].concat(config.radius);
+    const angles = [].concat(config.angle);
+    const apexPositions = [].concat(config.apexPosition);
+    const drsZones = config.drsZones || [];
+    const straightLength = 50;
+    
+    const entry = { type: 'straight', length: straightLength };
+    const exit = { type: 'straight', length: straightLength };
+    if (drsZones.includes('entry')) entry.drs = true;
+    if (drsZones.includes('exit') && radii.length === 1) exit.drs = true;
+    
+    const arcs = radii.map((radius, index) => ({
+      type: 'arc',
+      radius: Math.abs(radius),
+      angle: angles[index],
+      apexPosition: apexPositions[index]
+    }));
+    
+    const definition = {
+      name: config.name,
+      description: config.description,
+      closed: false,
+      trackWidth,
+      start: { x: -straightLength, z: 0, heading: 0 },
+      entrySpeed: config.entrySpeed,
+      segments: [entry, ...arcs, exit]
+    };
+    
+    const entries = [];
+    
+    // Bank the outside of the (first) turn up through the corner, easing in
+    // and out over the last and first 20m of the straights
+    if (config.bankAngle) {
+      const banking = config.bankAngle * Math.sign(angles[0]);
+      const cornerLength = arcs.reduce((sum, arc) => sum + arcLength(arc), 0);
+      const transition = 20;
+      entries.push(
+        { distance: straightLength - transition, banking: 0 },
+        { distance: straightLength, banking },
+        { distance: straightLength + cornerLength, banking },
+        { distance: straightLength + cornerLength + transition, banking: 0 }
+      );
+    }
+    
+    // Heights are given from the start of the entry straight
+    (config.elevation || []).forEach(({ distance, height }) => {
+      entries.push({ distance, elevation: height });
+    });
+    
+    if (entries.length > 0) {
+      definition.profile = mergeEntries(entries);
+    }
+    
+    // Apex curb through the middle of each arc and an exit curb on the
+    // outside, with the corner's run-off past it from turn-in to the exit
+    const length = straightLength * 2 + arcs.reduce((sum, arc) => sum + arcLength(arc), 0);
+    const zone = (start, end, side) => ({ start: round(start), end: round(Math.min(length, end)), side });
+    definition.curbs = [];
+    const runoff = [];
+    let arcStart = straightLength;
+    arcs.forEach(arc => {
+      const arcEnd = arcStart + arcLength(arc);
+      const inside = arc.angle > 0 ? 'left' : 'right';
+      const outside = arc.angle > 0 ? 'right' : 'left';
+      definition.curbs.push(
+        zone(arcStart + (arcEnd - arcStart) * 0.2, arcStart + (arcEnd - arcStart) * 0.8, inside),
+        zone(arcStart + (arcEnd - arcStart) * 0.6, arcEnd + 20, outside)
+      );
+      if (config.runoff) {
+        runoff.push({ ...zone(arcStart - 20, arcEnd + 50, outside), surface: config.runoff });
+      }
+      arcStart = arcEnd;
+    });
+    if (runoff.length > 0) definition.runoff = runoff;
+    
+    return this.validate(definition);
+  }
+  
+  toJSON(definition) {
+    return JSON.stringify(this.validate(definition), null, 2);
+  }
+}
+
+function arcLength(arc) {
+  return arc.radius * Math.abs(arc.angle) * Math.PI / 180;
+}
+
+// Down to 0.1 m, so exported files stay readable and nothing ends past
+// the end of the track
+function round(distance) {
+  return Math.floor(distance * 10) / 10;
+}
+
+// Profile entries in order of distance, with those at the same distance
+// made into one
+function mergeEntries(entries) {
+  const merged = [];
+  entries.slice().sort((a, b) => a.distance - b.distance).forEach(entry => {
+    const last = merged[merged.length - 1];
+    if (last && last.distance === entry.distance) {
+      Object.assign(last, entry);
+    } else {
+      merged.push({ ...entry });
+    }
+  });
+  return merged;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPositive(value) {
+  return isNumber(value) && value > 0;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
\ No newline at end of file
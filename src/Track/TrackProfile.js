@@ -0,0 +1,88 @@
+// Surface properties along a track, from entries at distances along the
+// centerline. Each property eases from one entry that gives it to the next,
+// with no kink at the entries for a car to catch on, and is held past the
+// first and last of them, or carried round the start line on a closed lap.
+// Properties no entry gives keep their defaults.
+//   width     m
+//   banking   degrees, positive raises the right-hand edge, so banks a
+//             left-hander
+//   camber    degrees the surface falls away from the centerline to both
+//             edges
+//   grip      multiplier on the tires' friction
+//   elevation m the centerline rises above y = 0, easing between entries
+//             so crests and compressions are smooth
+export const PROFILE_PROPERTIES = ['width', 'banking', 'camber', 'grip', 'elevation'];
+
+export class TrackProfile {
+  constructor(entries = [], { length, closed = false, width = 12 }) {
+    this.length = length;
+    this.closed = closed;
+    this.defaults = { width, banking: 0, camber: 0, grip: 1, elevation: 0 };
+    
+    const sorted = entries.slice().sort((a, b) => a.distance - b.distance);
+    this.keys = {};
+    PROFILE_PROPERTIES.forEach(property => {
+      this.keys[property] = sorted
+        .filter(entry => entry[property] !== undefined)
+        .map(entry => ({ distance: entry.distance, value: entry[property] }));
+    });
+  }
+  
+  getAt(distance) {
+    const values = {};
+    PROFILE_PROPERTIES.forEach(property => {
+      values[property] = this.getValue(property, distance);
+    });
+    return values;
+  }
+  
+  getValue(property, distance) {
+    const keys = this.keys[property];
+    if (keys.length === 0) return this.defaults[property];
+    if (keys.length === 1) return keys[0].value;
+    
+    const first = keys[0];
+    const last = keys[keys.length - 1];
+    
+    if (distance < first.distance || distance >= last.distance) {
+      if (!this.closed) {
+        return distance < first.distance ? first.value : last.value;
+      }
+      
+      // Across the start line, from the last entry round to the first
+      const span = first.distance + this.length - last.distance;
+      const along = distance >= last.distance ? distance - last.distance : distance + this.length - last.distance;
+      const t = span > 0 ? along / span : 0;
+      return last.value + (first.value - last.value) * ease(t);
+    }
+    
+    for (let i = 1; i < keys.length; i++) {
+      const to = keys[i];
+      if (distance < to.distance) {
+        const from = keys[i - 1];
+        const t = (distance - from.distance) / (to.distance - from.distance);
+        return from.value + (to.value - from.value) * ease(t);
+      }
+    }
+    
+    return last.value;
+  }
+  
+  // Narrowest the track gets, which is what the racing lines keep inside
+  getMinWidth() {
+    const widths = this.keys.width;
+    if (widths.length === 0) return this.defaults.width;
+    return Math.min(...widths.map(key => key.value));
+  }
+  
+  getMaxWidth() {
+    const widths = this.keys.width;
+    if (widths.length === 0) return this.defaults.width;
+    return Math.max(...widths.map(key => key.value));
+  }
+}
+
+// Smoothstep, level at both ends
+function ease(t) {
+  return t * t * (3 - 2 * t);
+}
\ No newline at end of file
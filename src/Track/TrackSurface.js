@@ -0,0 +1,181 @@
+import { SURFACE_TYPES } from '../Core/PhysicsEngine.js';
+
+// Road surface height across and along a track. The centerline follows the
+// elevation in the track's profile, and banking and camber tilt the surface
+// about it; past the edges the run-off levels out, then eases back to the
+// surrounding ground at the centerline's elevation. Neither has a kink a
+// car could catch its nose on.
+//
+// What the surface is made of comes from the curbs along the edges, each
+// { start, end, side, width }, and the run-off zones past them, each
+// { start, end, side, surface } with surface one of SURFACE_TYPES. Run-off
+// no zone covers is grass.
+export class TrackSurface {
+  constructor(centerline, profile, { curbs = [], runoff = [] } = {}) {
+    this.centerline = centerline;
+    this.profile = profile;
+    this.curbs = curbs;
+    this.runoff = runoff;
+    this.defaultRunoff = 'grass';
+    this.runoffWidth = 15;    // m past each edge over which the run-off levels out
+    this.blendWidth = 25;     // m over which the run-off meets the ground
+    this.margin = 100;        // m of heightfield around the track
+    this.minElementSize = 1;  // m between heightfield points
+    this.maxPoints = 300000;  // coarser heightfield beyond this many points
+    this.heightfield = null;
+  }
+  
+  // A flat track is just the ground plane
+  isFlat() {
+    return ['banking', 'camber', 'elevation'].every(property =>
+      this.profile.keys[property].every(key => key.value === 0)
+    );
+  }
+  
+  // Height at a distance along the centerline and a lateral offset from it,
+  // positive to the left
+  getHeight(distance, lateral) {
+    const { width, banking, camber, elevation } = this.profile.getAt(distance);
+    const halfWidth = width / 2;
+    const outwards = Math.abs(lateral);
+    
+    // Rise per metre out from the centerline on this side. Positive banking
+    // raises the right-hand (negative lateral) edge.
+    const side = lateral < 0 ? -1 : 1;
+    const gradient = -side * Math.tan(banking * Math.PI / 180) - Math.tan(camber * Math.PI / 180);
+    if (outwards <= halfWidth) return elevation + outwards * gradient;
+    
+    // Run-off carries on from the edge with the slope easing to level
+    const runoff = Math.min(outwards - halfWidth, this.runoffWidth);
+    const height = gradient * (halfWidth + runoff - runoff * runoff / (2 * this.runoffWidth));
+    
+    const beyond = outwards - halfWidth - this.runoffWidth;
+    if (beyond <= 0) return elevation + height;
+    const t = Math.min(1, beyond / this.blendWidth);
+    return elevation + height * (1 - t * t * (3 - 2 * t));
+  }
+  
+  // Surface point at a distance along the centerline and a lateral offset
+  getPoint(distance, lateral) {
+    const sample = this.centerline.getSample(distance);
+    const point = sample.position.clone().addScaledVector(sample.normal, lateral);
+    point.y = this.getHeight(sample.distance, lateral);
+    return point;
+  }
+  
+  // Surface points along the whole track at a lateral offset, which may
+  // change with distance
+  getLine(lateral, spacing = 1) {
+    const lateralAt = typeof lateral === 'function' ? lateral : () => lateral;
+    const length = this.centerline.length;
+    const count = Math.max(1, Math.ceil(length / spacing));
+    const points = [];
+    
+    for (let i = 0; i <= count; i++) {
+      const distance = (i / count) * length;
+      points.push(this.getPoint(distance, lateralAt(distance)));
+    }
+    
+    return points;
+  }
+  
+  // Height under a world position, from the nearest part of the track. The
+  // ground keeps the elevation of the track out to the heightfield's margin.
+  getHeightAt(position) {
+    const projection = this.centerline.project(position, this.getReach() + this.margin);
+    return projection ? this.getHeight(projection.distance, projection.lateral) : 0;
+  }
+  
+  // Which of SURFACE_TYPES is at a distance along the centerline and a
+  // lateral offset from it
+  getSurfaceType(distance, lateral) {
+    if (this.isOnTrack(distance, lateral)) return 'asphalt';
+    
+    const halfWidth = this.profile.getValue('width', distance) / 2;
+    const outwards = Math.abs(lateral);
+    const side = lateral > 0 ? 'left' : 'right';
+    const onCurb = this.curbs.some(curb =>
+      covers(curb, distance, side) && outwards <= halfWidth + curb.width
+    );
+    return onCurb ? 'curb' : this.getRunoffType(distance, side);
+  }
+  
+  // Inside the track's edges, which is where the track limits are; curbs
+  // and run-off are outside them
+  isOnTrack(distance, lateral) {
+    return Math.abs(lateral) <= this.profile.getValue('width', distance) / 2;
+  }
+  
+  getRunoffType(distance, side) {
+    const zone = this.runoff.find(zone => covers(zone, distance, side));
+    return zone ? zone.surface : this.defaultRunoff;
+  }
+  
+  // Surface under a world position: its type, the grip and rolling
+  // resistance the tires get there, how far a curb's ridges lift them,
+  // whether it is inside the track limits and where it is along and across
+  // the track
+  getSurfaceAt(position) {
+    const projection = this.centerline.project(position, this.getReach());
+    const type = projection ? this.getSurfaceType(projection.distance, projection.lateral) : this.defaultRunoff;
+    const surface = SURFACE_TYPES[type];
+    const grip = projection ? this.profile.getValue('grip', projection.distance) : 1;
+    const bump = surface.bump && projection ?
+      surface.bump * Math.abs(Math.sin(Math.PI * projection.distance / surface.bumpPitch)) :
+      0;
+    
+    return {
+      type,
+      grip: surface.grip * grip,
+      rollingResistance: surface.rollingResistance,
+      bump,
+      onTrack: projection ? this.isOnTrack(projection.distance, projection.lateral) : false,
+      distance: projection ? projection.distance : null,
+      lateral: projection ? projection.lateral : null
+    };
+  }
+  
+  // How far from the centerline the surface differs from the ground
+  getReach() {
+    return this.profile.getMaxWidth() / 2 + this.runoffWidth + this.blendWidth;
+  }
+  
+  // Surface heights on a regular grid around the track for the physics
+  // heightfield: heights[i][j] is at x = origin.x + i * elementSize,
+  // z = origin.z - j * elementSize. Built once per surface.
+  getHeightfield() {
+    if (this.heightfield) return this.heightfield;
+    
+    const bounds = this.centerline.getBounds(this.getReach() + this.margin);
+    const sizeX = bounds.max.x - bounds.min.x;
+    const sizeZ = bounds.max.z - bounds.min.z;
+    const elementSize = Math.max(this.minElementSize, Math.sqrt(sizeX * sizeZ / this.maxPoints));
+    const columns = Math.ceil(sizeX / elementSize) + 1;
+    const rows = Math.ceil(sizeZ / elementSize) + 1;
+    
+    const position = { x: 0, z: 0 };
+    const heights = [];
+    for (let i = 0; i < columns; i++) {
+      const column = new Array(rows);
+      position.x = bounds.min.x + i * elementSize;
+      
+      for (let j = 0; j < rows; j++) {
+        position.z = bounds.max.z - j * elementSize;
+        column[j] = this.getHeightAt(position);
+      }
+      heights.push(column);
+    }
+    
+    this.heightfield = {
+      heights,
+      elementSize,
+      origin: { x: bounds.min.x, z: bounds.max.z },
+      size: { x: (columns - 1) * elementSize, z: (rows - 1) * elementSize }
+    };
+    return this.heightfield;
+  }
+}
+
+function covers(zone, distance, side) {
+  return zone.side === side && distance >= zone.start && distance <= zone.end;
+}
\ No newline at end of file
@@ -1,6 +1,12 @@
 import { GUI } from 'dat.gui';
 import { CORNER_TYPES } from '../Track/CornerGenerator.js';
+import { CIRCUITS } from '../Track/CircuitBuilder.js';
 import { RACING_LINES, BRAKING_STYLES } from '../Track/RacingLine.js';
+import { WEATHER_PRESETS, CONDITION_PROPERTIES } from '../Track/TrackConditions.js';
+import { TRANSMISSION_MODES } from '../Physics/Drivetrain.js';
+import { TIRE_COMPOUNDS, getCompounds } from '../Physics/TireCompounds.js';
+import { REPLAY_FILE_EXTENSION } from '../Core/Replay.js';
+import { LOG_RATES } from '../Core/TelemetryLogger.js';
 
 export class ControlPanel {
   constructor(simulation) {
@@ -16,10 +22,22 @@ export class ControlPanel {
       cornerType: 'HAIRPIN',
       racingLine: 'IDEAL',
       brakingStyle: 'THRESHOLD',
+      autonomousDriving: true,
+      importTrack: () => this.importTrack(),
+      exportTrack: () => this.exportTrack(),
+      
+      // Track conditions, the values start from the weather preset
+      weather: 'DRY',
+      ambientTemp: WEATHER_PRESETS.DRY.ambientTemp,
+      trackTemp: WEATHER_PRESETS.DRY.trackTemp,
+      wetness: WEATHER_PRESETS.DRY.wetness,
+      standingWater: WEATHER_PRESETS.DRY.standingWater,
+      rubber: WEATHER_PRESETS.DRY.rubber,
       
       // Simulation settings
       playbackSpeed: 1.0,
       paused: false,
+      recording: true,
       reset: () => this.simulation.reset(),
       
       // Visualization options
@@ -29,6 +47,22 @@ export class ControlPanel {
       showRacingLine: true,
       showTelemetry: true,
       
+      // Ghost car
+      showGhost: true,
+      ghostSource: 'BEST',
+      saveGhost: () => this.saveGhost(),
+      loadGhost: () => this.loadGhost(),
+      
+      // Replay files
+      saveReplay: () => this.saveReplay(),
+      loadReplay: () => this.loadReplay(),
+      
+      // Telemetry log
+      logRate: 20,
+      exportLogCSV: () => this.exportTelemetryLog('CSV'),
+      exportLogMoTeC: () => this.exportTelemetryLog('MOTEC'),
+      clearLog: () => this.simulation.clearTelemetryLog(),
+      
       // Camera
       cameraMode: 'orbit',
       
@@ -65,17 +99,42 @@ export class ControlPanel {
     
     // Corner Configuration folder
     const cornerFolder = this.gui.addFolder('Corner Configuration');
-    cornerFolder.add(this.controls, 'cornerType', Object.keys(CORNER_TYPES))
-      .name('Corner Type')
-      .onChange((value) => this.onCornerTypeChange(value));
+    this.addCornerTypeControl(cornerFolder);
     cornerFolder.add(this.controls, 'racingLine', Object.keys(RACING_LINES))
       .name('Racing Line')
       .onChange((value) => this.onRacingLineChange(value));
     cornerFolder.add(this.controls, 'brakingStyle', Object.keys(BRAKING_STYLES))
       .name('Braking Style')
       .onChange((value) => this.onBrakingStyleChange(value));
+    cornerFolder.add(this.controls, 'autonomousDriving')
+      .name('Autonomous Driver')
+      .onChange((value) => this.onAutonomousDrivingChange(value));
+    cornerFolder.add(this.controls, 'importTrack').name('Import Track (JSON)');
+    cornerFolder.add(this.controls, 'exportTrack').name('Export Track (JSON)');
     cornerFolder.open();
     
+    // Track Conditions folder. Each change plans the driver's speeds again,
+    // so the sliders apply once let go.
+    const conditionsFolder = this.gui.addFolder('Track Conditions');
+    conditionsFolder.add(this.controls, 'weather', Object.keys(WEATHER_PRESETS))
+      .name('Weather')
+      .onChange((value) => this.onWeatherChange(value));
+    conditionsFolder.add(this.controls, 'ambientTemp', -5, 45, 1)
+      .name('Air Temp (°C)')
+      .onFinishChange((value) => this.onConditionChange('ambientTemp', value));
+    conditionsFolder.add(this.controls, 'trackTemp', -5, 65, 1)
+      .name('Track Temp (°C)')
+      .onFinishChange((value) => this.onConditionChange('trackTemp', value));
+    conditionsFolder.add(this.controls, 'wetness', 0, 1, 0.05)
+      .name('Wetness')
+      .onFinishChange((value) => this.onConditionChange('wetness', value));
+    conditionsFolder.add(this.controls, 'standingWater', 0, 6, 0.5)
+      .name('Standing Water (mm)')
+      .onFinishChange((value) => this.onConditionChange('standingWater', value));
+    conditionsFolder.add(this.controls, 'rubber', 0, 1, 0.05)
+      .name('Rubbered In')
+      .onFinishChange((value) => this.onConditionChange('rubber', value));
+    
     // Simulation Control folder
     const simulationFolder = this.gui.addFolder('Simulation Control');
     simulationFolder.add(this.controls, 'playbackSpeed', 0.1, 5.0, 0.1)
@@ -84,6 +143,9 @@ export class ControlPanel {
     simulationFolder.add(this.controls, 'paused')
       .name('Pause')
       .onChange((value) => this.onPauseChange(value));
+    simulationFolder.add(this.controls, 'recording')
+      .name('Record for Replay')
+      .onChange((value) => this.onRecordingChange(value));
     simulationFolder.add(this.controls, 'reset')
       .name('Reset Simulation');
     simulationFolder.open();
@@ -107,6 +169,32 @@ export class ControlPanel {
       .onChange((value) => this.onTelemetryToggle(value));
     visualFolder.open();
     
+    // Ghost folder. The ghost is the fastest run on this track, or a run
+    // loaded from a file.
+    const ghostFolder = this.gui.addFolder('Ghost');
+    ghostFolder.add(this.controls, 'showGhost')
+      .name('Show Ghost')
+      .onChange((value) => this.onGhostToggle(value));
+    this.ghostSourceController = ghostFolder.add(this.controls, 'ghostSource', ['BEST', 'LOADED'])
+      .name('Ghost Run')
+      .onChange((value) => this.onGhostSourceChange(value));
+    ghostFolder.add(this.controls, 'saveGhost').name('Save Best Run (JSON)');
+    ghostFolder.add(this.controls, 'loadGhost').name('Load Ghost (JSON)');
+    
+    // Replay folder. A replay file can also be dropped onto the page.
+    const replayFolder = this.gui.addFolder('Replay');
+    replayFolder.add(this.controls, 'saveReplay').name('Save Replay');
+    replayFolder.add(this.controls, 'loadReplay').name('Load Replay');
+    
+    // Telemetry Log folder. Every run of the session is logged.
+    const logFolder = this.gui.addFolder('Telemetry Log');
+    logFolder.add(this.controls, 'logRate', LOG_RATES)
+      .name('Log Rate (Hz)')
+      .onChange((value) => this.simulation.setLogRate(Number(value)));
+    logFolder.add(this.controls, 'exportLogCSV').name('Export CSV');
+    logFolder.add(this.controls, 'exportLogMoTeC').name('Export MoTeC CSV');
+    logFolder.add(this.controls, 'clearLog').name('Clear Log');
+    
     // Camera folder
     const cameraFolder = this.gui.addFolder('Camera');
     cameraFolder.add(this.controls, 'cameraMode', ['orbit', 'chase', 'cockpit', 'helicopter', 'trackside'])
@@ -139,8 +227,8 @@ export class ControlPanel {
   }
   
   setupVehicleSpecificControls() {
-    // This will be populated when vehicle changes
-    this.vehicleFolder = this.gui.addFolder('Vehicle Settings');
+    // Repopulated whenever the vehicle changes
+    this.updateVehicleSpecificControls(this.controls.vehicle);
   }
   
   bindEvents() {
@@ -166,16 +254,199 @@ export class ControlPanel {
         case 'KeyH':
           this.toggleGUI();
           break;
+        case 'Comma':
+          this.simulation.stepFrame(-1);
+          break;
+        case 'Period':
+          this.simulation.stepFrame(1);
+          break;
       }
     });
+    
+    // Replay files dropped onto the page
+    document.addEventListener('dragover', (event) => event.preventDefault());
+    document.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const file = event.dataTransfer.files[0];
+      if (file) this.openReplay(file);
+    });
   }
   
-  onVehicleChange(vehicle) {
-    this.simulation.changeVehicle(vehicle);
+  async onVehicleChange(vehicle) {
+    await this.simulation.changeVehicle(vehicle);
     this.updateVehicleSpecificControls(vehicle);
     this.updateCornerInfo();
   }
   
+  // Imported tracks follow the circuits, so the list is rebuilt after an import
+  addCornerTypeControl(folder) {
+    const cornerTypes = [
+      ...Object.keys(CORNER_TYPES),
+      ...Object.keys(CIRCUITS),
+      ...Object.keys(this.simulation.importedTracks)
+    ];
+    
+    if (this.cornerTypeController) {
+      this.cornerTypeController = this.cornerTypeController.options(cornerTypes);
+    } else {
+      this.cornerTypeController = folder.add(this.controls, 'cornerType', cornerTypes);
+    }
+    
+    this.cornerTypeController
+      .name('Corner Type')
+      .onChange((value) => this.onCornerTypeChange(value));
+  }
+  
+  importTrack() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+      
+      try {
+        const cornerType = this.simulation.importTrack(await file.text());
+        this.addCornerTypeControl();
+        this.setCornerType(cornerType);
+      } catch (error) {
+        console.error('Failed to import track:', error);
+        window.alert(error.message);
+      }
+    });
+    
+    input.click();
+  }
+  
+  exportTrack() {
+    const json = this.simulation.exportTrack();
+    const name = JSON.parse(json).name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `${name}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+  
+  saveGhost() {
+    let json;
+    try {
+      json = this.simulation.saveGhost();
+    } catch (error) {
+      window.alert(error.message);
+      return;
+    }
+    
+    const { info } = JSON.parse(json);
+    const name = `ghost-${info.track}-${info.vehicle}-${info.racingLine}`.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `${name}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+  
+  loadGhost() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+      
+      try {
+        this.simulation.loadGhost(await file.text());
+        this.controls.ghostSource = 'LOADED';
+        this.ghostSourceController.updateDisplay();
+      } catch (error) {
+        console.error('Failed to load ghost:', error);
+        window.alert(error.message);
+      }
+    });
+    
+    input.click();
+  }
+  
+  exportTelemetryLog(format) {
+    let csv;
+    try {
+      csv = this.simulation.exportTelemetryLog(format);
+    } catch (error) {
+      window.alert(error.message);
+      return;
+    }
+    
+    const simulation = this.simulation;
+    const name = `telemetry-${simulation.currentCornerType}-${simulation.currentVehicleType}${format === 'MOTEC' ? '-motec' : ''}`
+      .toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = `${name}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+  
+  saveReplay() {
+    let buffer;
+    try {
+      buffer = this.simulation.saveReplay();
+    } catch (error) {
+      window.alert(error.message);
+      return;
+    }
+    
+    const info = this.simulation.getReplay().info;
+    const name = `replay-${info.track}-${info.vehicle}-${info.racingLine}`.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([buffer], { type: 'application/octet-stream' }));
+    link.download = `${name}${REPLAY_FILE_EXTENSION}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+  
+  loadReplay() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = REPLAY_FILE_EXTENSION;
+    
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (file) this.openReplay(file);
+    });
+    
+    input.click();
+  }
+  
+  // Plays a replay file, bringing the controls in line with the car and
+  // track it switched to
+  async openReplay(file) {
+    try {
+      const sameSetup = await this.simulation.loadReplay(await file.arrayBuffer());
+      const simulation = this.simulation;
+      
+      Object.assign(this.controls, {
+        vehicle: simulation.currentVehicleType === 'F1' ? 'Formula 1' : 'Mazda RX-8',
+        cornerType: simulation.currentCornerType,
+        racingLine: simulation.currentRacingLine,
+        brakingStyle: simulation.currentBrakingStyle,
+        paused: false
+      });
+      this.gui.updateDisplay();
+      this.updateVehicleSpecificControls(this.controls.vehicle);
+      this.updateCornerInfo();
+      this.onPauseChange(false);
+      
+      this.showMessage(sameSetup ?
+        'Replay loaded, restart to drive again' :
+        'Replay loaded, recorded with a different setup of this car');
+    } catch (error) {
+      console.error('Failed to load replay:', error);
+      window.alert(error.message);
+    }
+  }
+  
   onCornerTypeChange(cornerType) {
     this.simulation.changeCorner(cornerType);
     this.updateCornerInfo();
@@ -183,10 +454,32 @@ export class ControlPanel {
   
   onRacingLineChange(racingLine) {
     this.simulation.changeRacingLine(racingLine);
+    this.updateCornerInfo();
   }
   
   onBrakingStyleChange(brakingStyle) {
     this.simulation.changeBrakingStyle(brakingStyle);
+    this.updateCornerInfo();
+  }
+  
+  // A preset sets every condition, shown on the sliders
+  onWeatherChange(weather) {
+    const preset = WEATHER_PRESETS[weather];
+    CONDITION_PROPERTIES.forEach(property => {
+      this.controls[property] = preset[property];
+      this.updateDisplay(property);
+    });
+    this.simulation.setTrackConditions(weather);
+    this.updateCornerInfo();
+  }
+  
+  onConditionChange(property, value) {
+    this.simulation.setTrackConditions({ [property]: value });
+    this.updateCornerInfo();
+  }
+  
+  onAutonomousDrivingChange(enabled) {
+    this.simulation.setAutonomousDriving(enabled);
   }
   
   onPlaybackSpeedChange(speed) {
@@ -198,6 +491,10 @@ export class ControlPanel {
     this.updatePlayButton();
   }
   
+  onRecordingChange(enabled) {
+    this.simulation.setRecording(enabled);
+  }
+  
   onForceVectorsToggle(visible) {
     this.simulation.toggleForceVectors(visible);
   }
@@ -218,6 +515,14 @@ export class ControlPanel {
     this.simulation.toggleTelemetry(visible);
   }
   
+  onGhostToggle(visible) {
+    this.simulation.toggleGhost(visible);
+  }
+  
+  onGhostSourceChange(source) {
+    this.simulation.setGhostSource(source);
+  }
+  
   onCameraModeChange(mode) {
     this.simulation.setCameraMode(mode);
     this.updateCameraModeDisplay(mode);
@@ -256,9 +561,29 @@ export class ControlPanel {
     }
     this.vehicleFolder = this.gui.addFolder('Vehicle Settings');
     
+    const transmissionMode = this.simulation.vehicle ? this.simulation.vehicle.drivetrain.mode : 'automatic';
+    this.vehicleFolder.add({ transmissionMode }, 'transmissionMode', TRANSMISSION_MODES)
+      .name('Transmission')
+      .onChange((value) => this.simulation.setTransmissionMode(value));
+    
+    // Front share of the braking force, adjustable on the move
+    const brakeBias = this.simulation.vehicle ? this.simulation.vehicle.brakes.bias * 100 : 60;
+    this.vehicleFolder.add({ brakeBias }, 'brakeBias', 40, 80, 0.5)
+      .name('Brake Bias (% front)')
+      .onChange((value) => this.simulation.setBrakeBias(value / 100));
+    
+    // Compounds per axle, so a car can be run on mixed tires
+    const compounds = this.simulation.vehicle ? getCompounds(this.simulation.vehicle.config) : { front: 'STREET', rear: 'STREET' };
+    ['front', 'rear'].forEach(axle => {
+      this.vehicleFolder.add({ compound: compounds[axle] }, 'compound', Object.keys(TIRE_COMPOUNDS))
+        .name(axle === 'front' ? 'Front Tires' : 'Rear Tires')
+        .onChange((value) => this.onTireCompoundChange(axle, value));
+    });
+    
     // Add vehicle-specific controls based on type
     if (vehicle === 'Formula 1') {
-      this.vehicleFolder.add({ drsEnabled: false }, 'drsEnabled')
+      // Bound to the simulation's settings, so a rebuilt car and this toggle agree
+      this.vehicleFolder.add(this.simulation.vehicleSettings, 'drsEnabled')
         .name('DRS Enabled')
         .onChange((value) => this.simulation.setDRS(value));
       
@@ -273,13 +598,14 @@ export class ControlPanel {
       this.vehicleFolder.add({ suspensionSetup: 'street' }, 'suspensionSetup', ['street', 'sport', 'race'])
         .name('Suspension Setup')
         .onChange((value) => this.simulation.setSuspensionSetup(value));
-        
-      this.vehicleFolder.add({ tireType: 'street' }, 'tireType', ['street', 'sport', 'race'])
-        .name('Tire Type')
-        .onChange((value) => this.simulation.setTireType(value));
     }
   }
   
+  async onTireCompoundChange(axle, compound) {
+    await this.simulation.setTireCompound(axle, compound);
+    this.updateCornerInfo();
+  }
+  
   updateCornerInfo() {
     if (!this.initialized) return;
     
@@ -289,13 +615,20 @@ export class ControlPanel {
     const racingLineInfo = document.getElementById('racing-line-info');
     
     if (cornerInfo && cornerName && cornerDescription && racingLineInfo) {
-      const corner = CORNER_TYPES[this.controls.cornerType];
+      const corner = this.simulation.getTrackConfig(this.controls.cornerType);
       const line = RACING_LINES[this.controls.racingLine];
       
       cornerName.textContent = corner.name;
       cornerDescription.textContent = corner.description;
       racingLineInfo.textContent = `${line.name}: ${line.description}`;
       
+      const prediction = this.simulation.getCornerPrediction();
+      const predictionInfo = document.getElementById('corner-prediction');
+      if (predictionInfo && prediction) {
+        predictionInfo.textContent = `Predicted: ${prediction.cornerTime.toFixed(2)} s, ` +
+          `min ${prediction.minSpeed.toFixed(0)} km/h, braking ${prediction.brakingDistance.toFixed(0)} m`;
+      }
+      
       cornerInfo.style.display = 'block';
     }
   }
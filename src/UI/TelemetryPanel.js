@@ -11,10 +11,12 @@ export class TelemetryPanel {
       speed: [],
       lateralG: [],
       longG: [],
+      rpm: [],
       maxLength: 300 // 5 seconds at 60fps
     };
     
     this.visible = false;
+    this.timing = null; // LapTimer results from the last update
   }
   
   init() {
@@ -27,20 +29,41 @@ export class TelemetryPanel {
       speed: document.getElementById('speed'),
       lateralG: document.getElementById('lateral-g'),
       longG: document.getElementById('long-g'),
+      vertG: document.getElementById('vert-g'),
       steering: document.getElementById('steering'),
       brake: document.getElementById('brake'),
       throttle: document.getElementById('throttle'),
+      rpm: document.getElementById('rpm'),
+      gear: document.getElementById('gear'),
+      ersSoC: document.getElementById('ers-soc'),
+      ersPower: document.getElementById('ers-power'),
+      drs: document.getElementById('drs'),
+      aeroBalance: document.getElementById('aero-balance'),
+      lapTime: document.getElementById('lap-time'),
+      sectorTimes: document.getElementById('sector-times'),
+      lastLap: document.getElementById('last-lap'),
+      bestLap: document.getElementById('best-lap'),
+      lapDelta: document.getElementById('lap-delta'),
+      ghostDelta: document.getElementById('ghost-delta'),
+      trackLimits: document.getElementById('track-limits'),
       flLoad: document.getElementById('fl-load'),
       frLoad: document.getElementById('fr-load'),
       rlLoad: document.getElementById('rl-load'),
-      rrLoad: document.getElementById('rr-load')
+      rrLoad: document.getElementById('rr-load'),
+      flBrake: document.getElementById('fl-brake'),
+      frBrake: document.getElementById('fr-brake'),
+      rlBrake: document.getElementById('rl-brake'),
+      rrBrake: document.getElementById('rr-brake')
     };
     
     this.initialized = true;
   }
   
-  update(vehicleState, currentTime) {
+  // timing is LapTimer.getResults(), null without lap timing, and ghost the
+  // gap to the ghost car from RacingSimulation.getGhostDelta()
+  update(vehicleState, currentTime, timing = null, ghost = null) {
     if (!this.initialized) this.init();
+    this.timing = timing;
     
     // Throttle updates to refresh rate
     if (currentTime - this.lastUpdate < 1000 / this.refreshRate) {
@@ -54,9 +77,27 @@ export class TelemetryPanel {
     this.updateElement('speed', (vehicleState.speed * 3.6).toFixed(0), 'km/h');
     this.updateElement('lateralG', vehicleState.lateralG.toFixed(2), 'g');
     this.updateElement('longG', vehicleState.longitudinalG.toFixed(2), 'g');
+    this.updateElement('vertG', vehicleState.verticalG.toFixed(2), 'g');
     this.updateElement('steering', (vehicleState.steering * 180 / Math.PI).toFixed(1), '°');
     this.updateElement('brake', (vehicleState.brake * 100).toFixed(0), '%');
     this.updateElement('throttle', (vehicleState.throttle * 100).toFixed(0), '%');
+    this.updateElement('rpm', vehicleState.rpm.toFixed(0), 'rpm');
+    this.updateElement('gear', this.formatGear(vehicleState));
+    
+    // Hybrid energy store (F1 only)
+    if (vehicleState.ersStateOfCharge !== null) {
+      this.updateERS(vehicleState);
+    } else {
+      this.updateElement('ersSoC', '-');
+      this.updateElement('ersPower', '-');
+    }
+    this.updateElement('drs', this.formatDRS(vehicleState));
+    this.updateElement('aeroBalance', this.formatAeroBalance(vehicleState));
+    
+    if (timing) {
+      this.updateTiming(timing);
+    }
+    this.updateGhost(ghost);
     
     // Update wheel loads
     if (vehicleState.wheelLoads) {
@@ -66,6 +107,14 @@ export class TelemetryPanel {
       this.updateElement('rrLoad', (vehicleState.wheelLoads[3] / 9.81).toFixed(0), 'kg');
     }
     
+    // Update brake temperatures
+    if (vehicleState.brakeTemps) {
+      this.updateElement('flBrake', vehicleState.brakeTemps[0].toFixed(0), '°C');
+      this.updateElement('frBrake', vehicleState.brakeTemps[1].toFixed(0), '°C');
+      this.updateElement('rlBrake', vehicleState.brakeTemps[2].toFixed(0), '°C');
+      this.updateElement('rrBrake', vehicleState.brakeTemps[3].toFixed(0), '°C');
+    }
+    
     // Update data history
     this.updateDataHistory(vehicleState);
     
@@ -80,11 +129,90 @@ export class TelemetryPanel {
     }
   }
   
+  // Power is positive deploying, negative harvesting
+  updateERS(vehicleState) {
+    const power = (vehicleState.ersDeployment - vehicleState.ersHarvest) / 1000;
+    this.updateElement('ersSoC', (vehicleState.ersStateOfCharge * 100).toFixed(0), `% (${vehicleState.ersMode})`);
+    this.updateElement('ersPower', (power > 0 ? '+' : '') + power.toFixed(0), 'kW');
+  }
+  
+  // Current lap, the sectors done so far, last and best laps, the live
+  // delta to the best and track-limit violations this run
+  updateTiming(timing) {
+    const lapNumber = timing.closed ? ` (lap ${timing.lap})` : '';
+    this.updateElement('lapTime', this.formatLapTime(timing.lapTime), timing.lapValid ? lapNumber : `${lapNumber} invalid`);
+    this.updateElement('sectorTimes', timing.sectors.map((sector, index) =>
+      index < timing.splits.length ? timing.splits[index].toFixed(2) : '-'
+    ).join(' / '));
+    
+    const { lastLap, bestLap } = timing;
+    if (lastLap) {
+      const gap = bestLap && lastLap !== bestLap ? ` (${this.formatDelta(lastLap.time - bestLap.time)})` : '';
+      this.updateElement('lastLap', this.formatLapTime(lastLap.time), lastLap.valid ? gap : `${gap} invalid`);
+    } else {
+      this.updateElement('lastLap', '-');
+    }
+    this.updateElement('bestLap', bestLap ? this.formatLapTime(bestLap.time) : '-');
+    this.updateElement('lapDelta', timing.delta !== null ? this.formatDelta(timing.delta) : '-', timing.delta !== null ? 's' : '');
+    
+    const violations = timing.violations.length;
+    this.updateElement('trackLimits', timing.offTrack ? 'OFF TRACK' : 'OK', violations > 0 ? `(${violations} this run)` : '');
+    
+    this.colorCodeTiming(timing);
+  }
+  
+  // Live gap to the ghost and the line it drove
+  updateGhost(ghost) {
+    const element = this.elements.ghostDelta;
+    if (!ghost || ghost.delta === null) {
+      this.updateElement('ghostDelta', ghost ? ghost.racingLine : '-');
+      if (element) element.style.color = '#ffffff';
+      return;
+    }
+    
+    this.updateElement('ghostDelta', this.formatDelta(ghost.delta), `s (${ghost.racingLine})`);
+    if (element) {
+      element.style.color = ghost.delta > 0 ? '#ff0000' : '#00ff00';
+    }
+  }
+  
+  // m:ss.sss
+  formatLapTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(3).padStart(6, '0')}`;
+  }
+  
+  formatDelta(seconds) {
+    return (seconds > 0 ? '+' : '') + seconds.toFixed(3);
+  }
+  
+  formatGear(vehicleState) {
+    const gear = vehicleState.gear === 0 ? 'N' : vehicleState.gear;
+    const mode = (vehicleState.transmissionMode || 'automatic').charAt(0).toUpperCase();
+    return vehicleState.shifting ? `${gear} ${mode} (shifting)` : `${gear} ${mode}`;
+  }
+  
+  // Front share of the downforce and where it acts relative to the CG
+  formatAeroBalance(vehicleState) {
+    const aero = vehicleState.aeroForces;
+    if (aero.frontDownforce + aero.rearDownforce <= 0) return '-';
+    const centerOfPressure = aero.centerOfPressure >= 0 ? `+${aero.centerOfPressure.toFixed(2)}` : aero.centerOfPressure.toFixed(2);
+    return `${(aero.balance * 100).toFixed(1)}% F (CoP ${centerOfPressure} m)`;
+  }
+  
+  formatDRS(vehicleState) {
+    if (vehicleState.drsFlap === null) return '-';
+    if (vehicleState.drsFlap >= 1) return 'Open';
+    if (vehicleState.drsActive) return `Moving (${(vehicleState.drsFlap * 100).toFixed(0)}%)`;
+    return vehicleState.drsAvailable ? 'Available' : 'Closed';
+  }
+  
   updateDataHistory(vehicleState) {
     // Add current values to history
     this.dataHistory.speed.push(vehicleState.speed * 3.6);
     this.dataHistory.lateralG.push(Math.abs(vehicleState.lateralG));
     this.dataHistory.longG.push(Math.abs(vehicleState.longitudinalG));
+    this.dataHistory.rpm.push(vehicleState.rpm);
     
     // Trim history to max length
     Object.keys(this.dataHistory).forEach(key => {
@@ -99,6 +227,11 @@ export class TelemetryPanel {
     this.colorCodeGForce('lateralG', Math.abs(vehicleState.lateralG), 1.0);
     this.colorCodeGForce('longG', Math.abs(vehicleState.longitudinalG), 1.0);
     
+    // Red while bouncing off the rev limiter
+    if (this.elements.rpm) {
+      this.elements.rpm.style.color = vehicleState.revLimiter ? '#ff0000' : '#ffffff';
+    }
+    
     // Color code wheel loads
     const avgLoad = (vehicleState.wheelLoads?.reduce((a, b) => a + b, 0) || 0) / 4;
     vehicleState.wheelLoads?.forEach((load, index) => {
@@ -106,6 +239,12 @@ export class TelemetryPanel {
       this.colorCodeWheelLoad(wheelIds[index], load, avgLoad);
     });
     
+    // Color code brake temperatures against the friction window
+    vehicleState.brakeTemps?.forEach((temp, index) => {
+      const brakeIds = ['flBrake', 'frBrake', 'rlBrake', 'rrBrake'];
+      this.colorCodeBrakeTemp(brakeIds[index], temp, vehicleState.brakeWindow);
+    });
+    
     // Color code speed (relative to vehicle maximum)
     const speedKmh = vehicleState.speed * 3.6;
     const maxSpeed = vehicleState.vehicle?.maxSpeed || 200;
@@ -125,6 +264,35 @@ export class TelemetryPanel {
     }
   }
   
+  // Green while gaining on the best lap, red while losing, red when off
+  // the track or on an invalid lap
+  colorCodeTiming(timing) {
+    const { lapTime, lapDelta, trackLimits } = this.elements;
+    
+    if (lapTime) {
+      lapTime.style.color = timing.lapValid ? '#ffffff' : '#ff0000';
+    }
+    if (lapDelta) {
+      lapDelta.style.color = timing.delta === null ? '#ffffff' : (timing.delta > 0 ? '#ff0000' : '#00ff00');
+    }
+    if (trackLimits) {
+      trackLimits.style.color = timing.offTrack ? '#ff0000' : (timing.violations.length > 0 ? '#ffff00' : '#00ff00');
+    }
+  }
+  
+  colorCodeBrakeTemp(elementId, temp, brakeWindow) {
+    const element = this.elements[elementId];
+    if (!element || !brakeWindow) return;
+    
+    if (temp > brakeWindow.max) {
+      element.style.color = '#ff0000'; // Red when fading
+    } else if (temp < brakeWindow.optimal) {
+      element.style.color = '#00ffff'; // Cyan when cold
+    } else {
+      element.style.color = '#00ff00'; // Green in the window
+    }
+  }
+  
   colorCodeWheelLoad(elementId, load, avgLoad) {
     const element = this.elements[elementId];
     if (!element) return;
@@ -177,13 +345,18 @@ export class TelemetryPanel {
     const gForceCanvas = this.createMiniGraph('G-Forces', '#ff0000');
     graphContainer.appendChild(gForceCanvas);
     
+    // Engine RPM graph
+    const rpmCanvas = this.createMiniGraph('RPM', '#ffaa00');
+    graphContainer.appendChild(rpmCanvas);
+    
     if (this.panel) {
       this.panel.appendChild(graphContainer);
     }
     
     this.miniGraphs = {
       speed: speedCanvas,
-      gForce: gForceCanvas
+      gForce: gForceCanvas,
+      rpm: rpmCanvas
     };
   }
   
@@ -226,6 +399,15 @@ export class TelemetryPanel {
       0,
       Math.max(2, Math.max(...allGForces))
     );
+    
+    // Update RPM graph
+    this.drawGraph(
+      this.miniGraphs.rpm,
+      this.dataHistory.rpm,
+      '#ffaa00',
+      0,
+      Math.max(9000, Math.max(...this.dataHistory.rpm))
+    );
   }
   
   drawGraph(canvas, data, color, minValue, maxValue) {
@@ -302,7 +484,8 @@ export class TelemetryPanel {
       timestamp: new Date().toISOString(),
       vehicle: this.currentVehicle,
       corner: this.currentCorner,
-      data: this.dataHistory
+      data: this.dataHistory,
+      timing: this.timing
     };
     
     const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
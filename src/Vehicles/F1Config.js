@@ -31,21 +31,34 @@ export const F1_CONFIG = {
     bump: 8000,        // N·s/m
     rebound: 12000     // N·s/m
   },
+  antiRollStiffness: {
+    front: 150000,     // N/m (wheel rate)
+    rear: 100000       // N/m (wheel rate)
+  },
   suspensionRestLength: 0.15,
-  maxSuspensionTravel: 0.05,
+  maxSuspensionTravel: 0.02, // m, the bump stops hold the floor off the track
+  rideHeight: 0.04,    // m, static floor clearance
+  camber: {
+    front: -3.5,       // degrees, negative tops in
+    rear: -2.0
+  },
   
-  // Tire Model (F1 specific)
+  // Tire construction (F1 specific), the compound (TIRE_COMPOUNDS) sets
+  // the rubber
   tire: {
+    compound: 'SOFT',
     radius: 0.330,
     width: 0.305,
     rearWidth: 0.405,
-    peakMu: 1.8,
     loadSensitivity: 0.7,
-    pacejka: {
-      B: 12,
-      C: 1.8,
-      D: 1.8,
-      E: 0.95
+    thermal: {
+      initialTemp: 90,            // °C, off the tire blankets
+      surfaceHeatCapacity: 1200,  // J/K
+      carcassHeatCapacity: 15000, // J/K
+      surfaceToCarcass: 600,      // W/K
+      airCoolingPerSpeed: 3,      // W/K per m/s
+      trackConduction: 150,       // W/K
+      frictionHeatShare: 0.4
     }
   },
   
@@ -69,6 +82,19 @@ export const F1_CONFIG = {
   // Transmission (8-speed)
   gearRatios: [3.500, 2.618, 2.150, 1.778, 1.500, 1.267, 1.050, 0.850],
   finalDrive: 3.900,
+  transmission: {
+    mode: 'automatic', // 'automatic' | 'sequential' | 'manual'
+    shiftTime: {       // seconds without drive per gear change
+      manual: 0.1,
+      sequential: 0.03,
+      automatic: 0.03
+    },
+    upshiftRPM: 14500,
+    downshiftRPM: 9000,
+    launchRPM: 10000
+  },
+  engineInertia: 0.04,   // kg·m², no flywheel
+  clutchMaxTorque: 1000, // N·m
   
   // Aerodynamics (critical for F1)
   dragCoefficient: 0.7,
@@ -77,8 +103,35 @@ export const F1_CONFIG = {
     front: 1.5,
     rear: 2.0
   },
-  downforceBalance: 0.4,
-  groundEffectMultiplier: 1.5,
+  downforceBalance: 0.4, // front share without an aero map
+  
+  // Aero map: downforce multiplier and front balance against front (rows)
+  // and rear (columns) ride height. The floor seals best low at the front
+  // with rake, stalls when run on the ground, and moving the front down
+  // under braking brings the balance forward.
+  aeroMap: {
+    rideHeights: [0.01, 0.025, 0.04, 0.06, 0.10], // m
+    downforce: [
+      [1.31, 1.49, 1.42, 1.35, 1.24],
+      [1.43, 1.62, 1.55, 1.48, 1.37],
+      [1.38, 1.57, 1.50, 1.43, 1.32],
+      [1.34, 1.52, 1.45, 1.38, 1.27],
+      [1.26, 1.45, 1.38, 1.31, 1.20]
+    ],
+    balance: [
+      [0.400, 0.349, 0.367, 0.387, 0.420],
+      [0.453, 0.400, 0.419, 0.439, 0.474],
+      [0.434, 0.382, 0.400, 0.420, 0.455],
+      [0.413, 0.362, 0.380, 0.400, 0.434],
+      [0.380, 0.331, 0.348, 0.367, 0.400]
+    ],
+    // Yawed flow loses downforce, mostly off the front wing
+    yaw: {
+      angles: [0, 3, 6, 10], // degrees
+      downforce: [1, 0.97, 0.9, 0.8],
+      balance: [0, -0.01, -0.02, -0.04]
+    }
+  },
   
   // DRS (Drag Reduction System)
   drs: {
@@ -97,7 +150,11 @@ export const F1_CONFIG = {
   brakeTemperature: {
     optimal: 400,
     max: 1000,
-    coolingRate: 50
+    coolingRate: 50,    // W/K, rises with airflow
+    thermalMass: 2500,  // J/K per corner
+    coldFriction: 0.5,  // Carbon barely bites until warm
+    fadeFriction: 0.6,
+    fadeRange: 200
   },
   
   // Wheels
@@ -109,7 +166,14 @@ export const F1_CONFIG = {
     kersMaxPower: 60000,        // 60kW
     kersCapacity: 4000000,      // 4MJ
     mguHPower: 90000,           // 90kW
-    deploymentModes: ['qualify', 'race', 'overtake']
+    deploymentModes: ['qualify', 'race', 'overtake'],
+    modes: {                    // share of deploy power, state of charge held back
+      qualify: { power: 1.0, reserve: 0 },
+      race: { power: 0.5, reserve: 0.3 },
+      overtake: { power: 1.0, reserve: 0.1 }
+    },
+    deployLimitPerLap: 4000000, // 4MJ deployed
+    harvestLimitPerLap: 2000000 // 2MJ recovered under braking
   },
   
   // Visual model
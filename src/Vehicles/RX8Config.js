@@ -33,20 +33,26 @@ export const RX8_CONFIG = {
     bump: 3000,        // N·s/m
     rebound: 4500      // N·s/m
   },
+  antiRollStiffness: {
+    front: 18000,      // N/m (wheel rate)
+    rear: 9000         // N/m (wheel rate)
+  },
   suspensionRestLength: 0.3,
   maxSuspensionTravel: 0.15,
+  rideHeight: 0.13,    // m, static floor clearance
+  camber: {
+    front: -0.8,       // degrees, negative tops in
+    rear: -1.0
+  },
   
-  // Tire Model (Pacejka coefficients)
+  // Tire construction, the compound (TIRE_COMPOUNDS) sets the rubber
   tire: {
+    compound: 'STREET',
     radius: 0.323,
     width: 0.245,
-    peakMu: 1.15,
     loadSensitivity: 0.8,
-    pacejka: {
-      B: 10,
-      C: 1.5,
-      D: 1.15,
-      E: 0.97
+    thermal: {
+      initialTemp: 45    // °C, warm from the drive out
     }
   },
   
@@ -55,6 +61,7 @@ export const RX8_CONFIG = {
   maxLateralG: 0.92,
   maxLateralGRace: 1.03,
   maxBrakingG: 1.0,
+  maxAccelerationG: 0.45,
   
   // Engine
   power: 175000,
@@ -70,6 +77,19 @@ export const RX8_CONFIG = {
   // Transmission
   gearRatios: [3.815, 2.260, 1.640, 1.177, 1.000, 0.832],
   finalDrive: 4.444,
+  transmission: {
+    mode: 'automatic', // 'automatic' | 'sequential' | 'manual'
+    shiftTime: {       // seconds without drive per gear change
+      manual: 0.35,
+      sequential: 0.15,
+      automatic: 0.3
+    },
+    upshiftRPM: 8500,
+    downshiftRPM: 4000,
+    launchRPM: 3500
+  },
+  engineInertia: 0.12,   // kg·m², rotary assembly plus flywheel
+  clutchMaxTorque: 350,  // N·m
   
   // Aerodynamics
   dragCoefficient: 0.31,
@@ -82,6 +102,15 @@ export const RX8_CONFIG = {
     rear: 2000
   },
   brakeBias: 0.65,
+  brakeTemperature: {
+    optimal: 250,
+    max: 550,
+    coolingRate: 20,    // W/K, rises with airflow
+    thermalMass: 4000,  // J/K per corner
+    coldFriction: 0.9,  // Iron discs work from cold
+    fadeFriction: 0.5,
+    fadeRange: 200
+  },
   
   // Wheels
   wheelMass: 20,
@@ -11,7 +11,9 @@ export class ForceVectorVisualizer {
       vertical: 0x00ff00,     // Green
       resultant: 0xffffff,    // White
       downforce: 0x00ffff,    // Cyan
-      drag: 0xff00ff          // Magenta
+      drag: 0xff00ff,         // Magenta
+      drsOpen: 0xffaa00,      // Orange, aero arrows with the DRS flap open
+      banking: 0xffff00       // Yellow
     };
     
     this.scaleFactors = {
@@ -28,6 +30,7 @@ export class ForceVectorVisualizer {
       resultant: true,
       downforce: true,
       drag: true,
+      banking: true,
       wheelForces: true,
       aeroForces: true
     };
@@ -56,7 +59,8 @@ export class ForceVectorVisualizer {
       downforce: this.createArrow(this.colors.downforce),
       drag: this.createArrow(this.colors.drag),
       totalLateral: this.createArrow(this.colors.lateral),
-      totalLongitudinal: this.createArrow(this.colors.longitudinal)
+      totalLongitudinal: this.createArrow(this.colors.longitudinal),
+      banking: this.createArrow(this.colors.banking)
     };
     
     // Legend
@@ -75,14 +79,16 @@ export class ForceVectorVisualizer {
   
   updateForceVectors(vehicle, forces) {
     // Get vehicle position safely
-    const vehiclePosition = vehicle.getPosition ? vehicle.getPosition() : new THREE.Vector3(0, 0, 0);
+    const vehiclePosition = vehicle.getPosition ?
+      new THREE.Vector3().copy(vehicle.getPosition()) :
+      new THREE.Vector3(0, 0, 0);
     
     // Update wheel forces
     if (this.visibility.wheelForces && forces.wheels) {
       forces.wheels.forEach((wheelForce, index) => {
         // Use wheel position if available, otherwise use vehicle position with offset
-        const wheelPos = vehicle.wheels && vehicle.wheels[index] && vehicle.wheels[index].position 
-          ? vehicle.wheels[index].position 
+        const wheelPos = vehicle.getWheelPosition
+          ? new THREE.Vector3().copy(vehicle.getWheelPosition(index))
           : vehiclePosition.clone().add(new THREE.Vector3(index % 2 === 0 ? -1 : 1, 0, index < 2 ? 1 : -1));
         this.updateWheelForce(index, wheelForce, wheelPos);
       });
@@ -97,6 +103,10 @@ export class ForceVectorVisualizer {
     if (forces.total) {
       this.updateTotalForces(forces.total, vehiclePosition);
     }
+    
+    if (forces.banking) {
+      this.updateBankingForce(forces.banking, vehiclePosition);
+    }
   }
   
   updateWheelForce(wheelIndex, force, position) {
@@ -135,6 +145,9 @@ export class ForceVectorVisualizer {
   }
   
   updateAeroForces(aeroForces, vehiclePosition) {
+    // Arrows shade towards the DRS color as the flap opens
+    const drsFlap = aeroForces.drsFlap || 0;
+    
     // Downforce
     if (this.visibility.downforce && aeroForces.downforce) {
       const totalDownforce = aeroForces.downforce.front + aeroForces.downforce.rear;
@@ -142,7 +155,7 @@ export class ForceVectorVisualizer {
         this.chassisArrows.downforce,
         vehiclePosition.clone().add(new THREE.Vector3(0, 1, 0)),
         new THREE.Vector3(0, -totalDownforce, 0),
-        this.colors.downforce
+        this.interpolateColor(this.colors.downforce, this.colors.drsOpen, drsFlap)
       );
     }
     
@@ -152,7 +165,7 @@ export class ForceVectorVisualizer {
         this.chassisArrows.drag,
         vehiclePosition.clone().add(new THREE.Vector3(0, 1, -2)),
         new THREE.Vector3(0, 0, -aeroForces.drag),
-        this.colors.drag
+        this.interpolateColor(this.colors.drag, this.colors.drsOpen, drsFlap)
       );
     }
   }
@@ -179,6 +192,21 @@ export class ForceVectorVisualizer {
     }
   }
   
+  // Lateral support from a banked surface, drawn above the total lateral
+  // force so the two can be compared
+  updateBankingForce(bankingForces, vehiclePosition) {
+    if (this.visibility.banking && bankingForces.support) {
+      this.updateArrow(
+        this.chassisArrows.banking,
+        vehiclePosition.clone().add(new THREE.Vector3(0, 0.5, 0)),
+        new THREE.Vector3(bankingForces.support, 0, 0),
+        this.colors.banking
+      );
+    } else {
+      this.chassisArrows.banking.visible = false;
+    }
+  }
+  
   updateArrow(arrow, position, force, color) {
     if (!arrow || force.length() < 0.01) {
       arrow.visible = false;
@@ -263,6 +291,14 @@ export class ForceVectorVisualizer {
         <div class="force-legend-color" style="background: #ff00ff;"></div>
         <span>Drag</span>
       </div>
+      <div class="force-legend-item">
+        <div class="force-legend-color" style="background: #ffaa00;"></div>
+        <span>Aero with DRS Open</span>
+      </div>
+      <div class="force-legend-item">
+        <div class="force-legend-color" style="background: #ffff00;"></div>
+        <span>Banking Support</span>
+      </div>
     `;
     
     document.body.appendChild(legend);
@@ -292,6 +328,9 @@ export class ForceVectorVisualizer {
         case 'drag':
           this.chassisArrows.drag.visible = false;
           break;
+        case 'banking':
+          this.chassisArrows.banking.visible = false;
+          break;
       }
     }
   }
@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+
+// Translucent second car replaying a Ghost in step with the simulation
+// time, tinted in the color of the racing line the ghost drove
+export class GhostCar {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = null;
+    this.body = null;
+    this.wheelMeshes = [];
+    this.ghost = null;
+    this.visible = true;
+    this.opacity = 0.35;
+  }
+  
+  // Builds the car for a ghost, from the config of the vehicle it was
+  // recorded with. Null removes it.
+  setGhost(ghost, vehicleConfig = null, color = 0xffffff) {
+    this.removeCar();
+    this.ghost = ghost;
+    if (!ghost || !vehicleConfig) return;
+    
+    const material = new THREE.MeshStandardMaterial({
+      color,
+      transparent: true,
+      opacity: this.opacity,
+      depthWrite: false
+    });
+    
+    this.group = new THREE.Group();
+    this.group.name = 'GhostCar';
+    
+    const { width, height, length } = vehicleConfig.dimensions;
+    this.body = new THREE.Mesh(new THREE.BoxGeometry(width, height, length), material);
+    this.group.add(this.body);
+    
+    const tire = vehicleConfig.tire;
+    const wheelGeometry = new THREE.CylinderGeometry(tire.radius, tire.radius, tire.width, 16);
+    wheelGeometry.rotateZ(Math.PI / 2); // Axle along the chassis x axis
+    this.wheelMeshes = [0, 1, 2, 3].map(() => {
+      const wheel = new THREE.Mesh(wheelGeometry, material);
+      this.group.add(wheel);
+      return wheel;
+    });
+    
+    this.group.visible = this.visible;
+    this.scene.add(this.group);
+  }
+  
+  // Places the car where the ghost was at a time into its run
+  update(time) {
+    if (!this.group) return;
+    
+    const frame = this.ghost.getFrame(time);
+    this.body.position.set(frame.position.x, frame.position.y, frame.position.z);
+    this.body.quaternion.set(frame.rotation.x, frame.rotation.y, frame.rotation.z, frame.rotation.w);
+    
+    this.wheelMeshes.forEach((wheel, index) => {
+      const position = frame.wheels[index];
+      wheel.position.set(position.x, position.y, position.z);
+      wheel.quaternion.copy(this.body.quaternion);
+    });
+  }
+  
+  setVisibility(visible) {
+    this.visible = visible;
+    if (this.group) {
+      this.group.visible = visible;
+    }
+  }
+  
+  removeCar() {
+    if (!this.group) return;
+    
+    // The wheels share one geometry and all the meshes one material
+    this.body.geometry.dispose();
+    this.body.material.dispose();
+    this.wheelMeshes[0].geometry.dispose();
+    this.scene.remove(this.group);
+    
+    this.group = null;
+    this.body = null;
+    this.wheelMeshes = [];
+  }
+  
+  dispose() {
+    this.removeCar();
+    this.ghost = null;
+  }
+}
\ No newline at end of file
@@ -20,8 +20,20 @@ export class GripCircle {
       lateral: 0,
       longitudinal: 0,
       maximum: 0,
-      utilization: 0
+      utilization: 0,
+      slipRatio: 0
     };
+    
+    // Tire temperatures, surface zones are inner/middle/outer, the
+    // compound and the ground the tire is on
+    this.tireState = {
+      surface: [20, 20, 20],
+      carcass: 20,
+      wear: 0,
+      compound: null,
+      ground: null
+    };
+    this.optimalTemp = 100;
   }
   
   init() {
@@ -74,20 +86,24 @@ export class GripCircle {
     this.container = container;
   }
   
-  update(lateralForce, longitudinalForce, maxForce, temperature = 20, utilization = 0) {
+  update(lateralForce, longitudinalForce, maxForce, tireState = null, utilization = 0, slipRatio = 0, optimalTemp = 100) {
     if (!this.initialized) this.init();
     
     this.currentForces.lateral = lateralForce;
     this.currentForces.longitudinal = longitudinalForce;
     this.currentForces.maximum = maxForce;
     this.currentForces.utilization = utilization;
+    this.currentForces.slipRatio = slipRatio;
     
     this.maxForce = maxForce;
     
-    this.draw(temperature);
+    if (tireState) this.tireState = tireState;
+    this.optimalTemp = optimalTemp;
+    
+    this.draw();
   }
   
-  draw(temperature) {
+  draw() {
     if (!this.ctx) return;
     
     const ctx = this.ctx;
@@ -107,7 +123,10 @@ export class GripCircle {
     this.drawUtilizationRings(ctx, centerX, centerY);
     
     // Draw labels and values
-    this.drawLabelsAndValues(ctx, temperature);
+    this.drawLabelsAndValues(ctx);
+    
+    // Draw tread zone temperatures
+    this.drawZoneTemperatures(ctx);
   }
   
   drawGripCircle(ctx, centerX, centerY) {
@@ -236,7 +255,7 @@ export class GripCircle {
     ctx.setLineDash([]); // Reset line dash
   }
   
-  drawLabelsAndValues(ctx, temperature) {
+  drawLabelsAndValues(ctx) {
     // Draw force values
     ctx.fillStyle = '#ffffff';
     ctx.font = '11px monospace';
@@ -245,6 +264,7 @@ export class GripCircle {
     const lateral = this.currentForces.lateral;
     const longitudinal = this.currentForces.longitudinal;
     const utilization = this.currentForces.utilization;
+    const slipRatio = this.currentForces.slipRatio;
     
     // Force values
     const yStart = 15;
@@ -253,10 +273,25 @@ export class GripCircle {
     ctx.fillText(`Lat: ${lateral.toFixed(0)}N`, 5, yStart);
     ctx.fillText(`Lng: ${longitudinal.toFixed(0)}N`, 5, yStart + lineHeight);
     ctx.fillText(`Util: ${(utilization * 100).toFixed(1)}%`, 5, yStart + lineHeight * 2);
-    ctx.fillText(`Temp: ${temperature.toFixed(0)}°C`, 5, yStart + lineHeight * 3);
+    ctx.fillText(`Carcass: ${this.tireState.carcass.toFixed(0)}°C`, 5, yStart + lineHeight * 3);
+    const compound = this.tireState.compound ? `${this.tireState.compound} ` : '';
+    ctx.fillText(`${compound}Wear: ${(this.tireState.wear * 100).toFixed(1)}%`, 5, yStart + lineHeight * 4);
+    ctx.fillText(`Slip: ${(slipRatio * 100).toFixed(0)}%`, 5, yStart + lineHeight * 5);
+    
+    // Off the asphalt the circle is already shrunk by the surface's grip
+    const ground = this.tireState.ground;
+    if (ground && ground.type !== 'asphalt') {
+      ctx.fillStyle = ground.color;
+      ctx.fillText(`${ground.name}: ${(ground.grip * 100).toFixed(0)}% grip`, 5, yStart + lineHeight * 6);
+    }
     
-    // Utilization warning
-    if (utilization > 0.95) {
+    // Lock-up / wheelspin warning from the wheel's slip ratio
+    if (slipRatio < -0.3 || slipRatio > 0.3) {
+      ctx.fillStyle = '#ff0000';
+      ctx.font = 'bold 12px monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(slipRatio < 0 ? 'LOCK-UP' : 'WHEELSPIN', this.canvas.width / 2, this.canvas.height - 10);
+    } else if (utilization > 0.95) {
       ctx.fillStyle = '#ff0000';
       ctx.font = 'bold 12px monospace';
       ctx.textAlign = 'center';
@@ -269,6 +304,40 @@ export class GripCircle {
     }
   }
   
+  // Inner, middle and outer tread temperatures as three cells, laid out
+  // as seen from behind the car so the inner zone faces the centreline
+  drawZoneTemperatures(ctx) {
+    const cellWidth = 30;
+    const cellHeight = 16;
+    const zones = this.tireState.surface.map((temp, zone) => ({ temp, zone }));
+    const ordered = this.wheelName.includes('L') ? zones.slice().reverse() : zones;
+    const x0 = this.canvas.width - 5 - cellWidth * ordered.length;
+    
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'center';
+    
+    ordered.forEach(({ temp, zone }, i) => {
+      const x = x0 + i * cellWidth;
+      ctx.fillStyle = this.getTemperatureColor(temp);
+      ctx.fillRect(x, 5, cellWidth - 2, cellHeight);
+      
+      ctx.fillStyle = '#000000';
+      ctx.fillText(temp.toFixed(0), x + (cellWidth - 2) / 2, 5 + cellHeight - 4);
+      
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(['I', 'M', 'O'][zone], x + (cellWidth - 2) / 2, 5 + cellHeight + 11);
+    });
+  }
+  
+  // Blue when cold, green around the optimal temperature, red when hot
+  getTemperatureColor(temperature) {
+    const t = (temperature - this.optimalTemp) / 30;
+    if (t < 0) {
+      return this.interpolateColor('#00ff00', '#0088ff', Math.min(1, -t));
+    }
+    return this.interpolateColor('#00ff00', '#ff0000', Math.min(1, t));
+  }
+  
   getUtilizationColor(utilization) {
     // Smooth color transition based on utilization
     if (utilization < 0.7) {
@@ -345,20 +414,22 @@ export class GripCircleManager {
     this.initialized = true;
   }
   
-  updateAll(wheelForces, wheelTemperatures) {
+  // optimalTemps per wheel, as each axle can run its own compound
+  updateAll(wheelForces, tireStates, optimalTemps) {
     if (!this.initialized) this.initializeCircles();
     
     this.circles.forEach((circle, index) => {
       const force = wheelForces[index];
-      const temp = wheelTemperatures[index];
       
       if (force) {
         circle.update(
           force.lateral || 0,
           force.longitudinal || 0,
           force.maximum || 10000,
-          temp || 20,
-          force.utilization || 0
+          tireStates[index],
+          force.utilization || 0,
+          force.slipRatio || 0,
+          optimalTemps[index]
         );
       }
     });
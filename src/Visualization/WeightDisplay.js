@@ -172,6 +172,10 @@ export class WeightDistributionDisplay {
         <div>Left: <span id="left-total">50.0%</span></div>
         <div>Right: <span id="right-total">50.0%</span></div>
       </div>
+      <div style="border-top: 1px solid rgba(255, 255, 255, 0.2); padding-top: 10px; margin-top: 10px;">
+        <div>Tire load: <span id="load-factor">1.00</span>× weight</div>
+        <div>Banking: <span id="bank-angle">0.0</span>°</div>
+      </div>
     `;
     
     document.body.appendChild(container);
@@ -179,13 +183,17 @@ export class WeightDistributionDisplay {
     this.initialized = true;
   }
   
-  update(wheelLoads, cgPosition, totalWeight, balancePoint) {
+  // surface gives the tire loads against the car's weight (loadFactor) and
+  // the bank angle in degrees; the bars grow with the load factor while the
+  // percentages stay a split of the total
+  update(wheelLoads, cgPosition, totalWeight, balancePoint, surface = null) {
     this.totalWeight = totalWeight;
     this.nominalLoad = totalWeight / 4;
+    const loadFactor = surface ? surface.loadFactor : 1;
     
     // Update wheel load bars
     this.wheelLoadBars.forEach((bar, index) => {
-      const load = wheelLoads[index] || 0;
+      const load = (wheelLoads[index] || 0) * loadFactor;
       const height = (load / (this.nominalLoad * 2)) * this.maxBarHeight;
       
       // Animate height change
@@ -211,6 +219,22 @@ export class WeightDistributionDisplay {
     
     // Update percentage display
     this.updatePercentageDisplay(wheelLoads, totalWeight);
+    
+    if (surface) {
+      this.updateSurfaceDisplay(surface);
+    }
+  }
+  
+  updateSurfaceDisplay(surface) {
+    if (!this.initialized || !this.percentageDisplay) return;
+    
+    const updateElement = (id, value) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = value;
+    };
+    
+    updateElement('load-factor', surface.loadFactor.toFixed(2));
+    updateElement('bank-angle', surface.bankAngle.toFixed(1));
   }
   
   updateBalanceIndicators(balancePoint) {
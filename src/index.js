@@ -94,6 +94,8 @@ function setupTimelineControls(simulation) {
   const timelineControl = document.getElementById('timeline-control');
   const playPauseBtn = document.getElementById('play-pause');
   const restartBtn = document.getElementById('restart');
+  const stepBackBtn = document.getElementById('step-back');
+  const stepForwardBtn = document.getElementById('step-forward');
   const timelineScrubber = document.getElementById('timeline-scrubber');
   const timeDisplay = document.getElementById('time-display');
   
@@ -112,21 +114,25 @@ function setupTimelineControls(simulation) {
   restartBtn.addEventListener('click', () => {
     simulation.restart();
     timelineScrubber.value = 0;
-    timeDisplay.textContent = '0.0s';
+    timeDisplay.textContent = '0.00s';
   });
   
-  // Timeline scrubber
+  // Frame-by-frame stepping through the recorded run, pausing it
+  stepBackBtn.addEventListener('click', () => simulation.stepFrame(-1));
+  stepForwardBtn.addEventListener('click', () => simulation.stepFrame(1));
+  
+  // Timeline scrubber, replaying the recorded run up to where the car has
+  // got to. The display follows through onTimeUpdate.
   timelineScrubber.addEventListener('input', (e) => {
     const progress = parseFloat(e.target.value) / 100;
     simulation.setTimeProgress(progress);
-    timeDisplay.textContent = `${(progress * 30).toFixed(1)}s`; // 30 second sequence
   });
   
   // Update timeline display
   simulation.onTimeUpdate = (currentTime, totalTime) => {
     const progress = (currentTime / totalTime) * 100;
     timelineScrubber.value = progress;
-    timeDisplay.textContent = `${currentTime.toFixed(1)}s`;
+    timeDisplay.textContent = `${currentTime.toFixed(2)}s`;
   };
 }
 
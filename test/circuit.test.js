@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationCore } from '../src/Core/SimulationCore.js';
+import { AutonomousDriver } from '../src/Core/AutonomousDriver.js';
+import { CircuitBuilder } from '../src/Track/CircuitBuilder.js';
+import { RACING_LINES, BRAKING_STYLES } from '../src/Track/RacingLine.js';
+import { RX8_CONFIG } from '../src/Vehicles/RX8Config.js';
+import { F1_CONFIG } from '../src/Vehicles/F1Config.js';
+
+const VEHICLES = { F1: F1_CONFIG, RX8: RX8_CONFIG };
+const LAPS = 2;
+
+const track = new CircuitBuilder().build('TEST_CIRCUIT');
+
+// The autonomous driver keeps every car on every line and braking style
+// inside the track limits, lap after lap
+for (const [vehicle, config] of Object.entries(VEHICLES)) {
+  for (const lineType of Object.keys(RACING_LINES)) {
+    for (const brakingStyle of Object.keys(BRAKING_STYLES)) {
+      test(`${vehicle} laps TEST_CIRCUIT on the ${lineType} line with ${brakingStyle} braking`, () => {
+        const driver = new AutonomousDriver(config, track, lineType, brakingStyle);
+        const core = new SimulationCore(config, track, (time, state, core) => driver.getControls(time, state, core));
+        core.recordTelemetry = false;
+        
+        while (core.timing.laps.length < LAPS && core.time < 150 * LAPS) {
+          core.step();
+        }
+        
+        const { laps, violations } = core.timing.getResults();
+        assert.equal(laps.length, LAPS);
+        assert.deepEqual(violations, []);
+        assert.ok(laps.every(lap => lap.valid));
+      });
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationCore } from '../src/Core/SimulationCore.js';
+import { AutonomousDriver } from '../src/Core/AutonomousDriver.js';
+import { CornerGenerator } from '../src/Track/CornerGenerator.js';
+import { RX8_CONFIG } from '../src/Vehicles/RX8Config.js';
+import { F1_CONFIG } from '../src/Vehicles/F1Config.js';
+
+// Full throttle, then braking, held between keyframes
+const SCRIPT = [
+  { time: 0, throttle: 1 },
+  { time: 3, throttle: 1 },
+  { time: 3.1, throttle: 0, brake: 1 },
+  { time: 5, brake: 1 },
+  { time: 5.1, brake: 0 }
+];
+
+test('two runs of a control script give identical state', () => {
+  const corner = new CornerGenerator().generateCorner('HAIRPIN');
+  const run = () => snapshot(new SimulationCore(RX8_CONFIG, corner, SCRIPT), 6);
+  
+  assert.deepEqual(run(), run());
+});
+
+test('two runs of the autonomous driver give identical state', () => {
+  const corner = new CornerGenerator().generateCorner('CHICANE');
+  const run = () => {
+    const driver = new AutonomousDriver(F1_CONFIG, corner, 'IDEAL', 'TRAIL');
+    return snapshot(new SimulationCore(F1_CONFIG, corner, (time, state, core) => driver.getControls(time, state, core)), 8);
+  };
+  
+  assert.deepEqual(run(), run());
+});
+
+test('a reset run repeats the first run', () => {
+  const corner = new CornerGenerator().generateCorner('FAST_SWEEPER');
+  const core = new SimulationCore(F1_CONFIG, corner, SCRIPT);
+  const first = snapshot(core, 6);
+  core.reset();
+  
+  assert.deepEqual(snapshot(core, 6), first);
+});
+
+// Telemetry of every step and the car's state at the end of a run
+function snapshot(core, duration) {
+  const telemetry = core.run(duration);
+  const body = core.vehicle.body;
+  
+  return {
+    telemetry,
+    position: body.position.toArray(),
+    quaternion: body.quaternion.toArray(),
+    velocity: body.velocity.toArray(),
+    angularVelocity: body.angularVelocity.toArray(),
+    state: structuredClone(core.vehicle.state),
+    timing: core.timing.getResults()
+  };
+}
\ No newline at end of file